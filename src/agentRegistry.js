@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const logger = require('./utils/logger');
+const toolRegistry = require('./tools/toolRegistry');
+const { resolveTTSSettings } = require('./tts');
+const { resolveLLMSettings } = require('./llm');
+const { isHttpUrl } = require('./utils/text');
+
+const AGENT_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const FILE_FORMATS = {
+  '.json': { parse: (text) => JSON.parse(text), stringify: (profile) => `${JSON.stringify(profile, null, 2)}\n` },
+  '.yaml': { parse: (text) => YAML.parse(text), stringify: (profile) => YAML.stringify(profile) },
+  '.yml': { parse: (text) => YAML.parse(text), stringify: (profile) => YAML.stringify(profile) },
+};
+
+/**
+ * Registry of agent profiles: named bot personas, one JSON or YAML file each in
+ * AGENTS_DIR (default ./agents). A profile looks like:
+ *
+ * {
+ *   id: 'front-desk',
+ *   name: 'Front desk',
+ *   systemPrompt: 'You are the receptionist at ...',
+ *   greeting: 'Thanks for calling, how can I help?',
+ *   voicemailMessage: 'Hi, this is Acme returning your call ...', // Left on answering machines
+ *   voice: { provider: 'openai', voice: 'nova' },       // TTS settings
+ *   llm: { model: 'gpt-4o-mini', temperature: 0.5 },    // LLM settings
+ *   tools: ['end_call', 'transfer_call'],               // Omit to allow every tool
+ *   maxDurationSeconds: 600,
+ *   record: true,                                       // Record calls; omit for RECORDING_ENABLED
+ *   statusCallbackUrl: 'https://crm.example.com/calls', // Receives signed call lifecycle events
+ *   silence: { timeoutSeconds: 8, maxReprompts: 2, reprompt: 'Are you still there?', goodbye: 'Goodbye!' },
+ *   endPhrases: ['goodbye', 'have a great day'],        // Hang up once the bot says one
+ *   inbound: { numbers: ['+15551234567'], roomPrefixes: ['frontdesk-'] }
+ * }
+ *
+ * Outbound calls pick a profile by id; inbound calls by dialed number, then by
+ * room name prefix, then DEFAULT_AGENT_ID.
+ */
+class AgentRegistry {
+  constructor() {
+    this.directory = path.resolve(process.cwd(), process.env.AGENTS_DIR || 'agents');
+    this.defaultAgentId = process.env.DEFAULT_AGENT_ID || null;
+    this.agents = new Map(); // Profiles by id
+    this.files = new Map(); // Profile file path by id
+    this.load();
+  }
+
+  /**
+   * (Re)load every profile file in the agents directory. Invalid files are skipped.
+   */
+  load() {
+    this.agents.clear();
+    this.files.clear();
+    if (!fs.existsSync(this.directory)) {
+      return;
+    }
+
+    fs.readdirSync(this.directory)
+      .filter((file) => FILE_FORMATS[path.extname(file).toLowerCase()])
+      .sort()
+      .forEach((file) => {
+        const filePath = path.join(this.directory, file);
+        try {
+          const format = FILE_FORMATS[path.extname(file).toLowerCase()];
+          const definition = format.parse(fs.readFileSync(filePath, 'utf8')) || {};
+          const profile = this.validateProfile({ id: path.basename(file, path.extname(file)), ...definition });
+          if (this.agents.has(profile.id)) {
+            throw new Error(`duplicate agent id ${profile.id}`);
+          }
+          this.agents.set(profile.id, profile);
+          this.files.set(profile.id, filePath);
+        } catch (error) {
+          logger.error(`Skipping agent profile ${filePath}: ${error.message}`);
+        }
+      });
+    logger.info(`Loaded ${this.agents.size} agent profile(s) from ${this.directory}`);
+  }
+
+  /**
+   * Validate and normalise a profile definition
+   * @param {Object} definition - Profile as written in a file or sent to the API
+   * @returns {Object} - Profile
+   */
+  validateProfile(definition) {
+    const { id, name, systemPrompt, greeting, voicemailMessage, voice, llm, tools, maxDurationSeconds, record, statusCallbackUrl, silence, endPhrases, inbound } = definition;
+
+    if (!AGENT_ID_PATTERN.test(id || '')) {
+      throw new Error('Agent id must be 1-64 letters, digits, dashes or underscores');
+    }
+    ['name', 'systemPrompt', 'greeting', 'voicemailMessage'].forEach((field) => {
+      if (definition[field] !== undefined && typeof definition[field] !== 'string') {
+        throw new Error(`Agent ${field} must be a string`);
+      }
+    });
+    if (tools !== undefined && (!Array.isArray(tools) || tools.some((tool) => typeof tool !== 'string'))) {
+      throw new Error('Agent tools must be an array of tool names');
+    }
+    if (maxDurationSeconds !== undefined && maxDurationSeconds !== null &&
+        !(Number.isInteger(maxDurationSeconds) && maxDurationSeconds > 0)) {
+      throw new Error('Agent maxDurationSeconds must be a positive integer');
+    }
+    if (record !== undefined && record !== null && typeof record !== 'boolean') {
+      throw new Error('Agent record must be true or false');
+    }
+    if (statusCallbackUrl !== undefined && statusCallbackUrl !== null && !isHttpUrl(statusCallbackUrl)) {
+      throw new Error('Agent statusCallbackUrl must be an http(s) URL');
+    }
+    if (silence !== undefined) {
+      this.validateSilence(silence);
+    }
+    if (endPhrases !== undefined && (!Array.isArray(endPhrases) || endPhrases.some((phrase) => typeof phrase !== 'string'))) {
+      throw new Error('Agent endPhrases must be an array of strings');
+    }
+    const inboundMatch = inbound || {};
+    ['numbers', 'roomPrefixes'].forEach((field) => {
+      const values = inboundMatch[field];
+      if (values !== undefined && (!Array.isArray(values) || values.some((value) => typeof value !== 'string'))) {
+        throw new Error(`Agent inbound.${field} must be an array of strings`);
+      }
+    });
+
+    // Throw on invalid voice or model settings
+    resolveTTSSettings(voice || {});
+    resolveLLMSettings(llm || {});
+
+    return {
+      id,
+      name: name || id,
+      systemPrompt: systemPrompt || null,
+      greeting: greeting || null,
+      voicemailMessage: voicemailMessage || null,
+      voice: voice || {},
+      llm: llm || {},
+      tools: tools || null,
+      maxDurationSeconds: maxDurationSeconds || null,
+      record: typeof record === 'boolean' ? record : null,
+      statusCallbackUrl: statusCallbackUrl || null,
+      silence: silence || {},
+      endPhrases: endPhrases || [],
+      inbound: {
+        numbers: inboundMatch.numbers || [],
+        roomPrefixes: inboundMatch.roomPrefixes || [],
+      },
+    };
+  }
+
+  validateSilence(silence) {
+    if (typeof silence !== 'object' || silence === null) {
+      throw new Error('Agent silence must be an object');
+    }
+    if (silence.timeoutSeconds !== undefined && !(typeof silence.timeoutSeconds === 'number' && silence.timeoutSeconds >= 0)) {
+      throw new Error('Agent silence.timeoutSeconds must be a non-negative number');
+    }
+    if (silence.maxReprompts !== undefined && !(Number.isInteger(silence.maxReprompts) && silence.maxReprompts >= 0)) {
+      throw new Error('Agent silence.maxReprompts must be a non-negative integer');
+    }
+    ['reprompt', 'goodbye'].forEach((field) => {
+      if (silence[field] !== undefined && (typeof silence[field] !== 'string' || !silence[field])) {
+        throw new Error(`Agent silence.${field} must be a non-empty string`);
+      }
+    });
+  }
+
+  /**
+   * Get a profile by id
+   * @param {string} agentId - Agent identifier
+   * @returns {Object|null} - Profile, or null if unknown
+   */
+  getAgent(agentId) {
+    return this.agents.get(agentId) || null;
+  }
+
+  /**
+   * Get a profile by id, throwing if it doesn't exist
+   * @param {string} agentId - Agent identifier
+   * @returns {Object} - Profile
+   */
+  requireAgent(agentId) {
+    const agent = this.agents.get(agentId);
+    if (!agent) {
+      const error = new Error(`Agent not found: ${agentId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return agent;
+  }
+
+  /**
+   * List all profiles
+   * @returns {Array<Object>} - Profiles, sorted by id
+   */
+  listAgents() {
+    return [...this.agents.values()].sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Create a profile and write it to the agents directory
+   * @param {Object} definition - Profile definition, including its id
+   * @returns {Object} - Profile
+   */
+  createAgent(definition = {}) {
+    const profile = this.validateProfile(definition);
+    this.checkTools(profile);
+    if (this.agents.has(profile.id)) {
+      const error = new Error(`Agent already exists: ${profile.id}`);
+      error.statusCode = 409;
+      throw error;
+    }
+    this.save(profile, path.join(this.directory, `${profile.id}.json`));
+    logger.info(`Created agent profile ${profile.id}`);
+    return profile;
+  }
+
+  /**
+   * Replace a profile, keeping the format of its file
+   * @param {string} agentId - Agent identifier
+   * @param {Object} definition - New profile definition
+   * @returns {Object} - Profile
+   */
+  updateAgent(agentId, definition = {}) {
+    this.requireAgent(agentId);
+    const profile = this.validateProfile({ ...definition, id: agentId });
+    this.checkTools(profile);
+    this.save(profile, this.files.get(agentId));
+    logger.info(`Updated agent profile ${agentId}`);
+    return profile;
+  }
+
+  /**
+   * Delete a profile and its file
+   * @param {string} agentId - Agent identifier
+   */
+  deleteAgent(agentId) {
+    this.requireAgent(agentId);
+    fs.unlinkSync(this.files.get(agentId));
+    this.agents.delete(agentId);
+    this.files.delete(agentId);
+    logger.info(`Deleted agent profile ${agentId}`);
+  }
+
+  /**
+   * Reject profiles naming tools that aren't registered. Only checked for API
+   * changes: profile files load before the tools are registered.
+   * @param {Object} profile - Validated profile
+   */
+  checkTools(profile) {
+    const unknownTools = (profile.tools || []).filter((tool) => !toolRegistry.tools.has(tool));
+    if (unknownTools.length > 0) {
+      throw new Error(`Unknown tools: ${unknownTools.join(', ')}`);
+    }
+  }
+
+  save(profile, filePath) {
+    const format = FILE_FORMATS[path.extname(filePath).toLowerCase()];
+    fs.mkdirSync(this.directory, { recursive: true });
+    // Write then rename so a crash never leaves a half-written profile behind
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, format.stringify(profile));
+    fs.renameSync(tmpPath, filePath);
+    this.agents.set(profile.id, profile);
+    this.files.set(profile.id, filePath);
+  }
+
+  /**
+   * Pick the profile for an inbound call
+   * @param {Object} call - { calledNumber, roomName }
+   * @returns {Object|null} - Profile, or null to use the deployment defaults
+   */
+  findInboundAgent({ calledNumber, roomName }) {
+    const agents = this.listAgents();
+    const digits = String(calledNumber || '').replace(/\D/g, '');
+
+    const byNumber = digits && agents.find((agent) =>
+      agent.inbound.numbers.some((number) => number.replace(/\D/g, '') === digits));
+    if (byNumber) {
+      return byNumber;
+    }
+
+    // The longest matching prefix wins
+    let byPrefix = null;
+    let prefixLength = 0;
+    agents.forEach((agent) => {
+      agent.inbound.roomPrefixes.forEach((prefix) => {
+        if (roomName && roomName.startsWith(prefix) && prefix.length > prefixLength) {
+          byPrefix = agent;
+          prefixLength = prefix.length;
+        }
+      });
+    });
+    if (byPrefix) {
+      return byPrefix;
+    }
+
+    return this.defaultAgentId ? this.getAgent(this.defaultAgentId) : null;
+  }
+}
+
+module.exports = new AgentRegistry();
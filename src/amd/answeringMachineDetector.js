@@ -0,0 +1,186 @@
+const BeepDetector = require('./beepDetector');
+
+// Things voicemail greetings say and people picking up don't
+const MACHINE_PHRASES = [
+  /leave (me |us )?(a |your )?(brief |short )?(message|name)/,
+  /(not|n't) (available|here|able to (take|answer))/,
+  /unavailable/,
+  /(after|at) the (tone|beep)/,
+  /voice ?mail/,
+  /mailbox/,
+  /(can't|cannot|can not) (take|get to|come to|answer)/,
+  /record your message/,
+  /(get|call) (back to you|you back)/,
+];
+
+/**
+ * Decides whether an outbound call was answered by a person or a machine from
+ * the first seconds of callee audio:
+ *
+ * - a voicemail phrase ("leave a message", "not available") or a beep means a machine
+ * - a greeting of machineWords or more means a machine; people say "Hello?" and wait
+ * - a short greeting followed by humanSilenceMs of quiet means a person
+ * - when detectionMs runs out, someone speaking means a person, nobody means unknown
+ *
+ * After a machine is detected, waitForBeep() tells when to start the message.
+ */
+class AnsweringMachineDetector {
+  /**
+   * @param {Object} options - { detectionMs, machineWords, humanSilenceMs, onResult };
+   *   onResult receives (result, reason) with result 'human', 'machine' or 'unknown'
+   */
+  constructor({ detectionMs, machineWords, humanSilenceMs, onResult }) {
+    this.detectionMs = detectionMs;
+    this.machineWords = machineWords;
+    this.humanSilenceMs = humanSilenceMs;
+    this.onResult = onResult;
+    this.result = null;
+    this.finals = [];
+    this.interim = '';
+    this.timer = null;
+    this.humanTimer = null;
+    this.beepWait = null;
+    this.beepHeard = false;
+    this.beepDetector = new BeepDetector({ onBeep: () => this.handleBeep() });
+  }
+
+  /**
+   * Start the detection window; call once the callee has answered
+   */
+  start() {
+    this.timer = setTimeout(() => this.decideOnTimeout(), this.detectionMs);
+  }
+
+  /**
+   * Analyse callee audio for the beep
+   * @param {Buffer} buffer - 16 kHz mono linear16 PCM
+   */
+  processAudio(buffer) {
+    this.beepDetector.processAudio(buffer);
+  }
+
+  /**
+   * Take in an interim or final transcript of the callee
+   * @param {Object} result - Transcription result
+   */
+  addTranscript(result) {
+    if (!result.transcript) {
+      return;
+    }
+    this.noteSpeech();
+    if (result.isFinal) {
+      this.finals.push(result.transcript);
+      this.interim = '';
+    } else {
+      this.interim = result.transcript;
+    }
+    if (this.result) {
+      return;
+    }
+
+    const text = this.heardText().toLowerCase();
+    if (MACHINE_PHRASES.some((phrase) => phrase.test(text))) {
+      this.decide('machine', 'phrase');
+    } else if (countWords(text) >= this.machineWords) {
+      this.decide('machine', 'long_greeting');
+    } else if (result.isFinal && result.speechFinal) {
+      // A short greeting, then quiet: someone waiting for us to talk
+      this.humanTimer = setTimeout(() => this.decide('human', 'short_greeting'), this.humanSilenceMs);
+    }
+  }
+
+  /**
+   * The callee is talking (VAD or a transcript)
+   */
+  noteSpeech() {
+    clearTimeout(this.humanTimer);
+    if (this.beepWait) {
+      this.armBeepSilence();
+    }
+  }
+
+  heardText() {
+    return [...this.finals, this.interim].join(' ').trim();
+  }
+
+  decideOnTimeout() {
+    if (this.result) {
+      return;
+    }
+    if (this.heardText()) {
+      this.decide('human', 'timeout');
+    } else {
+      this.decide('unknown', 'timeout');
+    }
+  }
+
+  decide(result, reason) {
+    if (this.result) {
+      return;
+    }
+    clearTimeout(this.timer);
+    clearTimeout(this.humanTimer);
+    this.result = result;
+    this.onResult(result, reason);
+  }
+
+  handleBeep() {
+    this.beepHeard = true;
+    if (!this.result) {
+      this.decide('machine', 'beep');
+    }
+    if (this.beepWait) {
+      this.finishBeepWait('beep');
+    }
+  }
+
+  /**
+   * Wait for the machine to start recording: its beep, a pause once the greeting
+   * has finished (not every voicemail beeps), or the time limit
+   * @param {Object} options - { silenceMs, timeoutMs }
+   * @returns {Promise<string>} - 'beep', 'silence' or 'timeout'
+   */
+  waitForBeep({ silenceMs, timeoutMs }) {
+    if (this.beepHeard) {
+      return Promise.resolve('beep');
+    }
+    return new Promise((resolve) => {
+      this.beepWait = {
+        resolve,
+        silenceMs,
+        timeout: setTimeout(() => this.finishBeepWait('timeout'), timeoutMs),
+      };
+      this.armBeepSilence();
+    });
+  }
+
+  armBeepSilence() {
+    clearTimeout(this.beepWait.silence);
+    this.beepWait.silence = setTimeout(() => this.finishBeepWait('silence'), this.beepWait.silenceMs);
+  }
+
+  finishBeepWait(reason) {
+    const wait = this.beepWait;
+    clearTimeout(wait.timeout);
+    clearTimeout(wait.silence);
+    this.beepWait = null;
+    wait.resolve(reason);
+  }
+
+  /**
+   * Stop all timers; a pending waitForBeep() resolves with 'stopped'
+   */
+  stop() {
+    clearTimeout(this.timer);
+    clearTimeout(this.humanTimer);
+    if (this.beepWait) {
+      this.finishBeepWait('stopped');
+    }
+  }
+}
+
+function countWords(text) {
+  return text ? text.split(/\s+/).length : 0;
+}
+
+module.exports = AnsweringMachineDetector;
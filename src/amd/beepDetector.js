@@ -0,0 +1,113 @@
+const { SAMPLE_RATE } = require('../utils/audio');
+
+// Voicemail beeps are a steady tone, usually somewhere between 400 Hz and 2 kHz
+const MIN_FREQUENCY_HZ = 400;
+const MAX_FREQUENCY_HZ = 2000;
+const FREQUENCY_STEP_HZ = 25;
+const WINDOW_MS = 20;
+// Share of a window's energy at its strongest frequency; speech stays well below this
+const MIN_PURITY = 0.6;
+// Quieter tones (line noise, hum) are ignored; linear16 RMS amplitude
+const MIN_RMS = 300;
+// A beep holds its pitch from one window to the next
+const MAX_DRIFT_HZ = 50;
+
+/**
+ * Finds the beep a voicemail system plays before it starts recording, using
+ * the Goertzel algorithm to look for a loud, pure tone that holds steady for
+ * at least minDurationMs. onBeep fires when the tone ends, since that is when
+ * recording starts.
+ */
+class BeepDetector {
+  /**
+   * @param {Object} options - { minDurationMs, maxDurationMs, onBeep }
+   */
+  constructor({ minDurationMs = 150, maxDurationMs = 5000, onBeep }) {
+    this.minDurationMs = minDurationMs;
+    this.maxDurationMs = maxDurationMs;
+    this.onBeep = onBeep;
+    this.windowSamples = (SAMPLE_RATE * WINDOW_MS) / 1000;
+    this.pending = Buffer.alloc(0);
+    this.tone = null; // { frequency, durationMs } of the tone in progress
+  }
+
+  /**
+   * Analyse more callee audio
+   * @param {Buffer} buffer - 16 kHz mono linear16 PCM
+   */
+  processAudio(buffer) {
+    this.pending = this.pending.length ? Buffer.concat([this.pending, buffer]) : buffer;
+    const windowBytes = this.windowSamples * 2;
+
+    while (this.pending.length >= windowBytes) {
+      const samples = new Int16Array(this.windowSamples);
+      for (let i = 0; i < this.windowSamples; i++) {
+        samples[i] = this.pending.readInt16LE(i * 2);
+      }
+      this.pending = this.pending.subarray(windowBytes);
+      this.processWindow(samples);
+    }
+  }
+
+  processWindow(samples) {
+    const tone = dominantTone(samples);
+    const continues = tone && this.tone && Math.abs(tone.frequency - this.tone.frequency) <= MAX_DRIFT_HZ;
+
+    if (continues) {
+      this.tone.durationMs += WINDOW_MS;
+      return;
+    }
+
+    // The tone in progress (if any) just ended
+    const ended = this.tone;
+    this.tone = tone ? { frequency: tone.frequency, durationMs: WINDOW_MS } : null;
+    if (ended && ended.durationMs >= this.minDurationMs && ended.durationMs <= this.maxDurationMs) {
+      this.onBeep({ frequency: ended.frequency, durationMs: ended.durationMs });
+    }
+  }
+}
+
+/**
+ * The strongest frequency in a window, if the window is a loud, pure tone
+ * @param {Int16Array} samples - One analysis window
+ * @returns {Object|null} - { frequency, purity }, or null if there's no tone
+ */
+function dominantTone(samples) {
+  let energy = 0;
+  for (const sample of samples) {
+    energy += sample * sample;
+  }
+  if (Math.sqrt(energy / samples.length) < MIN_RMS) {
+    return null;
+  }
+
+  let best = null;
+  for (let frequency = MIN_FREQUENCY_HZ; frequency <= MAX_FREQUENCY_HZ; frequency += FREQUENCY_STEP_HZ) {
+    // A pure sine at this frequency scores 1
+    const purity = (2 * goertzelPower(samples, frequency)) / (samples.length * energy);
+    if (!best || purity > best.purity) {
+      best = { frequency, purity };
+    }
+  }
+  return best.purity >= MIN_PURITY ? best : null;
+}
+
+/**
+ * Power of a single frequency in a window (Goertzel algorithm)
+ * @param {Int16Array} samples - Window of samples
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} - Squared magnitude
+ */
+function goertzelPower(samples, frequency) {
+  const coefficient = 2 * Math.cos((2 * Math.PI * frequency) / SAMPLE_RATE);
+  let previous = 0;
+  let beforePrevious = 0;
+  for (const sample of samples) {
+    const current = sample + coefficient * previous - beforePrevious;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious;
+}
+
+module.exports = BeepDetector;
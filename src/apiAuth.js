@@ -0,0 +1,372 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const logger = require('./utils/logger');
+const { audit } = require('./utils/auditLog');
+const callManager = require('./callManager');
+
+// Each scope includes the ones before it
+const SCOPES = ['calls:read', 'calls:write', 'calls:admin'];
+const AUTH_DISABLED = process.env.API_AUTH_DISABLED === 'true';
+const JWT_SECRET = process.env.API_JWT_SECRET || null;
+const DEFAULT_LIMITS = {
+  rateLimit: {
+    requests: parseInt(process.env.API_RATE_LIMIT_REQUESTS || '120', 10),
+    windowSeconds: parseInt(process.env.API_RATE_LIMIT_WINDOW_SECONDS || '60', 10),
+  },
+  maxConcurrentCalls: parseInt(process.env.API_MAX_CONCURRENT_CALLS || '10', 10),
+};
+
+/**
+ * Authenticates REST and WebSocket API requests and enforces per-client limits.
+ *
+ * Clients present an API key or an HS256 JWT (signed with API_JWT_SECRET) as
+ * "Authorization: Bearer <credential>", in an X-API-Key header, or, for browser
+ * EventSource and WebSocket clients that can't set headers, as ?access_token=.
+ * Keys live in a JSON file (API_KEYS_PATH, default ./api-keys.json) that is
+ * reloaded whenever it changes:
+ *
+ * {
+ *   "keys": [{
+ *     "id": "crm",                                  // Shown in logs and on the calls it places
+ *     "keyHash": "<sha256 hex of the key>",          // Or "key": "<the key>"
+ *     "scopes": ["calls:write"],
+ *     "rateLimit": { "requests": 60, "windowSeconds": 60 },  // Optional, defaults to API_RATE_LIMIT_*
+ *     "maxConcurrentCalls": 5                        // Optional, defaults to API_MAX_CONCURRENT_CALLS
+ *   }]
+ * }
+ *
+ * A JWT's subject identifies the client and its "scope" claim (space separated)
+ * or "scopes" claim grants scopes; it gets the default limits. calls:read allows
+ * reads, calls:write also placing and controlling calls, and calls:admin
+ * everything, including configuration. Failures and denials are audit-logged.
+ */
+class ApiAuth {
+  constructor() {
+    this.filePath = path.resolve(process.cwd(), process.env.API_KEYS_PATH || 'api-keys.json');
+    this.keys = new Map(); // Key entries by SHA-256 of the key
+    this.windows = new Map(); // Rate limit window { startedAt, count } by client id
+    this.pendingCalls = new Map(); // Reservations for outbound calls not registered yet, by client id
+    this.load();
+
+    // Pick up keys added or revoked directly in the file
+    fs.watchFile(this.filePath, { persistent: false, interval: 2000 }, () => this.load());
+
+    if (AUTH_DISABLED) {
+      logger.warn('API_AUTH_DISABLED is set, so the API is open to anyone who can reach it');
+    } else if (this.keys.size === 0 && !JWT_SECRET) {
+      logger.warn(`No API keys in ${this.filePath} and no API_JWT_SECRET, so every API request will be rejected`);
+    }
+  }
+
+  /**
+   * (Re)load the keys file, keeping the current keys if it is invalid
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.keys = new Map();
+      return;
+    }
+    try {
+      const config = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (!Array.isArray(config.keys)) {
+        throw new Error('keys must be an array');
+      }
+      const keys = new Map();
+      config.keys.forEach((entry) => {
+        const client = this.validateKey(entry);
+        keys.set(client.keyHash, client);
+      });
+      this.keys = keys;
+      logger.info(`Loaded ${keys.size} API key(s) from ${this.filePath}`);
+    } catch (error) {
+      logger.error(`Keeping previous API keys, ${this.filePath} is invalid: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate and normalise a key entry
+   * @param {Object} entry - Key entry from the keys file
+   * @returns {Object} - { id, keyHash, scopes, rateLimit, maxConcurrentCalls }
+   */
+  validateKey(entry = {}) {
+    if (!entry.id || typeof entry.id !== 'string') {
+      throw new Error('Every API key needs an id');
+    }
+    if (!entry.keyHash && !entry.key) {
+      throw new Error(`API key ${entry.id} needs a key or keyHash`);
+    }
+    if (!Array.isArray(entry.scopes) || entry.scopes.some((scope) => !SCOPES.includes(scope))) {
+      throw new Error(`API key ${entry.id} scopes must be some of: ${SCOPES.join(', ')}`);
+    }
+    const rateLimit = { ...DEFAULT_LIMITS.rateLimit, ...(entry.rateLimit || {}) };
+    if (!Number.isInteger(rateLimit.requests) || rateLimit.requests < 1 ||
+        !Number.isInteger(rateLimit.windowSeconds) || rateLimit.windowSeconds < 1) {
+      throw new Error(`API key ${entry.id} rateLimit needs positive integer requests and windowSeconds`);
+    }
+    const maxConcurrentCalls = entry.maxConcurrentCalls === undefined ? DEFAULT_LIMITS.maxConcurrentCalls : entry.maxConcurrentCalls;
+    if (!Number.isInteger(maxConcurrentCalls) || maxConcurrentCalls < 0) {
+      throw new Error(`API key ${entry.id} maxConcurrentCalls must be a non-negative integer`);
+    }
+
+    return {
+      id: entry.id,
+      keyHash: (entry.keyHash || hashKey(entry.key)).toLowerCase(),
+      scopes: entry.scopes,
+      rateLimit,
+      maxConcurrentCalls,
+    };
+  }
+
+  /**
+   * Identify the client making a request
+   * @param {Object} req - HTTP request (Express or a raw upgrade request)
+   * @returns {Object} - Client { id, scopes, rateLimit, maxConcurrentCalls }
+   */
+  authenticate(req) {
+    if (AUTH_DISABLED) {
+      return { id: 'anonymous', scopes: SCOPES, rateLimit: null, maxConcurrentCalls: null };
+    }
+
+    const credential = readCredential(req);
+    if (!credential) {
+      throw authError(401, 'Missing API credentials');
+    }
+
+    const key = this.keys.get(hashKey(credential));
+    if (key) {
+      return key;
+    }
+    if (JWT_SECRET && credential.split('.').length === 3) {
+      let claims;
+      try {
+        claims = jwt.verify(credential, JWT_SECRET, {
+          algorithms: ['HS256'],
+          issuer: process.env.API_JWT_ISSUER || undefined,
+          audience: process.env.API_JWT_AUDIENCE || undefined,
+        });
+      } catch (error) {
+        throw authError(401, `Invalid token: ${error.message}`);
+      }
+      if (!claims.sub) {
+        throw authError(401, 'Token has no subject');
+      }
+      const scopes = Array.isArray(claims.scopes) ? claims.scopes : String(claims.scope || '').split(' ');
+      return { id: `jwt:${claims.sub}`, scopes: scopes.filter((scope) => SCOPES.includes(scope)), ...DEFAULT_LIMITS };
+    }
+    throw authError(401, 'Invalid API key');
+  }
+
+  /**
+   * Whether a client has a scope, directly or through a broader one
+   * @param {Object} client - Authenticated client
+   * @param {string} scope - Required scope
+   * @returns {boolean} - True if allowed
+   */
+  hasScope(client, scope) {
+    const required = SCOPES.indexOf(scope);
+    return client.scopes.some((granted) => SCOPES.indexOf(granted) >= required);
+  }
+
+  /**
+   * Count a request against the client's rate limit
+   * @param {Object} client - Authenticated client
+   * @returns {Object} - { allowed, limit, remaining, resetAt }
+   */
+  consumeRequest(client) {
+    if (!client.rateLimit) {
+      return { allowed: true };
+    }
+    const now = Date.now();
+    const windowMs = client.rateLimit.windowSeconds * 1000;
+    let window = this.windows.get(client.id);
+    if (!window || now - window.startedAt >= windowMs) {
+      window = { startedAt: now, count: 0 };
+      this.windows.set(client.id, window);
+    }
+    window.count += 1;
+
+    return {
+      allowed: window.count <= client.rateLimit.requests,
+      limit: client.rateLimit.requests,
+      remaining: Math.max(client.rateLimit.requests - window.count, 0),
+      resetAt: window.startedAt + windowMs,
+    };
+  }
+
+  /**
+   * Express middleware that authenticates the request, applies the client's rate
+   * limit and requires a scope. The client is left on req.client.
+   * @param {string} scope - Scope the route needs
+   * @returns {Function} - Express middleware
+   */
+  requireScope(scope) {
+    return (req, res, next) => {
+      let client;
+      try {
+        client = this.authenticate(req);
+      } catch (error) {
+        audit('auth.failed', { ...requestInfo(req), reason: error.message });
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+
+      const usage = this.consumeRequest(client);
+      if (usage.limit) {
+        res.set({
+          'X-RateLimit-Limit': String(usage.limit),
+          'X-RateLimit-Remaining': String(usage.remaining),
+          'X-RateLimit-Reset': String(Math.ceil(usage.resetAt / 1000)),
+        });
+      }
+      if (!usage.allowed) {
+        audit('rate_limit.exceeded', { client: client.id, ...requestInfo(req), limit: usage.limit });
+        res.set('Retry-After', String(Math.ceil((usage.resetAt - Date.now()) / 1000)));
+        return res.status(429).json({ error: 'Rate limit exceeded' });
+      }
+
+      if (!this.hasScope(client, scope)) {
+        audit('auth.forbidden', { client: client.id, ...requestInfo(req), scope });
+        return res.status(403).json({ error: `This API key lacks the ${scope} scope` });
+      }
+      req.client = client;
+      next();
+    };
+  }
+
+  /**
+   * Reserve one of the client's concurrent outbound calls, counting calls it
+   * placed that are still live and ones being placed right now. Pass the release
+   * function as the call's onRegistered option, since a registered call counts as
+   * live, and call it again if placing the call fails (releasing twice is harmless).
+   * @param {Object} client - Authenticated client
+   * @param {Object} req - Request placing the call, for the audit log
+   * @returns {Function} - Releases the reservation
+   */
+  reserveCall(client, req) {
+    const release = this.tryReserveCall(client.id, client.maxConcurrentCalls);
+    if (!release) {
+      const activeCalls = this.countCalls(client.id);
+      audit('quota.exceeded', { client: client.id, ...requestInfo(req), maxConcurrentCalls: client.maxConcurrentCalls, activeCalls });
+      throw authError(429, `Concurrent call limit of ${client.maxConcurrentCalls} reached`);
+    }
+    return release;
+  }
+
+  /**
+   * Reserve a call for a campaign, within the quota of the client that created it
+   * @param {string} clientId - Client that created the campaign
+   * @returns {Function|null} - Releases the reservation, or null if the client is at its limit
+   */
+  reserveCampaignCall(clientId) {
+    return this.tryReserveCall(clientId, this.callLimit(clientId));
+  }
+
+  /**
+   * The concurrent call limit of a client
+   * @param {string} clientId - Client identifier
+   * @returns {number|null} - Limit, or null for none
+   */
+  callLimit(clientId) {
+    const key = [...this.keys.values()].find((candidate) => candidate.id === clientId);
+    if (key) {
+      return key.maxConcurrentCalls;
+    }
+    // Revoked keys place no more calls; JWT clients get the defaults
+    if (clientId.startsWith('jwt:')) {
+      return DEFAULT_LIMITS.maxConcurrentCalls;
+    }
+    return AUTH_DISABLED ? null : 0;
+  }
+
+  countCalls(clientId) {
+    const live = callManager.getAllActiveCalls().filter((call) => call.requestedBy === clientId).length;
+    return live + (this.pendingCalls.has(clientId) ? this.pendingCalls.get(clientId).size : 0);
+  }
+
+  tryReserveCall(clientId, limit) {
+    if (limit === null) {
+      return () => {};
+    }
+    if (this.countCalls(clientId) >= limit) {
+      return null;
+    }
+
+    const reservation = {};
+    const reservations = this.pendingCalls.get(clientId) || new Set();
+    reservations.add(reservation);
+    this.pendingCalls.set(clientId, reservations);
+    return () => {
+      if (reservations.delete(reservation) && reservations.size === 0 && this.pendingCalls.get(clientId) === reservations) {
+        this.pendingCalls.delete(clientId);
+      }
+    };
+  }
+
+  /**
+   * Check a WebSocket upgrade request, which Express middleware never sees
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {string} scope - Scope needed
+   * @returns {Object} - Authenticated client
+   */
+  authorizeUpgrade(req, scope) {
+    let client;
+    try {
+      client = this.authenticate(req);
+    } catch (error) {
+      audit('auth.failed', { ...requestInfo(req), reason: error.message });
+      throw error;
+    }
+    if (!this.consumeRequest(client).allowed) {
+      audit('rate_limit.exceeded', { client: client.id, ...requestInfo(req), limit: client.rateLimit.requests });
+      throw authError(429, 'Rate limit exceeded');
+    }
+    if (!this.hasScope(client, scope)) {
+      audit('auth.forbidden', { client: client.id, ...requestInfo(req), scope });
+      throw authError(403, `This API key lacks the ${scope} scope`);
+    }
+    return client;
+  }
+}
+
+/**
+ * SHA-256 of an API key, which is all the server keeps
+ * @param {string} key - API key
+ * @returns {string} - Hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * The credential a request presents, from the Authorization or X-API-Key header or the access_token query parameter
+ * @param {Object} req - HTTP request
+ * @returns {string|null} - Credential
+ */
+function readCredential(req) {
+  const authorization = req.headers.authorization || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(authorization);
+  if (bearer) {
+    return bearer[1].trim();
+  }
+  if (req.headers['x-api-key']) {
+    return req.headers['x-api-key'];
+  }
+  return new URL(req.url, 'http://localhost').searchParams.get('access_token');
+}
+
+function requestInfo(req) {
+  return {
+    ip: req.ip || req.socket.remoteAddress,
+    method: req.method,
+    path: new URL(req.originalUrl || req.url, 'http://localhost').pathname,
+  };
+}
+
+function authError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = new ApiAuth();
@@ -1,13 +1,123 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('./utils/logger');
 const livekitClient = require('./livekitClient');
-const deepgramHandler = require('./deepgramHandler');
+const { getSTTProvider, DEFAULT_PROVIDER: DEFAULT_STT_PROVIDER, FALLBACK_PROVIDER: FALLBACK_STT_PROVIDER } = require('./stt');
 const llmBot = require('./llmBot');
+const callRepository = require('./repositories');
+const toolRegistry = require('./tools/toolRegistry');
+const registerBuiltinTools = require('./tools/builtinTools');
 
-class CallManager {
+const TRANSFER_MODES = ['cold', 'warm'];
+// Statuses that already describe how a call finished, so endCall keeps them
+const FINAL_STATUSES = ['transferred', 'failed', 'busy', 'no_answer', 'rejected', 'bot_join_failed'];
+const RING_TIMEOUT_SECONDS = parseInt(process.env.OUTBOUND_RING_TIMEOUT_SECONDS || '30', 10);
+// How an unanswered outbound call ended, by the SIP participant's disconnect reason
+const SIP_DISCONNECT_OUTCOMES = {
+  USER_UNAVAILABLE: 'no_answer',
+  USER_REJECTED: 'busy',
+  SIP_TRUNK_FAILURE: 'failed',
+};
+// Opening lines when neither the call nor its agent sets one; no OUTBOUND_GREETING means the LLM writes it
+const DEFAULT_GREETINGS = {
+  inbound: process.env.INBOUND_GREETING || 'Hello! How can I help you today?',
+  outbound: process.env.OUTBOUND_GREETING || null,
+};
+// Lets the caller's side subscribe to the bot's freshly published track before it talks
+const GREETING_DELAY_MS = parseInt(process.env.GREETING_DELAY_MS || '300', 10);
+// What the bot does when the caller goes quiet; agent profiles can override any of these
+const DEFAULT_SILENCE_SETTINGS = {
+  timeoutSeconds: parseFloat(process.env.SILENCE_TIMEOUT_SECONDS || '10'), // 0 turns reprompts off
+  maxReprompts: parseInt(process.env.SILENCE_MAX_REPROMPTS || '2', 10),
+  reprompt: process.env.SILENCE_REPROMPT_MESSAGE || 'Are you still there?',
+  goodbye: process.env.SILENCE_GOODBYE_MESSAGE || "I haven't heard from you, so I'll end the call now. Goodbye!",
+};
+// Hard limit for calls whose agent doesn't set one; 0 means no limit
+const MAX_CALL_DURATION_SECONDS = parseInt(process.env.MAX_CALL_DURATION_SECONDS || '3600', 10);
+const MAX_DURATION_MESSAGE = process.env.MAX_DURATION_MESSAGE ||
+  "I'm sorry, but we've reached the time limit for this call. Goodbye!";
+// Endpointing: quiet time after the caller stops before the bot answers, and the
+// longest to wait for an end-of-speech signal once a final transcript arrives
+const TURN_SILENCE_MS = parseInt(process.env.TURN_SILENCE_MS || '500', 10);
+const TURN_MAX_WAIT_MS = parseInt(process.env.TURN_MAX_WAIT_MS || '1500', 10);
+// Keypad input: keys pressed outside a digit collection are sent to the LLM once the
+// caller presses the terminator or stops for DTMF_INPUT_TIMEOUT_MS
+const DTMF_INPUT_TIMEOUT_MS = parseInt(process.env.DTMF_INPUT_TIMEOUT_MS || '2000', 10);
+const DEFAULT_DIGIT_COLLECTION = {
+  maxDigits: null, // No limit, only the terminator or timeout ends the entry
+  terminator: process.env.DTMF_TERMINATOR || '#',
+  timeoutSeconds: parseFloat(process.env.DTMF_COLLECT_TIMEOUT_SECONDS || '10'), // Wait for each key
+};
+// Answering machine detection on answered outbound calls, and what to do about a machine
+const DEFAULT_MACHINE_DETECTION = {
+  enabled: process.env.AMD_ENABLED !== 'false',
+  detectionMs: parseFloat(process.env.AMD_DETECTION_SECONDS || '4') * 1000, // Longest to listen before deciding
+  machineWords: parseInt(process.env.AMD_MACHINE_WORDS || '10', 10), // A greeting this long is a recording
+  humanSilenceMs: parseInt(process.env.AMD_HUMAN_SILENCE_MS || '1000', 10), // Quiet after a short "Hello?"
+  beepTimeoutMs: parseFloat(process.env.AMD_BEEP_TIMEOUT_SECONDS || '20') * 1000, // Longest to wait for the beep
+  beepSilenceMs: parseInt(process.env.AMD_BEEP_SILENCE_MS || '2500', 10), // Quiet that means recording started without one
+};
+// No VOICEMAIL_MESSAGE means the LLM writes one from the call's context
+const DEFAULT_VOICEMAIL_MESSAGE = process.env.VOICEMAIL_MESSAGE || null;
+// Calls are recorded when their agent or request asks for it, otherwise only if RECORDING_ENABLED.
+// 'room_composite' and 'track' record with LiveKit Egress into RECORDINGS_DIR on the egress service;
+// 'local' writes a stereo WAV into RECORDINGS_DIR here, for trying things out without Egress
+const RECORDING_ENABLED = process.env.RECORDING_ENABLED === 'true';
+const RECORDING_MODES = ['room_composite', 'track', 'local'];
+const RECORDING_MODE = process.env.RECORDING_MODE || 'room_composite';
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || 'recordings';
+// Recording status by egress status: numbers from the SDK, names from webhooks
+const EGRESS_RECORDING_STATUSES = {
+  2: 'ending', EGRESS_ENDING: 'ending',
+  3: 'complete', EGRESS_COMPLETE: 'complete',
+  4: 'failed', EGRESS_FAILED: 'failed',
+  5: 'failed', EGRESS_ABORTED: 'failed',
+  6: 'complete', EGRESS_LIMIT_REACHED: 'complete', // Cut short, but the file is there
+};
+// Supervisor monitoring: what each mode's token may do in the call's room. Listeners and
+// whisperers are hidden and can't publish there; whisperers speak in a separate whisper room
+// that only the bot joins, so the caller, who subscribes to everything in the call's room, never hears them
+const SUPERVISOR_GRANTS = {
+  listen: { canPublish: false, canPublishData: false, canSubscribe: true, hidden: true },
+  whisper: { canPublish: false, canPublishData: false, canSubscribe: true, hidden: true },
+  barge: { canPublish: true, canPublishData: false, canSubscribe: true },
+};
+const WHISPER_GRANT = { canPublish: true, canPublishData: false, canSubscribe: false };
+const SUPERVISOR_TOKEN_TTL = process.env.SUPERVISOR_TOKEN_TTL || '1h';
+// Where lifecycle events go for calls whose request or agent doesn't name a statusCallbackUrl
+const DEFAULT_STATUS_CALLBACK_URL = process.env.STATUS_CALLBACK_URL || null;
+const TRANSFER_FALLBACK_MESSAGE = process.env.TRANSFER_FALLBACK_MESSAGE ||
+  "I'm sorry, I wasn't able to connect you to someone right now. Is there anything else I can help you with?";
+const { pcmDurationMs } = require('./utils/audio');
+const TurnDetector = require('./stt/turnDetector');
+const AnsweringMachineDetector = require('./amd/answeringMachineDetector');
+const LocalRecorder = require('./recording/localRecorder');
+const { isDtmfDigit, isDtmfSequence } = require('./utils/dtmf');
+const { resolveTTSSettings, inboundTTSSettings, synthesizeSpeech } = require('./tts');
+const { resolveLLMSettings, inboundLLMSettings } = require('./llm');
+const agentRegistry = require('./agentRegistry');
+const routingEngine = require('./routingEngine');
+
+/**
+ * Emits 'statusChanged' ({ callId, status, previousStatus }, with a null previousStatus
+ * when the call is first registered), 'interimTranscript' ({ callId, text }), 'transcript'
+ * ({ callId, entry }), 'botSpeech' ({ callId, text }, as each reply chunk starts playing),
+ * 'turnMetrics' ({ callId, ...metrics }), 'toolInvoked' ({ callId, name, arguments, result,
+ * error, durationMs, timestamp }) and 'callEnded' (call details).
+ */
+class CallManager extends EventEmitter {
   constructor() {
+    super();
     this.activeCalls = new Map(); // Map of active calls by callId
     this.botParticipants = new Map(); // Map to track bot participant identities
+    this.activeTurns = new Map(); // Map of the bot response currently being produced, by callId
+    this.recordingEgresses = new Map(); // Call ID by egress ID, until LiveKit reports the egress ended
+    this.streamingEnabled = process.env.LLM_STREAMING !== 'false';
+    
+    registerBuiltinTools(toolRegistry, this);
+    toolRegistry.on('toolInvoked', (invocation) => this.recordToolInvocation(invocation));
   }
 
   /**
@@ -17,7 +127,7 @@ class CallManager {
    * @returns {Promise<Object>} - Call details
    */
   async handleInboundCall(callData) { // Changed to accept a single object
-    const { roomName, callerId, sipParticipantIdentity, webhookPayload } = callData;
+    const { roomName, callerId, calledNumber, sipParticipantIdentity, webhookPayload } = callData;
     let callIdForErrorHandling; // To store callId if generated
 
     try {
@@ -26,6 +136,23 @@ class CallManager {
       // Use callerId from webhook payload for logging, if available
       logger.info(`Handling inbound call from ${callerId || 'Unknown Caller'} for room ${roomName}, SIP Participant: ${sipParticipantIdentity}, call ID: ${callId}`);
       
+      // Routing rules decide whether the bot takes the call at all
+      const route = routingEngine.route({ calledNumber, callerId });
+      const routing = route.ruleId ? { ruleId: route.ruleId, action: route.action.type } : undefined;
+      if (routing) {
+        logger.info(`[${callId}] Matched routing rule ${route.ruleId}: ${route.action.type}`);
+      }
+      if (route.action.type === 'reject') {
+        return this.rejectInboundCall(callId, callData, routing);
+      }
+      if (route.action.type === 'transfer') {
+        const transferred = await this.transferInboundCall(callId, callData, route.action.target, routing);
+        if (transferred) {
+          return transferred;
+        }
+        routing.error = 'transfer_failed'; // The bot takes the call instead
+      }
+      
       const botIdentity = `bot-${callId}`;
       
       // Ensure the room exists (LiveKit dispatch rule should create it based on prefix)
@@ -33,29 +160,52 @@ class CallManager {
       await livekitClient.createOrGetRoom(roomName); 
       
       const botToken = livekitClient.generateToken(roomName, botIdentity, true);
+      const agent = this.routedAgent(route, { calledNumber, roomName });
+      const llmSettings = this.inboundModel(calledNumber, agent);
       
       llmBot.initializeConversation(callId, {
         type: 'inbound',
         caller: callerId || sipParticipantIdentity, // Prefer callerId, fallback to SIP identity
         roomName,
-        webhookPayload // Store webhook payload for context if needed
+        webhookPayload, // Store webhook payload for context if needed
+        llm: llmSettings,
+        tools: agent && agent.tools ? agent.tools : undefined,
+        agentId: agent ? agent.id : undefined,
       });
       
-      llmBot.addSystemMessage(callId, 
-        `This is an inbound call from ${callerId || 'Unknown Caller'}. Be welcoming and helpful.`);
+      // An agent's own prompt sets its tone
+      llmBot.addSystemMessage(callId, agent
+        ? `This is an inbound call from ${callerId || 'Unknown Caller'}.`
+        : `This is an inbound call from ${callerId || 'Unknown Caller'}. Be welcoming and helpful.`);
       
-      this.activeCalls.set(callId, {
+      const inboundCall = {
         id: callId,
         roomName,
         type: 'inbound',
         callerIdentity: callerId || sipParticipantIdentity,
+        calledNumber,
         sipParticipantIdentity,
         botIdentity,
         botToken, // Storing botToken here
         startTime: new Date(),
         status: 'initializing_bot', // New status: bot is being initialized
         webhookPayload,
-      });
+        sttProvider: callData.sttProvider || DEFAULT_STT_PROVIDER,
+        tts: this.inboundVoice(calledNumber, agent),
+        llm: modelSummary(llmSettings),
+        ...agentCallSettings(agent),
+        greeting: resolveGreeting('inbound', agent),
+        record: resolveRecording(agent),
+        statusCallbackUrl: resolveStatusCallbackUrl(agent),
+        routing,
+        routingMessage: route.action.type === 'message' ? route.action.text : undefined,
+      };
+      if (this.activeCalls.has(callId)) {
+        // A routed transfer failed, so the call is already on record
+        this.takeOverCall(inboundCall);
+      } else {
+        this.registerCall(inboundCall);
+      }
       
       this.botParticipants.set(roomName, botIdentity);
       
@@ -64,27 +214,26 @@ class CallManager {
       // The implementation of llmBot.joinRoom will use the botToken to connect.
       try {
         logger.info(`Instructing bot ${botIdentity} to join room ${roomName} for call ${callId}.`);
-        await llmBot.joinRoom(callId, roomName, botIdentity, botToken); // Pass callId for context
-        // Update status after bot is instructed to join
-        const call = this.activeCalls.get(callId);
-        if (call) {
-          call.status = 'bot_joining';
-          this.activeCalls.set(callId, call);
-        }
-        logger.info(`Bot ${botIdentity} join instruction sent for room ${roomName}.`);
+        this.updateStatus(callId, 'bot_joining');
+        await this.connectBot(callId);
+        logger.info(`Bot ${botIdentity} joined room ${roomName} and audio pipeline is running.`);
       } catch (botJoinError) {
         logger.error(`Error instructing bot to join room ${roomName} for call ${callId}: ${botJoinError.message}`, botJoinError.stack);
-        // Update status to reflect bot join failure
-        const call = this.activeCalls.get(callId);
-        if (call) {
-          call.status = 'bot_join_failed';
-          this.activeCalls.set(callId, call);
-        }
+        // Update status to reflect bot join failure, and hang up rather than leave the caller in silence
+        this.updateStatus(callId, 'bot_join_failed');
+        await this.hangUp(callId);
         throw botJoinError; // Re-throw to be caught by the outer try-catch
       }
       
       logger.info(`Inbound call handling initialized for bot to join, call ID: ${callId}`);
       
+      if (route.action.type === 'message') {
+        // Don't hold up the webhook while the message plays
+        this.playRoutingMessage(callId).catch((error) => {
+          logger.error(`[${callId}] Error playing routing message: ${error.message}`);
+        });
+      }
+      
       return {
         callId,
         roomName,
@@ -97,22 +246,147 @@ class CallManager {
       if (callIdForErrorHandling) {
         const call = this.activeCalls.get(callIdForErrorHandling);
         if (call && (call.status === 'initializing_bot' || call.status === 'bot_joining')) {
-            call.status = 'setup_failed';
-            this.activeCalls.set(call.id, call);
+            this.updateStatus(call.id, 'setup_failed');
         }
       }
       throw error;
     }
   }
 
+  /**
+   * Agent profile for an inbound call: the routing rule's, else the usual selection
+   * @param {Object} route - Routing decision { ruleId, action }
+   * @param {Object} call - { calledNumber, roomName }
+   * @returns {Object|null} - Agent profile, or null for the deployment defaults
+   */
+  routedAgent(route, call) {
+    if (route.action.type === 'agent') {
+      const agent = agentRegistry.getAgent(route.action.agentId);
+      if (agent) {
+        return agent;
+      }
+      logger.warn(`Routing rule ${route.ruleId} names unknown agent ${route.action.agentId}, using default selection`);
+    }
+    return agentRegistry.findInboundAgent(call);
+  }
+
+  /**
+   * Record an inbound call that a routing rule rejected and hang it up
+   * @param {string} callId - Call identifier
+   * @param {Object} callData - Inbound call data from the webhook
+   * @param {Object} routing - { ruleId, action }
+   * @returns {Promise<Object>} - Call details
+   */
+  async rejectInboundCall(callId, callData, routing) {
+    const { roomName, callerId, calledNumber, sipParticipantIdentity, webhookPayload } = callData;
+    this.registerCall({
+      id: callId,
+      roomName,
+      type: 'inbound',
+      callerIdentity: callerId || sipParticipantIdentity,
+      calledNumber,
+      sipParticipantIdentity,
+      startTime: new Date(),
+      status: 'rejected',
+      webhookPayload,
+      routing,
+      statusCallbackUrl: resolveStatusCallbackUrl(null),
+    });
+    
+    // Closing the room hangs up the SIP leg
+    await livekitClient.endRoom(roomName).catch((error) => {
+      logger.error(`[${callId}] Error hanging up rejected call: ${error.message}`);
+    });
+    await this.endCall(callId);
+    return { callId, roomName, rejected: true };
+  }
+
+  /**
+   * Send an inbound call straight to a human without the bot joining
+   * @param {string} callId - Call identifier
+   * @param {Object} callData - Inbound call data from the webhook
+   * @param {string} target - Phone number or SIP URI
+   * @param {Object} routing - { ruleId, action }
+   * @returns {Promise<Object|null>} - Call details, or null if the transfer failed
+   */
+  async transferInboundCall(callId, callData, target, routing) {
+    const { roomName, callerId, calledNumber, sipParticipantIdentity, webhookPayload } = callData;
+    if (!sipParticipantIdentity) {
+      logger.warn(`[${callId}] No SIP participant to transfer, letting the bot take the call`);
+      return null;
+    }
+    
+    this.registerCall({
+      id: callId,
+      roomName,
+      type: 'inbound',
+      callerIdentity: callerId || sipParticipantIdentity,
+      calledNumber,
+      sipParticipantIdentity,
+      startTime: new Date(),
+      status: 'transferring',
+      webhookPayload,
+      routing,
+      transfer: { mode: 'cold', target, reason: `routing rule ${routing.ruleId}`, startedAt: new Date() },
+      statusCallbackUrl: resolveStatusCallbackUrl(null),
+    });
+    
+    const call = this.activeCalls.get(callId);
+    try {
+      const result = await livekitClient.transferSipParticipant(roomName, sipParticipantIdentity, target);
+      call.transfer = { ...call.transfer, ...result, completedAt: new Date() };
+      this.updateStatus(callId, 'transferred');
+      await this.endCall(callId);
+      return { callId, roomName, transferred: true };
+    } catch (error) {
+      logger.error(`[${callId}] Routed transfer to ${target} failed, letting the bot take the call: ${error.message}`);
+      call.transfer = { ...call.transfer, error: error.message, failedAt: new Date() };
+      return null;
+    }
+  }
+
+  /**
+   * Play a routing rule's message (e.g. after hours) and hang up
+   * @param {string} callId - Call identifier
+   * @returns {Promise<void>}
+   */
+  async playRoutingMessage(callId) {
+    const call = this.activeCalls.get(callId);
+    await this.say(callId, call.routingMessage);
+    await llmBot.waitForPlayout(callId);
+    await livekitClient.endRoom(call.roomName).catch((error) => {
+      logger.error(`[${callId}] Error hanging up after routing message: ${error.message}`);
+    });
+    await this.endCall(callId);
+  }
+
   /**
    * Initiate an outbound call to a phone number
    * @param {string} phoneNumber - Target phone number
    * @param {Object} options - Call options
+   * @param {string} options.initialContext - Extra system context for the LLM
+   * @param {string} options.campaignId - Campaign that placed the call (optional)
+   * @param {string} options.contactId - Campaign contact being called (optional)
+   * @param {number} options.ringTimeoutSeconds - Give up if the callee hasn't answered by then
+   * @param {string} options.sttProvider - Speech-to-text provider, e.g. 'deepgram' or 'vosk' (optional)
+   * @param {Object} options.tts - Voice settings { provider, voice, speed, sampleRate } (optional)
+   * @param {Object} options.llm - Model settings { provider, model, temperature, maxTokens, systemPrompt, fallback } (optional)
+   * @param {string} options.agentId - Agent profile to run the call with (optional); tts and llm override its settings
+   * @param {string|boolean} options.greeting - Opening line once answered, or false for none (optional)
+   * @param {boolean} options.generateGreeting - Have the LLM write the opening line from initialContext (optional)
+   * @param {boolean} options.machineDetection - Detect answering machines (defaults to AMD_ENABLED)
+   * @param {string|boolean} options.voicemailMessage - Message left on a machine, or false to hang up without one (optional)
+   * @param {boolean} options.generateVoicemail - Have the LLM write the voicemail message from initialContext (optional)
+   * @param {string} options.requestedBy - API client that placed the call, counted against its concurrent call quota (optional)
+   * @param {Function} options.onRegistered - Called once the call is registered and counts as active (optional)
    * @returns {Promise<Object>} - Call details
    */
   async initiateOutboundCall(phoneNumber, options = {}) {
     try {
+      const agent = options.agentId ? agentRegistry.requireAgent(options.agentId) : null;
+      const llmSettings = resolveLLMSettings({ ...agentModel(agent), ...(options.llm || {}) });
+      const ttsSettings = resolveTTSSettings({ ...(agent ? agent.voice : {}), ...(options.tts || {}) });
+      
       // Generate a unique call ID and room name
       const callId = uuidv4();
       const roomName = options.roomName || `call-${callId}`;
@@ -126,14 +400,17 @@ class CallManager {
       // Generate a token for the bot participant
       const botToken = livekitClient.generateToken(roomName, botIdentity, true);
       
-      // Place the outbound call through LiveKit's SIP interface
-      const callResult = await livekitClient.placeOutboundCall(roomName, phoneNumber);
+      const sipParticipantIdentity = `sip-${callId}`;
+      const ringTimeoutSeconds = options.ringTimeoutSeconds || RING_TIMEOUT_SECONDS;
       
       // Initialize the LLM conversation
       llmBot.initializeConversation(callId, {
         type: 'outbound',
         phoneNumber,
         roomName,
+        llm: llmSettings,
+        tools: agent && agent.tools ? agent.tools : undefined,
+        agentId: agent ? agent.id : undefined,
       });
       
       // Add a context system message to LLM
@@ -142,21 +419,65 @@ class CallManager {
       }
       
       // Store call details
-      this.activeCalls.set(callId, {
+      this.registerCall({
         id: callId,
         roomName,
         type: 'outbound',
         phoneNumber,
+        sipParticipantIdentity,
         botIdentity,
         botToken,
         startTime: new Date(),
-        status: 'calling',
-        sipDetails: callResult,
+        status: 'bot_joining',
+        campaignId: options.campaignId,
+        contactId: options.contactId,
+        requestedBy: options.requestedBy,
+        sttProvider: options.sttProvider || DEFAULT_STT_PROVIDER,
+        tts: ttsSettings,
+        llm: modelSummary(llmSettings),
+        ...agentCallSettings(agent),
+        greeting: resolveGreeting('outbound', agent, options),
+        machineDetection: resolveMachineDetection(agent, options),
+        record: resolveRecording(agent, options),
+        statusCallbackUrl: resolveStatusCallbackUrl(agent, options),
       });
+      if (typeof options.onRegistered === 'function') {
+        options.onRegistered(callId);
+      }
       
       // Track bot participant for this room
       this.botParticipants.set(roomName, botIdentity);
       
+      // Get the bot listening in the room before the callee can pick up
+      try {
+        await this.connectBot(callId);
+      } catch (botJoinError) {
+        // The room was created for this call, so close it rather than wait for the maximum duration
+        this.updateStatus(callId, 'bot_join_failed');
+        await this.hangUp(callId);
+        throw botJoinError;
+      }
+      
+      // Place the outbound call through LiveKit's SIP interface
+      let callResult;
+      try {
+        callResult = await livekitClient.placeOutboundCall(roomName, phoneNumber, {
+          participantIdentity: sipParticipantIdentity,
+          ringTimeoutSeconds,
+        });
+      } catch (dialError) {
+        // Nobody will ever join, so don't leave the bot waiting in the room
+        this.updateStatus(callId, 'failed');
+        await this.endCall(callId);
+        throw dialError;
+      }
+      
+      const call = this.activeCalls.get(callId);
+      call.sipDetails = callResult;
+      // Backstop in case the trunk never reports the call as unanswered
+      call.ringTimer = setTimeout(() => this.handleRingTimeout(callId), ringTimeoutSeconds * 1000);
+      this.updateStatus(callId, 'calling');
+      
       logger.info(`Outbound call initiated, call ID: ${callId}`);
       
       return {
@@ -172,10 +493,575 @@ class CallManager {
     }
   }
 
+  /**
+   * Voice settings for an inbound call: the agent's, overridden by any set for the number.
+   * Falls back to the agent's alone if the number's are invalid.
+   * @param {string} calledNumber - Number the caller dialed
+   * @param {Object} agent - Agent profile handling the call (optional)
+   * @returns {Object} - Resolved TTS settings
+   */
+  inboundVoice(calledNumber, agent = null) {
+    const agentVoice = agent ? agent.voice : {};
+    try {
+      return resolveTTSSettings({ ...agentVoice, ...inboundTTSSettings(calledNumber) });
+    } catch (error) {
+      logger.warn(`Invalid voice settings for ${calledNumber}, using defaults: ${error.message}`);
+      return resolveTTSSettings(agentVoice);
+    }
+  }
+
+  /**
+   * Model settings for an inbound call: the agent's, overridden by any set for the number.
+   * Falls back to the agent's alone if the number's are invalid.
+   * @param {string} calledNumber - Number the caller dialed
+   * @param {Object} agent - Agent profile handling the call (optional)
+   * @returns {Object} - Resolved LLM settings
+   */
+  inboundModel(calledNumber, agent = null) {
+    try {
+      return resolveLLMSettings({ ...agentModel(agent), ...inboundLLMSettings(calledNumber) });
+    } catch (error) {
+      logger.warn(`Invalid model settings for ${calledNumber}, using defaults: ${error.message}`);
+      return resolveLLMSettings(agentModel(agent));
+    }
+  }
+
+  /**
+   * Add a new call to the active calls and persist it
+   * @param {Object} call - Call record, including its initial status
+   */
+  registerCall(call) {
+    this.startMaxDurationTimer(call);
+    this.activeCalls.set(call.id, call);
+    callRepository.addStatusTransition(call.id, call.status, call.startTime).catch((error) => {
+      logger.error(`Error recording status for call ${call.id}: ${error.message}`);
+    });
+    this.persistCall(call.id);
+    this.emit('statusChanged', { callId: call.id, status: call.status, previousStatus: null });
+  }
+
+  /**
+   * Hand a call that is already registered, such as one whose routed transfer
+   * failed, to the bot: its settings are merged into the record, which keeps its
+   * start time and status history
+   * @param {Object} settings - Call record fields, as for registerCall
+   */
+  takeOverCall(settings) {
+    const call = this.activeCalls.get(settings.id);
+    const { status, startTime, ...fields } = settings;
+    Object.assign(call, fields, { routing: { ...call.routing, ...fields.routing } });
+    this.startMaxDurationTimer(call);
+    this.updateStatus(call.id, status);
+  }
+
+  startMaxDurationTimer(call) {
+    if (call.maxDurationSeconds && !call.maxDurationTimer) {
+      call.maxDurationTimer = setTimeout(() => this.handleMaxDuration(call.id), call.maxDurationSeconds * 1000);
+    }
+  }
+
+  /**
+   * End a call that has run past its maximum duration, telling the caller why if they're listening
+   * @param {string} callId - Call identifier
+   */
+  async handleMaxDuration(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime) {
+      return;
+    }
+    logger.info(`[${callId}] Reached maximum call duration of ${call.maxDurationSeconds}s, ending call`);
+    call.endReason = 'max_duration';
+    try {
+      if (call.sttSession && call.status !== 'transferring') {
+        this.activeTurns.get(callId)?.abortController.abort();
+        llmBot.interruptPlayback(callId);
+        await this.say(callId, MAX_DURATION_MESSAGE);
+        await llmBot.waitForPlayout(callId);
+      }
+    } catch (error) {
+      logger.error(`[${callId}] Error saying goodbye at maximum duration: ${error.message}`);
+    }
+    try {
+      await this.hangUp(callId);
+    } catch (error) {
+      logger.error(`[${callId}] Error ending call at maximum duration: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change a call's status and record the transition
+   * @param {string} callId - Call identifier
+   * @param {string} status - New status
+   */
+  updateStatus(callId, status) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.status === status) {
+      return;
+    }
+    
+    const previousStatus = call.status;
+    call.status = status;
+    this.activeCalls.set(callId, call);
+    callRepository.addStatusTransition(callId, status).catch((error) => {
+      logger.error(`Error recording status for call ${callId}: ${error.message}`);
+    });
+    this.persistCall(callId);
+    this.emit('statusChanged', { callId, status, previousStatus });
+  }
+
+  /**
+   * Save the current state of a call to the call repository
+   * @param {string} callId - Call identifier
+   * @returns {Promise<void>}
+   */
+  persistCall(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call) {
+      return Promise.resolve();
+    }
+    
+    const record = {
+      ...this.getCallDetails(callId),
+      sipParticipantIdentity: call.sipParticipantIdentity,
+      botIdentity: call.botIdentity,
+    };
+    return callRepository.saveCall(record).catch((error) => {
+      logger.error(`Error persisting call ${callId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Seconds between the start of a call and the given time
+   * @param {string} callId - Call identifier
+   * @param {number|Date} time - Point in time
+   * @returns {number|null} - Offset in seconds, or null if the call is unknown
+   */
+  callOffset(callId, time) {
+    const call = this.activeCalls.get(callId);
+    if (!call) {
+      return null;
+    }
+    return Math.max((new Date(time) - call.startTime) / 1000, 0);
+  }
+
+  /**
+   * Persist a final caller utterance with Deepgram's confidence and word timings
+   * @param {string} callId - Call identifier
+   * @param {Object} transcriptionResult - Final result from the STT session
+   */
+  recordCallerTranscript(callId, transcriptionResult) {
+    const call = this.activeCalls.get(callId);
+    // Shift Deepgram's stream-relative timings onto the call timeline
+    const streamOffset = call && call.sttStartedAt ? this.callOffset(callId, call.sttStartedAt) : 0;
+    const hasTiming = typeof transcriptionResult.start === 'number';
+    
+    this.recordTranscriptEntry(callId, {
+      speaker: 'caller',
+      text: transcriptionResult.transcript,
+      startOffset: hasTiming ? streamOffset + transcriptionResult.start : this.callOffset(callId, Date.now()),
+      endOffset: hasTiming ? streamOffset + transcriptionResult.start + (transcriptionResult.duration || 0) : null,
+      confidence: transcriptionResult.confidence,
+      words: (transcriptionResult.words || []).map((word) => ({
+        word: word.punctuated_word || word.word,
+        start: streamOffset + word.start,
+        end: streamOffset + word.end,
+        confidence: word.confidence,
+      })),
+    });
+  }
+
+  /**
+   * Persist one speaker-labelled turn of the call transcript
+   * @param {string} callId - Call identifier
+   * @param {Object} entry - { speaker: 'caller'|'bot', text, startOffset, endOffset, ... }
+   */
+  recordTranscriptEntry(callId, entry) {
+    const record = { timestamp: new Date().toISOString(), ...entry };
+    callRepository.appendTranscriptEntry(callId, record).catch((error) => {
+      logger.error(`Error recording transcript for call ${callId}: ${error.message}`);
+    });
+    this.emit('transcript', { callId, entry: record });
+  }
+
+  /**
+   * Join the bot to the call's room and start the STT -> LLM -> TTS loop
+   * @param {string} callId - Call identifier
+   * @returns {Promise<void>}
+   */
+  async connectBot(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call) {
+      throw new Error(`Call ID not found: ${callId}`);
+    }
+    
+    await llmBot.joinRoom(callId, call.roomName, call.botIdentity, call.botToken, {
+      callerIdentity: call.sipParticipantIdentity,
+      onAudioFrame: (audioData) => this.processAudioForTranscription(callId, audioData),
+      onCallerConnected: (participant, track) => {
+        // Inbound webhooks don't always carry the SIP participant's identity
+        if (!call.sipParticipantIdentity) {
+          call.sipParticipantIdentity = participant.identity;
+          this.persistCall(callId);
+        }
+        call.callerTrackSid = track.sid;
+        if (call.recordedTracks) {
+          this.recordTrack(callId, 'caller', track.sid).catch((error) => {
+            logger.error(`[${callId}] Error recording caller track: ${error.message}`);
+          });
+        }
+      },
+      outputSampleRate: call.tts.sampleRate,
+      onCallerStatusChanged: (sipCallStatus) => this.handleSipCallStatus(callId, sipCallStatus),
+      onCallerDisconnected: (disconnectReason) => this.handleSipParticipantLeft(callId, disconnectReason),
+      onDtmf: (digit) => this.handleDtmf(callId, digit),
+      onBotAudio: (audioData, sampleRate) => {
+        if (call.localRecorder) {
+          call.localRecorder.addBotAudio(audioData, sampleRate);
+        }
+      },
+      onParticipantConnected: (participant) => this.handleSupervisorJoined(callId, participant),
+      onParticipantTrack: (participant, track) => this.handleSupervisorTrack(callId, participant, track),
+      onParticipantDisconnected: (participant) => this.handleSupervisorLeft(callId, participant),
+    });
+    
+    // Outbound calls start the conversation once the callee picks up; routing messages need none
+    if (call.type !== 'outbound' && !call.routingMessage) {
+      this.startConversation(callId);
+      this.scheduleGreeting(callId);
+    }
+  }
+
+  /**
+   * Start listening to the caller and replying on the bot's published track
+   * @param {string} callId - Call identifier
+   */
+  startConversation(callId) {
+    this.setupSpeechToText(callId, (audioBuffer, text) => llmBot.playAudio(callId, audioBuffer, { text }));
+    this.armSilenceTimer(callId);
+    this.startRecording(callId);
+  }
+
+  /**
+   * (Re)start the countdown to the next silence reprompt
+   * @param {string} callId - Call identifier
+   */
+  armSilenceTimer(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime || call.barge || !call.silence || !call.silence.timeoutSeconds) {
+      return;
+    }
+    clearTimeout(call.silenceTimer);
+    call.silenceTimer = setTimeout(() => {
+      this.handleSilence(callId).catch((error) => {
+        logger.error(`[${callId}] Error handling caller silence: ${error.message}`);
+      });
+    }, call.silence.timeoutSeconds * 1000);
+  }
+
+  /**
+   * The caller said something (or VAD heard them start to), so they're still there
+   * @param {string} callId - Call identifier
+   */
+  noteCallerActivity(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call || !call.silenceTimer) {
+      return;
+    }
+    call.silenceReprompts = 0;
+    this.armSilenceTimer(callId);
+  }
+
+  /**
+   * The caller has been quiet for the silence timeout: reprompt them, or hang up
+   * once they've ignored the maximum number of reprompts
+   * @param {string} callId - Call identifier
+   * @returns {Promise<void>}
+   */
+  async handleSilence(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime) {
+      return;
+    }
+    
+    // Silence only counts from when the bot stops talking, and not during a hand-off or
+    // while working out whether a machine answered
+    if (call.status === 'transferring' || call.machineDetector || this.activeTurns.has(callId) || llmBot.isSpeaking(callId)) {
+      await llmBot.waitForPlayout(callId);
+      this.armSilenceTimer(callId);
+      return;
+    }
+    
+    const reprompts = call.silenceReprompts || 0;
+    if (reprompts >= call.silence.maxReprompts) {
+      logger.info(`[${callId}] Caller still silent after ${reprompts} reprompt(s), hanging up`);
+      call.endReason = 'silence';
+      await this.say(callId, call.silence.goodbye);
+      await llmBot.waitForPlayout(callId);
+      await this.hangUp(callId);
+      return;
+    }
+    
+    call.silenceReprompts = reprompts + 1;
+    logger.info(`[${callId}] Caller silent for ${call.silence.timeoutSeconds}s, reprompt ${call.silenceReprompts}/${call.silence.maxReprompts}`);
+    await this.say(callId, call.silence.reprompt);
+    await llmBot.waitForPlayout(callId);
+    this.armSilenceTimer(callId);
+  }
+
+  /**
+   * Speak the call's opening line shortly, once the bot's track is live and someone is listening
+   * @param {string} callId - Call identifier
+   */
+  scheduleGreeting(callId) {
+    setTimeout(() => {
+      this.speakGreeting(callId).catch((error) => {
+        logger.error(`[${callId}] Error speaking greeting: ${error.message}`);
+      });
+    }, GREETING_DELAY_MS);
+  }
+
+  /**
+   * Speak the call's opening line, static or written by the LLM, as the first assistant turn
+   * @param {string} callId - Call identifier
+   * @returns {Promise<void>}
+   */
+  async speakGreeting(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call || !call.greeting || call.greetedAt || call.endTime) {
+      return;
+    }
+    call.greetedAt = new Date();
+    
+    const text = call.greeting.mode === 'generate'
+      ? await llmBot.generateGreeting(callId)
+      : call.greeting.text;
+    
+    // The caller may have spoken first (or hung up) while the greeting was being written
+    if (call.endTime || this.activeTurns.has(callId) || llmBot.hasUserMessages(callId)) {
+      logger.info(`[${callId}] Skipping greeting, the conversation has already started`);
+      return;
+    }
+    logger.info(`[${callId}] Speaking greeting: "${text}"`);
+    await this.say(callId, text);
+  }
+
+  /**
+   * Follow the SIP participant's `sip.callStatus` attribute (dialing, ringing, active, hangup)
+   * @param {string} callId - Call identifier
+   * @param {string} sipCallStatus - Attribute value reported by LiveKit
+   */
+  handleSipCallStatus(callId, sipCallStatus) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime || call.type !== 'outbound' || call.answeredAt) {
+      return;
+    }
+    
+    logger.info(`[${callId}] SIP call status: ${sipCallStatus}`);
+    if (sipCallStatus === 'ringing') {
+      this.updateStatus(callId, 'ringing');
+    } else if (sipCallStatus === 'active') {
+      this.handleCallAnswered(callId);
+    }
+  }
+
+  /**
+   * The callee picked up: stop the ring timer and let the bot talk
+   * @param {string} callId - Call identifier
+   */
+  handleCallAnswered(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.answeredAt || call.endTime) {
+      return;
+    }
+    
+    clearTimeout(call.ringTimer);
+    call.answeredAt = new Date();
+    this.updateStatus(callId, 'answered');
+    logger.info(`[${callId}] Call answered after ${(call.answeredAt - call.startTime) / 1000}s`);
+    
+    try {
+      this.startConversation(callId);
+      if (call.machineDetection) {
+        // The greeting waits until we know a person picked up
+        this.startMachineDetection(callId);
+      } else {
+        this.scheduleGreeting(callId);
+      }
+    } catch (error) {
+      logger.error(`[${callId}] Error starting conversation: ${error.message}`);
+      this.updateStatus(callId, 'failed');
+      this.endCall(callId);
+    }
+  }
+
+  /**
+   * Listen to the first seconds of an answered outbound call to tell a person from an answering machine
+   * @param {string} callId - Call identifier
+   */
+  startMachineDetection(callId) {
+    const call = this.activeCalls.get(callId);
+    call.machineDetector = new AnsweringMachineDetector({
+      detectionMs: DEFAULT_MACHINE_DETECTION.detectionMs,
+      machineWords: DEFAULT_MACHINE_DETECTION.machineWords,
+      humanSilenceMs: DEFAULT_MACHINE_DETECTION.humanSilenceMs,
+      onResult: (result, reason) => this.handleMachineDetection(callId, result, reason),
+    });
+    call.machineDetector.start();
+  }
+
+  /**
+   * Act on the answering machine detector's verdict: greet a person (or whoever it
+   * couldn't make out), or leave a voicemail on a machine
+   * @param {string} callId - Call identifier
+   * @param {string} result - 'human', 'machine' or 'unknown'
+   * @param {string} reason - What decided it, e.g. 'phrase', 'beep' or 'timeout'
+   */
+  handleMachineDetection(callId, result, reason) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime) {
+      return;
+    }
+    
+    logger.info(`[${callId}] Call answered by ${result} (${reason})`);
+    call.answeredBy = result;
+    call.machineDetection = { ...call.machineDetection, result, reason, detectedAt: new Date() };
+    this.persistCall(callId);
+    
+    if (result !== 'machine') {
+      call.machineDetector.stop();
+      call.machineDetector = null;
+      this.scheduleGreeting(callId);
+      return;
+    }
+    this.leaveVoicemail(callId).catch((error) => {
+      logger.error(`[${callId}] Error leaving voicemail: ${error.message}`);
+      this.hangUp(callId);
+    });
+  }
+
+  /**
+   * Wait for the answering machine to start recording, leave the call's voicemail message and hang up
+   * @param {string} callId - Call identifier
+   * @returns {Promise<void>}
+   */
+  async leaveVoicemail(callId) {
+    const call = this.activeCalls.get(callId);
+    const { voicemail } = call.machineDetection;
+    if (!voicemail) {
+      logger.info(`[${callId}] No voicemail message for this call, hanging up`);
+      call.endReason = 'machine';
+      await this.hangUp(callId);
+      return;
+    }
+    
+    // Write the message while the machine's greeting plays
+    const message = voicemail.mode === 'generate'
+      ? llmBot.generateVoicemail(callId)
+      : Promise.resolve(voicemail.text);
+    const cue = await call.machineDetector.waitForBeep({
+      silenceMs: DEFAULT_MACHINE_DETECTION.beepSilenceMs,
+      timeoutMs: DEFAULT_MACHINE_DETECTION.beepTimeoutMs,
+    });
+    const text = await message;
+    if (call.endTime) {
+      return;
+    }
+    
+    logger.info(`[${callId}] Leaving voicemail (recording cue: ${cue}): "${text}"`);
+    call.machineDetection.recordingCue = cue;
+    await this.say(callId, text);
+    await llmBot.waitForPlayout(callId);
+    call.machineDetection.voicemailLeftAt = new Date();
+    call.endReason = 'voicemail';
+    // Hang up the trunk leg too, or the machine goes on recording silence
+    await this.hangUp(callId);
+  }
+
+  /**
+   * The SIP participant left the room: the callee hung up, or an outbound call was never answered
+   * @param {string} callId - Call identifier
+   * @param {string} disconnectReason - LiveKit DisconnectReason name, e.g. 'USER_REJECTED'
+   */
+  handleSipParticipantLeft(callId, disconnectReason) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime || call.callerLeftAt || call.status === 'transferring') {
+      return;
+    }
+    
+    call.callerLeftAt = new Date();
+    logger.info(`[${callId}] SIP participant left (${disconnectReason || 'no reason given'})`);
+    
+    if (call.type === 'outbound' && !call.answeredAt) {
+      this.updateStatus(callId, SIP_DISCONNECT_OUTCOMES[disconnectReason] || 'failed');
+    }
+    this.endCall(callId);
+  }
+
+  /**
+   * Give up on an outbound call that rang for too long
+   * @param {string} callId - Call identifier
+   */
+  async handleRingTimeout(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.answeredAt || call.endTime) {
+      return;
+    }
+    
+    logger.info(`[${callId}] No answer within the ring timeout, hanging up`);
+    call.callerLeftAt = new Date();
+    this.updateStatus(callId, 'no_answer');
+    try {
+      await livekitClient.disconnectParticipant(call.roomName, call.sipParticipantIdentity);
+    } catch (error) {
+      logger.warn(`[${callId}] Error cancelling unanswered call: ${error.message}`);
+    }
+    await this.endCall(callId);
+  }
+
+  /**
+   * Apply a LiveKit participant_joined / participant_left webhook to the call in that room
+   * @param {string} callId - Call identifier
+   * @param {string} event - Webhook event name
+   * @param {Object} participant - ParticipantInfo from the webhook payload
+   */
+  handleParticipantWebhook(callId, event, participant = {}) {
+    const call = this.activeCalls.get(callId);
+    if (!call) {
+      return;
+    }
+    const isCaller = call.sipParticipantIdentity
+      ? participant.identity === call.sipParticipantIdentity
+      : participant.kind === 'SIP';
+    if (!isCaller) {
+      return;
+    }
+    
+    if (event === 'participant_joined') {
+      const attributes = participant.attributes || {};
+      this.handleSipCallStatus(callId, attributes['sip.callStatus'] || 'dialing');
+    } else if (event === 'participant_left') {
+      this.handleSipParticipantLeft(callId, participant.disconnectReason);
+    }
+  }
+
+  /**
+   * Find the call taking place in a LiveKit room
+   * @param {string} roomName - Room name
+   * @returns {Object|null} - Call details or null if no call uses the room
+   */
+  findCallByRoom(roomName) {
+    for (const [callId, call] of this.activeCalls.entries()) {
+      if (call.roomName === roomName) {
+        return this.getCallDetails(callId);
+      }
+    }
+    return null;
+  }
+
   /**
    * Set up speech-to-text processing for a call
    * @param {string} callId - Call identifier
-   * @param {Function} audioCallback - Function to receive audio from TTS
+   * @param {Function} audioCallback - Function to receive audio from TTS, called with (audioBuffer, text)
    * @returns {Object} - STT session details
    */
   setupSpeechToText(callId, audioCallback) {
@@ -186,36 +1072,80 @@ class CallManager {
         throw new Error(`Call ID not found: ${callId}`);
       }
       
+      // Final fragments are merged into turns; each turn gets one reply
+      const turnDetector = new TurnDetector({
+        silenceMs: TURN_SILENCE_MS,
+        maxWaitMs: TURN_MAX_WAIT_MS,
+        onTurn: (turnResult) => this.queueResponse(callId, turnResult.transcript, audioCallback),
+      });
+      
       // Setup the transcription callback
       const handleTranscription = async (transcriptionResult) => {
-        // Only process final transcripts for LLM
-        if (transcriptionResult.isFinal && transcriptionResult.transcript) {
-          const call = this.activeCalls.get(callId);
-          call.lastTranscript = transcriptionResult.transcript;
-          call.lastTranscriptTime = new Date();
-          this.activeCalls.set(callId, call);
-          
-          // Process the transcript with LLM
-          const botResponse = await llmBot.processMessage(callId, transcriptionResult.transcript);
-          
-          // Convert bot response to speech
-          const audioBuffer = await deepgramHandler.textToSpeech(botResponse);
-          
-          // Send audio back to call using the callback
-          if (audioCallback && typeof audioCallback === 'function') {
-            audioCallback(audioBuffer);
+        const call = this.activeCalls.get(callId);
+        if (!call) {
+          return;
+        }
+        if (transcriptionResult.transcript && !transcriptionResult.isFinal) {
+          this.emit('interimTranscript', { callId, text: transcriptionResult.transcript });
+        }
+        
+        // Until we know who answered, the callee's words only go to the answering machine detector
+        if (call.machineDetector) {
+          call.machineDetector.addTranscript(transcriptionResult);
+          if (transcriptionResult.isFinal && transcriptionResult.transcript) {
+            this.recordCallerTranscript(callId, transcriptionResult);
           }
+          return;
+        }
+        
+        // Any recognised caller speech (interim or final) while the bot talks is a barge-in
+        if (transcriptionResult.transcript) {
+          this.noteCallerActivity(callId);
+          this.handleBargeIn(callId, 'transcript');
+        }
+        
+        // Nothing goes to the LLM while the caller is being handed off
+        if (!transcriptionResult.transcript || call.status === 'transferring') {
+          return;
+        }
+        if (!transcriptionResult.isFinal) {
+          turnDetector.noteSpeech();
+          return;
+        }
+        
+        call.lastTranscript = transcriptionResult.transcript;
+        call.lastTranscriptTime = new Date();
+        this.activeCalls.set(callId, call);
+        this.recordCallerTranscript(callId, transcriptionResult);
+        
+        // The caller kept talking before hearing the reply, so answer everything they said at once
+        const cancelledInput = this.cancelUnheardReply(callId);
+        if (cancelledInput) {
+          turnDetector.prepend(cancelledInput);
         }
+        turnDetector.addFinal(transcriptionResult);
       };
       
-      // Start Deepgram STT session
-      const sttSession = deepgramHandler.startSTTSession(callId, handleTranscription);
+      // Start the STT session with the call's provider
+      const call = this.activeCalls.get(callId);
+      const { provider, sttSession } = this.startSTTSession(callId, call.sttProvider, handleTranscription, {
+        onSpeechStarted: () => {
+          turnDetector.noteSpeech();
+          call.machineDetector?.noteSpeech();
+        },
+        onUtteranceEnd: () => turnDetector.utteranceEnd(),
+      });
       
       // Update call with STT session info
-      const call = this.activeCalls.get(callId);
+      call.sttProvider = provider.name;
       call.sttSession = sttSession;
-      call.status = 'active';
+      call.turnDetector = turnDetector;
+      call.audioCallback = audioCallback;
+      call.pendingResponses = [];
+      call.responseQueue = Promise.resolve();
+      call.sttStartedAt = new Date(); // STT timings are relative to this
       this.activeCalls.set(callId, call);
+      this.updateStatus(callId, 'active');
       
       return { sttSession };
     } catch (error) {
@@ -224,6 +1154,1169 @@ class CallManager {
     }
   }
 
+  /**
+   * Start an STT session, switching to STT_FALLBACK_PROVIDER if the chosen provider can't start
+   * @param {string} callId - Call identifier
+   * @param {string} providerName - Requested STT provider
+   * @param {Function} handleTranscription - Receives transcription results
+   * @param {Object} handlers - { onSpeechStarted, onUtteranceEnd } for endpointing
+   * @returns {Object} - { provider, sttSession }
+   */
+  startSTTSession(callId, providerName, handleTranscription, handlers = {}) {
+    const sessionOptions = {
+      onSpeechStarted: () => {
+        this.noteCallerActivity(callId);
+        this.handleBargeIn(callId, 'vad');
+        handlers.onSpeechStarted?.();
+      },
+      onUtteranceEnd: () => handlers.onUtteranceEnd?.(),
+    };
+    const provider = getSTTProvider(providerName);
+    
+    try {
+      return { provider, sttSession: provider.startSTTSession(callId, handleTranscription, sessionOptions) };
+    } catch (error) {
+      if (!FALLBACK_STT_PROVIDER || FALLBACK_STT_PROVIDER === provider.name) {
+        throw error;
+      }
+      logger.warn(`[${callId}] STT provider ${provider.name} failed to start (${error.message}), using ${FALLBACK_STT_PROVIDER}`);
+      const fallback = getSTTProvider(FALLBACK_STT_PROVIDER);
+      return { provider: fallback, sttSession: fallback.startSTTSession(callId, handleTranscription, sessionOptions) };
+    }
+  }
+
+  /**
+   * Queue the reply to a caller turn behind any reply still in progress, so turns are answered one at a time and in order
+   * @param {string} callId - Call identifier
+   * @param {string} userInput - Everything the caller said in the turn
+   * @param {Function} audioCallback - Receives (audioBuffer, text) for each chunk, in order
+   */
+  queueResponse(callId, userInput, audioCallback) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime) {
+      return;
+    }
+    if (call.barge) {
+      // A supervisor has the caller; the bot catches up once they leave
+      call.barge.transcript.push(`Caller: ${userInput}`);
+      return;
+    }
+    
+    const pending = { userInput, cancelled: false };
+    call.pendingResponses.push(pending);
+    call.responseQueue = call.responseQueue.then(async () => {
+      call.pendingResponses = call.pendingResponses.filter((queued) => queued !== pending);
+      if (pending.cancelled || call.endTime) {
+        return;
+      }
+      await this.respondToUtterance(callId, userInput, audioCallback);
+    }).catch((error) => {
+      logger.error(`[${callId}] Error in queued response: ${error.message}`);
+    });
+  }
+
+  /**
+   * Cancel the newest reply the caller hasn't started hearing, returning what it was answering.
+   * Replies that already ran tools are left alone since their actions can't be undone.
+   * @param {string} callId - Call identifier
+   * @returns {string|null} - The cancelled reply's user input, or null if nothing was cancelled
+   */
+  cancelUnheardReply(callId) {
+    const call = this.activeCalls.get(callId);
+    const queued = call.pendingResponses[call.pendingResponses.length - 1];
+    if (queued && !queued.cancelled) {
+      queued.cancelled = true;
+      return queued.userInput;
+    }
+    
+    const turn = this.activeTurns.get(callId);
+    if (!turn || turn.firstAudioAt || turn.interrupted || turn.superseded ||
+        llmBot.hasToolCallsSince(callId, turn.historyLength)) {
+      return null;
+    }
+    logger.info(`[${callId}] Caller kept talking, cancelling the unheard reply to "${turn.userInput.substring(0, 50)}"`);
+    turn.superseded = true;
+    turn.abortController.abort();
+    return turn.userInput;
+  }
+
+  /**
+   * Generate the bot's reply to a caller utterance and send it to the call as audio.
+   * In streaming mode each sentence is synthesized as soon as the LLM finishes it.
+   * @param {string} callId - Call identifier
+   * @param {string} userInput - Final transcript of the caller's utterance
+   * @param {Function} audioCallback - Receives (audioBuffer, text) for each chunk, in order
+   * @returns {Promise<void>}
+   */
+  async respondToUtterance(callId, userInput, audioCallback) {
+    const turn = {
+      userInput,
+      historyLength: llmBot.historyLength(callId), // Where to roll the history back to if the reply is cancelled
+      superseded: false, // Cancelled because the caller kept talking
+      sttFinalAt: Date.now(),
+      firstTokenAt: null,
+      firstAudioAt: null,
+      interruptedAt: null,
+      audioMs: 0, // Duration of the audio handed to playback
+      playback: Promise.resolve(),
+      abortController: new AbortController(),
+      interrupted: false,
+      unspokenText: '', // Queued for playback but cut off by a barge-in
+      droppedText: [], // Generated but never queued for playback
+      recordedText: '', // Assistant text written to the LLM history
+      afterTurnActions: [], // Call-control actions requested by tools
+    };
+    this.activeTurns.set(callId, turn);
+    
+    const speak = (audioBuffer, text) => {
+      if (turn.interrupted || turn.superseded) {
+        turn.droppedText.push(text);
+        return;
+      }
+      if (!turn.firstAudioAt) {
+        turn.firstAudioAt = Date.now();
+      }
+      turn.audioMs += pcmDurationMs(audioBuffer, this.outputSampleRate(callId));
+      if (audioCallback && typeof audioCallback === 'function') {
+        turn.playback = Promise.resolve(audioCallback(audioBuffer, text));
+      }
+      this.emit('botSpeech', { callId, text });
+    };
+    
+    try {
+      if (this.streamingEnabled) {
+        let playbackQueue = Promise.resolve();
+        
+        turn.recordedText = await llmBot.streamMessage(callId, userInput, {
+          signal: turn.abortController.signal,
+          onFirstToken: () => {
+            turn.firstTokenAt = Date.now();
+          },
+          onSentence: (sentence) => {
+            if (turn.interrupted || turn.superseded) {
+              turn.droppedText.push(sentence);
+              return;
+            }
+            // Start synthesis right away, but hand audio over strictly in sentence order
+            const synthesis = this.synthesize(callId, sentence).then(
+              (audioBuffer) => ({ audioBuffer }),
+              (error) => ({ error })
+            );
+            playbackQueue = playbackQueue.then(async () => {
+              const { audioBuffer, error } = await synthesis;
+              if (error) {
+                logger.error(`Error synthesizing sentence for call ${callId}: ${error.message}`);
+                turn.droppedText.push(sentence);
+                return;
+              }
+              speak(audioBuffer, sentence);
+            });
+          },
+        });
+        
+        await playbackQueue;
+      } else {
+        // Process the transcript with LLM
+        const botResponse = await llmBot.processMessage(callId, userInput);
+        turn.firstTokenAt = Date.now();
+        turn.recordedText = botResponse;
+        
+        // Convert bot response to speech
+        const audioBuffer = await this.synthesize(callId, botResponse);
+        speak(audioBuffer, botResponse);
+      }
+      
+      if (!turn.superseded && this.isEndPhrase(callId, turn.recordedText)) {
+        logger.info(`[${callId}] Bot said an end-of-call phrase, hanging up after playback`);
+        turn.afterTurnActions.push(() => {
+          this.activeCalls.get(callId).endReason = 'end_phrase';
+          return this.hangUp(callId);
+        });
+      }
+      
+      // Stay the active turn until playback finishes so a barge-in can trim it
+      await turn.playback;
+    } catch (error) {
+      logger.error(`Error responding to transcript for call ${callId}: ${error.message}`);
+    } finally {
+      if (this.activeTurns.get(callId) === turn) {
+        this.activeTurns.delete(callId);
+      }
+      if (turn.superseded) {
+        // The caller never heard it; the merged turn will be answered instead
+        llmBot.rollbackHistory(callId, turn.historyLength);
+      } else {
+        await this.finishTurn(callId, turn);
+      }
+    }
+  }
+
+  /**
+   * Record what the caller actually heard of a reply, then run its deferred actions
+   * @param {string} callId - Call identifier
+   * @param {Object} turn - Completed turn state
+   * @returns {Promise<void>}
+   */
+  async finishTurn(callId, turn) {
+    let spokenText = turn.recordedText;
+    if (turn.interrupted && turn.recordedText) {
+      spokenText = llmBot.trimLastAssistantMessage(callId, [turn.unspokenText, ...turn.droppedText].join(' '));
+    }
+    if (spokenText && turn.firstAudioAt) {
+      const endedAt = turn.interrupted ? turn.interruptedAt : turn.firstAudioAt + turn.audioMs;
+      this.recordTranscriptEntry(callId, {
+        speaker: 'bot',
+        text: spokenText,
+        timestamp: new Date(turn.firstAudioAt).toISOString(),
+        startOffset: this.callOffset(callId, turn.firstAudioAt),
+        endOffset: this.callOffset(callId, endedAt),
+        interrupted: turn.interrupted,
+      });
+    }
+    this.recordTurnMetrics(callId, turn);
+    await this.runAfterTurnActions(callId, turn);
+  }
+
+  /**
+   * Check whether a bot reply contains one of the agent's end-of-call phrases
+   * @param {string} callId - Call identifier
+   * @param {string} text - Bot reply
+   * @returns {boolean} - True if the call should end after the reply
+   */
+  isEndPhrase(callId, text) {
+    const call = this.activeCalls.get(callId);
+    if (!call || !call.endPhrases || call.endPhrases.length === 0 || !text) {
+      return false;
+    }
+    const normalized = normalizePhrase(text);
+    return call.endPhrases.some((phrase) => normalizePhrase(phrase) && normalized.includes(normalizePhrase(phrase)));
+  }
+
+  /**
+   * Run an action once the bot has finished speaking its current reply
+   * @param {string} callId - Call identifier
+   * @param {Function} action - Async function to run
+   */
+  runAfterTurn(callId, action) {
+    const turn = this.activeTurns.get(callId);
+    if (turn) {
+      turn.afterTurnActions.push(action);
+      return;
+    }
+    this.runAfterTurnActions(callId, { afterTurnActions: [action] });
+  }
+
+  /**
+   * Run the deferred actions of a turn after its audio has played out
+   * @param {string} callId - Call identifier
+   * @param {Object} turn - Turn state with afterTurnActions
+   * @returns {Promise<void>}
+   */
+  async runAfterTurnActions(callId, turn) {
+    if (turn.afterTurnActions.length === 0) {
+      return;
+    }
+    if (turn.interrupted) {
+      // The caller spoke over the bot, so let the conversation continue instead
+      logger.info(`Skipping ${turn.afterTurnActions.length} deferred action(s) for interrupted turn on call ${callId}`);
+      return;
+    }
+    
+    await llmBot.waitForPlayout(callId);
+    for (const action of turn.afterTurnActions) {
+      try {
+        await action();
+      } catch (error) {
+        logger.error(`Error running deferred action for call ${callId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Log a tool invocation on the call record
+   * @param {Object} invocation - { callId, name, arguments, result, error, durationMs }
+   */
+  recordToolInvocation(invocation) {
+    const call = this.activeCalls.get(invocation.callId);
+    if (!call) {
+      return;
+    }
+    
+    const entry = {
+      name: invocation.name,
+      arguments: invocation.arguments,
+      result: invocation.result,
+      error: invocation.error,
+      durationMs: invocation.durationMs,
+      timestamp: new Date(),
+    };
+    call.toolInvocations = call.toolInvocations || [];
+    call.toolInvocations.push(entry);
+    this.activeCalls.set(invocation.callId, call);
+    this.persistCall(invocation.callId);
+    this.emit('toolInvoked', { callId: invocation.callId, ...entry });
+  }
+
+  /**
+   * Store per-turn latency metrics on the call record
+   * @param {string} callId - Call identifier
+   * @param {Object} turn - Completed turn state
+   */
+  recordTurnMetrics(callId, turn) {
+    const call = this.activeCalls.get(callId);
+    if (!call) {
+      return;
+    }
+    
+    const metrics = {
+      sttFinalAt: new Date(turn.sttFinalAt),
+      firstTokenMs: turn.firstTokenAt ? turn.firstTokenAt - turn.sttFinalAt : null,
+      firstAudioMs: turn.firstAudioAt ? turn.firstAudioAt - turn.sttFinalAt : null,
+      streaming: this.streamingEnabled,
+      interrupted: turn.interrupted,
+    };
+    
+    call.turnMetrics = call.turnMetrics || [];
+    call.turnMetrics.push(metrics);
+    this.activeCalls.set(callId, call);
+    this.persistCall(callId);
+    this.emit('turnMetrics', { callId, ...metrics });
+    
+    logger.info(`Turn latency for call ${callId}: first token ${metrics.firstTokenMs}ms, first audio ${metrics.firstAudioMs}ms`);
+  }
+
+  /**
+   * Stop the bot talking when the caller starts speaking over it
+   * @param {string} callId - Call identifier
+   * @param {string} source - What detected the caller ('vad', 'transcript' or 'dtmf'), or 'supervisor' taking over
+   * @returns {boolean} - True if bot playback was interrupted
+   */
+  handleBargeIn(callId, source) {
+    const call = this.activeCalls.get(callId);
+    // A warm-transfer briefing is meant for the agent and a voicemail for the recording, so neither is cut short
+    if (!call || call.status === 'transferring' || call.machineDetector || !llmBot.isSpeaking(callId)) {
+      return false;
+    }
+    
+    const interruption = llmBot.interruptPlayback(callId);
+    if (!interruption) {
+      return false;
+    }
+    
+    logger.info(`Barge-in on call ${callId} (detected by ${source})`);
+    
+    // A reply still being generated is abandoned; its history is trimmed once it settles
+    const turn = this.activeTurns.get(callId);
+    if (turn) {
+      turn.interrupted = true;
+      turn.interruptedAt = Date.now();
+      turn.unspokenText = interruption.unspokenText;
+      turn.abortController.abort();
+    } else {
+      llmBot.trimLastAssistantMessage(callId, interruption.unspokenText);
+    }
+    
+    call.interruptions = (call.interruptions || 0) + 1;
+    this.activeCalls.set(callId, call);
+    return true;
+  }
+
+  /**
+   * A keypad key the caller pressed. Keys are gathered into one entry, which reaches
+   * the LLM as the caller's next message.
+   * @param {string} callId - Call identifier
+   * @param {string} digit - DTMF key
+   */
+  handleDtmf(callId, digit) {
+    const call = this.activeCalls.get(callId);
+    // Keys pressed before the conversation starts, or during a hand-off, go nowhere
+    if (!call || call.endTime || !call.sttSession || call.status === 'transferring' || !isDtmfDigit(digit)) {
+      return;
+    }
+    
+    logger.info(`[${callId}] Caller pressed ${digit}`);
+    this.noteCallerActivity(callId);
+    this.handleBargeIn(callId, 'dtmf');
+    
+    const collection = call.digitCollection;
+    const terminator = collection ? collection.terminator : DEFAULT_DIGIT_COLLECTION.terminator;
+    if (terminator && digit === terminator) {
+      this.finishDtmfInput(callId, 'terminator');
+      return;
+    }
+    
+    call.dtmfDigits = (call.dtmfDigits || '') + digit;
+    if (collection && collection.maxDigits && call.dtmfDigits.length >= collection.maxDigits) {
+      this.finishDtmfInput(callId, 'max_digits');
+      return;
+    }
+    this.armDtmfTimer(callId, collection ? collection.timeoutSeconds * 1000 : DTMF_INPUT_TIMEOUT_MS);
+  }
+
+  armDtmfTimer(callId, delayMs) {
+    const call = this.activeCalls.get(callId);
+    clearTimeout(call.dtmfTimer);
+    call.dtmfTimer = setTimeout(() => {
+      this.handleDtmfTimeout(callId).catch((error) => {
+        logger.error(`[${callId}] Error finishing keypad entry: ${error.message}`);
+      });
+    }, delayMs);
+  }
+
+  /**
+   * Collect a keypad entry, such as an account number followed by #. The entry (or
+   * the lack of one, on timeout) reaches the LLM as the caller's next message.
+   * @param {string} callId - Call identifier
+   * @param {Object} options - { maxDigits, terminator, timeoutSeconds }; unset fields use the DTMF_* defaults
+   * @returns {Object} - Collection settings
+   */
+  collectDigits(callId, options = {}) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime) {
+      throw new Error(`Call ID not found: ${callId}`);
+    }
+    
+    const collection = resolveDigitCollection(options);
+    clearTimeout(call.dtmfTimer);
+    call.dtmfDigits = '';
+    call.digitCollection = { ...collection, startedAt: new Date() };
+    logger.info(`[${callId}] Collecting digits (max ${collection.maxDigits || 'unlimited'}, terminator ${collection.terminator || 'none'})`);
+    this.armDtmfTimer(callId, collection.timeoutSeconds * 1000);
+    return call.digitCollection;
+  }
+
+  /**
+   * The caller stopped pressing keys. A collection keeps waiting while the bot is
+   * still talking, since the caller is probably listening to the instructions.
+   * @param {string} callId - Call identifier
+   * @returns {Promise<void>}
+   */
+  async handleDtmfTimeout(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime) {
+      return;
+    }
+    
+    if (call.digitCollection && (this.activeTurns.has(callId) || llmBot.isSpeaking(callId))) {
+      await llmBot.waitForPlayout(callId);
+      if (call.digitCollection && !call.endTime) {
+        this.armDtmfTimer(callId, call.digitCollection.timeoutSeconds * 1000);
+      }
+      return;
+    }
+    this.finishDtmfInput(callId, 'timeout');
+  }
+
+  /**
+   * Hand a finished keypad entry to the LLM as the caller's next message
+   * @param {string} callId - Call identifier
+   * @param {string} reason - 'terminator', 'max_digits' or 'timeout'
+   */
+  finishDtmfInput(callId, reason) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime) {
+      return;
+    }
+    
+    clearTimeout(call.dtmfTimer);
+    const digits = call.dtmfDigits || '';
+    const collection = call.digitCollection;
+    call.dtmfDigits = '';
+    call.digitCollection = null;
+    if (!digits && !collection) {
+      return; // A lone terminator
+    }
+    
+    logger.info(`[${callId}] Keypad entry "${digits}" finished (${reason})`);
+    if (digits) {
+      this.recordTranscriptEntry(callId, {
+        speaker: 'caller',
+        text: `[Keypad: ${digits}]`,
+        dtmf: digits,
+        startOffset: this.callOffset(callId, Date.now()),
+        endOffset: null,
+      });
+    }
+    
+    // Whatever the caller said before pressing keys is answered first
+    call.turnDetector.flush();
+    this.queueResponse(callId, describeKeypadEntry(digits, collection), call.audioCallback);
+  }
+
+  /**
+   * Play DTMF tones into the call, e.g. to get through a phone menu on an outbound call
+   * @param {string} callId - Call identifier
+   * @param {string} digits - Keys to press (0-9, *, #, A-D), 'w' for a half-second pause
+   * @returns {Promise<Object>} - { digits, sentAt }
+   */
+  async sendDtmf(callId, digits) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime) {
+      throw new Error(`Call ID not found: ${callId}`);
+    }
+    if (!isDtmfSequence(digits)) {
+      throw new Error('DTMF digits must be 1-64 of 0-9, *, #, A-D or w (pause)');
+    }
+    
+    logger.info(`[${callId}] Sending DTMF ${digits}`);
+    const startedAt = Date.now();
+    await llmBot.sendDtmf(callId, digits);
+    this.recordTranscriptEntry(callId, {
+      speaker: 'bot',
+      text: `[Keypad: ${digits}]`,
+      dtmf: digits,
+      timestamp: new Date(startedAt).toISOString(),
+      startOffset: this.callOffset(callId, startedAt),
+      endOffset: this.callOffset(callId, Date.now()),
+    });
+    return { digits, sentAt: new Date(startedAt) };
+  }
+
+  /**
+   * Get the destination a call would be transferred to
+   * @param {string} callId - Call identifier
+   * @returns {string|null} - Phone number or SIP URI, or null if none is configured
+   */
+  getTransferTarget(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call) {
+      return null;
+    }
+    return call.transferTarget || process.env.TRANSFER_DEFAULT_TARGET || null;
+  }
+
+  /**
+   * Transfer the caller to a human agent. A cold transfer sends a SIP REFER so the
+   * caller is handed straight to the target; a warm transfer dials the agent into
+   * the room, lets the bot brief them and then removes the bot. If the transfer
+   * fails the call goes back to the bot.
+   * @param {string} callId - Call identifier
+   * @param {Object} options - Transfer options
+   * @param {string} options.mode - 'cold' or 'warm' (defaults to TRANSFER_MODE or 'cold')
+   * @param {string} options.target - Phone number or SIP URI (defaults to the call's transfer target)
+   * @param {string} options.reason - Why the call is being transferred
+   * @param {string} options.briefing - What the bot tells the agent on a warm transfer (generated if omitted)
+   * @returns {Promise<Object>} - Transfer details
+   */
+  async transferCall(callId, options = {}) {
+    const call = this.activeCalls.get(callId);
+    if (!call) {
+      throw new Error(`Call ID not found: ${callId}`);
+    }
+    if (call.endTime || call.status === 'transferring') {
+      throw new Error(`Call ${callId} cannot be transferred while ${call.status}`);
+    }
+    
+    const mode = options.mode || call.transferMode || process.env.TRANSFER_MODE || 'cold';
+    if (!TRANSFER_MODES.includes(mode)) {
+      throw new Error(`Invalid transfer mode: ${mode}`);
+    }
+    const target = options.target || this.getTransferTarget(callId);
+    if (!target) {
+      throw new Error('No transfer target configured');
+    }
+    if (!call.sipParticipantIdentity) {
+      throw new Error(`No SIP participant known for call ${callId}`);
+    }
+    
+    logger.info(`Starting ${mode} transfer of call ${callId} to ${target}${options.reason ? ` (${options.reason})` : ''}`);
+    const previousStatus = call.status;
+    call.transfer = { mode, target, reason: options.reason, startedAt: new Date() };
+    this.updateStatus(callId, 'transferring');
+    
+    try {
+      const result = mode === 'warm'
+        ? await this.warmTransfer(callId, target, options)
+        : await livekitClient.transferSipParticipant(call.roomName, call.sipParticipantIdentity, target);
+      
+      call.transfer = { ...call.transfer, ...result, completedAt: new Date() };
+      this.activeCalls.set(callId, call);
+      this.updateStatus(callId, 'transferred');
+      
+      // The caller now belongs to the agent, so the bot's part of the call is over
+      await this.endCall(callId);
+      return call.transfer;
+    } catch (error) {
+      logger.error(`Transfer of call ${callId} failed, returning caller to the bot: ${error.message}`);
+      call.transfer = { ...call.transfer, error: error.message, failedAt: new Date() };
+      this.activeCalls.set(callId, call);
+      this.updateStatus(callId, previousStatus);
+      
+      llmBot.addSystemMessage(callId, 'The transfer to a human agent failed. Nobody is available right now, so keep helping the caller yourself.');
+      await this.say(callId, TRANSFER_FALLBACK_MESSAGE).catch((sayError) => {
+        logger.error(`Error telling caller about failed transfer on call ${callId}: ${sayError.message}`);
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a token for a supervisor to join a live call. 'listen' only hears the call;
+   * 'whisper' also gets a token for the call's whisper room, where what they say
+   * reaches the bot as guidance and never the caller; 'barge' talks to the caller
+   * while the bot stays quiet until they leave.
+   * @param {string} callId - Call identifier
+   * @param {Object} options - { mode, name }
+   * @returns {Promise<Object>} - { identity, mode, roomName, url, token }, plus whisperRoomName and whisperToken for a whisper
+   */
+  async startMonitoring(callId, options = {}) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime) {
+      throw new Error(`Call ID not found: ${callId}`);
+    }
+    const mode = options.mode || 'listen';
+    if (!SUPERVISOR_GRANTS[mode]) {
+      const error = new Error(`Monitor mode must be one of: ${Object.keys(SUPERVISOR_GRANTS).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    if (mode !== 'listen' && !call.sttSession) {
+      const error = new Error(`The bot is not in conversation on call ${callId} yet, so only listen mode is available`);
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    const identity = `supervisor-${uuidv4()}`;
+    const tokenOptions = {
+      name: options.name || 'Supervisor',
+      metadata: { type: 'supervisor', callId, mode },
+      ttl: SUPERVISOR_TOKEN_TTL,
+    };
+    const monitor = {
+      identity,
+      mode,
+      roomName: call.roomName,
+      url: livekitClient.url,
+      token: livekitClient.generateToken(call.roomName, identity, false, { ...tokenOptions, grant: SUPERVISOR_GRANTS[mode] }),
+    };
+    if (mode === 'whisper') {
+      monitor.whisperRoomName = await this.openWhisperRoom(callId);
+      monitor.whisperToken = livekitClient.generateToken(monitor.whisperRoomName, identity, false, { ...tokenOptions, grant: WHISPER_GRANT });
+    }
+    
+    call.supervisors = call.supervisors || [];
+    call.supervisors.push({ identity, name: options.name, mode, issuedAt: new Date() });
+    this.persistCall(callId);
+    logger.info(`[${callId}] Issued ${mode} monitoring token to ${identity}`);
+    
+    return monitor;
+  }
+
+  /**
+   * Create the call's whisper room and put the bot in it, once per call
+   * @param {string} callId - Call identifier
+   * @returns {Promise<string>} - Whisper room name
+   */
+  openWhisperRoom(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call.whisperRoom) {
+      const roomName = `${call.roomName}-whisper`;
+      call.whisperRoom = (async () => {
+        await livekitClient.createOrGetRoom(roomName);
+        const botToken = livekitClient.generateToken(roomName, call.botIdentity, true, { grant: { canPublish: false } });
+        await llmBot.joinWhisperRoom(callId, roomName, call.botIdentity, botToken, {
+          onParticipantConnected: (participant) => this.handleSupervisorJoined(callId, participant),
+          onParticipantTrack: (participant, track) => this.handleSupervisorTrack(callId, participant, track),
+          onParticipantDisconnected: (participant) => this.handleSupervisorLeft(callId, participant),
+        });
+        return roomName;
+      })();
+      // A failed attempt can be retried by the next whisper request
+      call.whisperRoom.catch(() => {
+        call.whisperRoom = null;
+      });
+    }
+    return call.whisperRoom;
+  }
+
+  /**
+   * Take the bot out of the call's whisper room and close it
+   * @param {string} callId - Call identifier
+   */
+  async closeWhisperRoom(callId) {
+    const call = this.activeCalls.get(callId);
+    // Wait for a room still being opened
+    const roomName = call.whisperRoom ? await call.whisperRoom.catch(() => null) : null;
+    if (!roomName) {
+      return;
+    }
+    await llmBot.leaveWhisperRoom(callId).catch((error) => {
+      logger.warn(`[${callId}] Error leaving whisper room: ${error.message}`);
+    });
+    await livekitClient.endRoom(roomName).catch((error) => {
+      logger.warn(`[${callId}] Error closing whisper room: ${error.message}`);
+    });
+  }
+
+  findSupervisor(callId, identity) {
+    const call = this.activeCalls.get(callId);
+    return call && call.supervisors ? call.supervisors.find((supervisor) => supervisor.identity === identity) : undefined;
+  }
+
+  /**
+   * A participant other than the caller joined; a barging supervisor takes the call over from the bot
+   * @param {string} callId - Call identifier
+   * @param {RemoteParticipant} participant - Participant that joined
+   */
+  handleSupervisorJoined(callId, participant) {
+    const supervisor = this.findSupervisor(callId, participant.identity);
+    if (!supervisor) {
+      return;
+    }
+    supervisor.joinedAt = new Date();
+    logger.info(`[${callId}] Supervisor ${supervisor.identity} joined in ${supervisor.mode} mode`);
+    if (supervisor.mode === 'barge') {
+      this.startBarge(callId, supervisor);
+    }
+    this.persistCall(callId);
+  }
+
+  /**
+   * Transcribe a whispering or barging supervisor. Barge tracks are published in the
+   * call's room; whisper tracks only in the whisper room, which the caller never joins.
+   * @param {string} callId - Call identifier
+   * @param {RemoteParticipant} participant - Track owner
+   * @param {RemoteTrack} track - Subscribed audio track
+   */
+  handleSupervisorTrack(callId, participant, track) {
+    const call = this.activeCalls.get(callId);
+    const supervisor = this.findSupervisor(callId, participant.identity);
+    if (!supervisor || supervisor.mode === 'listen' || call.endTime) {
+      return;
+    }
+    
+    const sessionId = `${callId}:${supervisor.identity}`;
+    const provider = getSTTProvider(call.sttProvider);
+    call.supervisorSessions = call.supervisorSessions || new Set();
+    if (!call.supervisorSessions.has(sessionId)) {
+      try {
+        provider.startSTTSession(sessionId, (result) => {
+          if (result.isFinal && result.transcript) {
+            this.handleSupervisorSpeech(callId, supervisor, result.transcript);
+          }
+        });
+        call.supervisorSessions.add(sessionId);
+      } catch (error) {
+        logger.error(`[${callId}] Could not transcribe supervisor ${supervisor.identity}: ${error.message}`);
+        return;
+      }
+    }
+    llmBot.forwardParticipantAudio(callId, track, participant, (audioData) => provider.sendAudioForTranscription(sessionId, audioData));
+  }
+
+  /**
+   * Something a supervisor said: guidance for the bot in whisper mode, part of the
+   * conversation the bot catches up on in barge mode
+   * @param {string} callId - Call identifier
+   * @param {Object} supervisor - Supervisor entry on the call
+   * @param {string} text - Final transcript
+   */
+  handleSupervisorSpeech(callId, supervisor, text) {
+    const call = this.activeCalls.get(callId);
+    if (!call || call.endTime) {
+      return;
+    }
+    this.recordTranscriptEntry(callId, {
+      speaker: 'supervisor',
+      text,
+      startOffset: this.callOffset(callId, Date.now()),
+      ...(supervisor.mode === 'whisper' ? { audience: 'bot' } : {}),
+    });
+    if (supervisor.mode === 'whisper') {
+      llmBot.addSystemMessage(callId, `Guidance from your supervisor, which the caller cannot hear: ${text}`);
+    } else if (call.barge) {
+      call.barge.transcript.push(`Supervisor: ${text}`);
+    }
+  }
+
+  /**
+   * Silence the bot and take it off the caller's line while a supervisor talks to the caller
+   * @param {string} callId - Call identifier
+   * @param {Object} supervisor - Barging supervisor
+   */
+  startBarge(callId, supervisor) {
+    const call = this.activeCalls.get(callId);
+    if (call.barge || call.endTime) {
+      return;
+    }
+    logger.info(`[${callId}] Supervisor ${supervisor.identity} barged in, muting the bot`);
+    call.barge = { identity: supervisor.identity, startedAt: new Date(), transcript: [] };
+    clearTimeout(call.silenceTimer);
+    (call.pendingResponses || []).forEach((pending) => {
+      pending.cancelled = true;
+    });
+    const turn = this.activeTurns.get(callId);
+    if (!this.handleBargeIn(callId, 'supervisor') && turn && !turn.interrupted) {
+      // A reply still being generated would otherwise be spoken over the supervisor
+      turn.interrupted = true;
+      turn.interruptedAt = Date.now();
+      turn.abortController.abort();
+    }
+    
+    const trackSid = llmBot.getAudioTrackSid(callId);
+    if (trackSid && call.sipParticipantIdentity) {
+      livekitClient.updateSubscriptions(call.roomName, call.sipParticipantIdentity, [trackSid], false).catch((error) => {
+        logger.warn(`[${callId}] Could not mute bot for caller during barge: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Hand the call back to the bot, telling it what was said while it was muted
+   * @param {string} callId - Call identifier
+   */
+  endBarge(callId) {
+    const call = this.activeCalls.get(callId);
+    const { barge } = call;
+    call.barge = null;
+    logger.info(`[${callId}] Supervisor ${barge.identity} left, the bot takes the call back`);
+    
+    llmBot.addSystemMessage(callId, barge.transcript.length
+      ? `A supervisor spoke with the caller directly while you were muted:\n${barge.transcript.join('\n')}\nThe supervisor has left; continue the call from here.`
+      : 'A supervisor joined the call and has now left; continue the call from here.');
+    const trackSid = llmBot.getAudioTrackSid(callId);
+    if (trackSid && call.sipParticipantIdentity) {
+      livekitClient.updateSubscriptions(call.roomName, call.sipParticipantIdentity, [trackSid], true).catch((error) => {
+        logger.error(`[${callId}] Could not unmute bot for caller after barge: ${error.message}`);
+      });
+    }
+    this.armSilenceTimer(callId);
+  }
+
+  /**
+   * A participant other than the caller left; a barging supervisor hands the call back to the bot
+   * @param {string} callId - Call identifier
+   * @param {RemoteParticipant} participant - Participant that left
+   */
+  handleSupervisorLeft(callId, participant) {
+    const call = this.activeCalls.get(callId);
+    const supervisor = this.findSupervisor(callId, participant.identity);
+    if (!supervisor || call.endTime) {
+      return;
+    }
+    supervisor.leftAt = new Date();
+    logger.info(`[${callId}] Supervisor ${supervisor.identity} left`);
+    
+    const sessionId = `${callId}:${supervisor.identity}`;
+    if (call.supervisorSessions && call.supervisorSessions.delete(sessionId)) {
+      getSTTProvider(call.sttProvider).endSTTSession(sessionId);
+    }
+    if (call.barge && call.barge.identity === supervisor.identity) {
+      this.endBarge(callId);
+    }
+    this.persistCall(callId);
+  }
+
+  endSupervisorSessions(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call.supervisorSessions) {
+      return;
+    }
+    call.supervisorSessions.forEach((sessionId) => getSTTProvider(call.sttProvider).endSTTSession(sessionId));
+    call.supervisorSessions.clear();
+  }
+
+  /**
+   * Dial an agent into the call's room, brief them and hand the caller over
+   * @param {string} callId - Call identifier
+   * @param {string} target - Agent phone number
+   * @param {Object} options - Transfer options (briefing)
+   * @returns {Promise<Object>} - { agentIdentity, briefing }
+   */
+  async warmTransfer(callId, target, options = {}) {
+    const call = this.activeCalls.get(callId);
+    const agentIdentity = `agent-${callId}`;
+    
+    try {
+      await livekitClient.placeOutboundCall(call.roomName, target, {
+        participantIdentity: agentIdentity,
+        participantName: 'Transfer Agent',
+        waitUntilAnswered: true,
+      });
+      logger.info(`Agent answered warm transfer for call ${callId}`);
+      
+      // Keep the briefing between the bot and the agent
+      const trackSid = llmBot.getAudioTrackSid(callId);
+      if (trackSid) {
+        await livekitClient.updateSubscriptions(call.roomName, call.sipParticipantIdentity, [trackSid], false)
+          .catch((error) => logger.warn(`Could not mute bot for caller during briefing on call ${callId}: ${error.message}`));
+      }
+      
+      const briefing = options.briefing || await llmBot.generateBriefing(callId);
+      await this.say(callId, briefing, { audience: 'agent' });
+      await llmBot.waitForPlayout(callId);
+      
+      return { agentIdentity, briefing };
+    } catch (error) {
+      // Don't leave a half-connected agent in the room
+      await livekitClient.disconnectParticipant(call.roomName, agentIdentity).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Convert text to speech with the call's voice settings
+   * @param {string} callId - Call identifier
+   * @param {string} text - Text to speak
+   * @returns {Promise<Buffer>} - Linear16 audio at the call's output sample rate
+   */
+  synthesize(callId, text) {
+    const call = this.activeCalls.get(callId);
+    return synthesizeSpeech(text, call && call.tts);
+  }
+
+  /**
+   * Sample rate of the bot's audio track for a call
+   * @param {string} callId - Call identifier
+   * @returns {number} - Sample rate in Hz
+   */
+  outputSampleRate(callId) {
+    const call = this.activeCalls.get(callId);
+    return (call && call.tts ? call.tts : resolveTTSSettings()).sampleRate;
+  }
+
+  /**
+   * Speak a fixed piece of text on the call, outside of an LLM turn
+   * @param {string} callId - Call identifier
+   * @param {string} text - What the bot should say
+   * @param {Object} options - Options
+   * @param {string} options.audience - 'caller' (default) records the text in the LLM history; anything else does not
+   * @returns {Promise<boolean>} - Resolves once the audio has been queued for playback
+   */
+  async say(callId, text, options = {}) {
+    const audience = options.audience || 'caller';
+    const audioBuffer = await this.synthesize(callId, text);
+    const startedAt = Date.now();
+    const played = llmBot.playAudio(callId, audioBuffer, { text });
+    this.emit('botSpeech', { callId, text });
+    
+    if (audience === 'caller') {
+      llmBot.addAssistantMessage(callId, text);
+    }
+    this.recordTranscriptEntry(callId, {
+      speaker: 'bot',
+      text,
+      timestamp: new Date(startedAt).toISOString(),
+      startOffset: this.callOffset(callId, startedAt),
+      endOffset: this.callOffset(callId, startedAt + pcmDurationMs(audioBuffer, this.outputSampleRate(callId))),
+      ...(audience !== 'caller' ? { audience } : {}),
+    });
+    return played;
+  }
+
+  /**
+   * Start recording a call if its agent, its request or RECORDING_ENABLED asks for it.
+   * Recording problems are logged but never affect the call.
+   * @param {string} callId - Call identifier
+   * @returns {Promise<void>}
+   */
+  async startRecording(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call || !call.record || call.recordings) {
+      return;
+    }
+    call.recordings = [];
+    
+    try {
+      if (!RECORDING_MODES.includes(RECORDING_MODE)) {
+        throw new Error(`RECORDING_MODE must be one of: ${RECORDING_MODES.join(', ')}`);
+      }
+      logger.info(`[${callId}] Starting ${RECORDING_MODE} recording`);
+      
+      if (RECORDING_MODE === 'local') {
+        const filePath = path.resolve(RECORDINGS_DIR, `${callId}.wav`);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        call.localRecorder = new LocalRecorder(filePath);
+        call.recordings.push({
+          id: 'local',
+          type: 'local',
+          source: 'mixed', // Caller on the left channel, bot on the right
+          format: 'wav',
+          filename: path.basename(filePath),
+          location: filePath,
+          status: 'recording',
+          startedAt: new Date(),
+        });
+      } else if (RECORDING_MODE === 'track') {
+        // The caller's track is picked up in onCallerConnected if it isn't subscribed yet
+        call.recordedTracks = new Set();
+        await this.recordTrack(callId, 'bot', llmBot.getAudioTrackSid(callId));
+        await this.recordTrack(callId, 'caller', call.callerTrackSid);
+      } else {
+        const info = await livekitClient.startRoomRecording(call.roomName, `${RECORDINGS_DIR}/${callId}-{time}.ogg`);
+        this.addEgressRecording(callId, info, 'mixed');
+      }
+    } catch (error) {
+      logger.error(`[${callId}] Error starting recording: ${error.message}`);
+    }
+    
+    // The call may have ended while the recording was starting
+    if (call.recordingStopped) {
+      await this.stopRecording(callId);
+    }
+    this.persistCall(callId);
+  }
+
+  /**
+   * Record one participant's audio track with a track egress, once per track
+   * @param {string} callId - Call identifier
+   * @param {string} source - Whose audio it is: 'caller' or 'bot'
+   * @param {string} trackSid - Track to record (nothing happens without one)
+   * @returns {Promise<void>}
+   */
+  async recordTrack(callId, source, trackSid) {
+    const call = this.activeCalls.get(callId);
+    if (!call || !trackSid || call.recordedTracks.has(trackSid)) {
+      return;
+    }
+    call.recordedTracks.add(trackSid);
+    
+    const info = await livekitClient.startTrackRecording(call.roomName, trackSid, `${RECORDINGS_DIR}/${callId}-${source}-{time}.ogg`);
+    this.addEgressRecording(callId, info, source);
+    if (call.recordingStopped) {
+      await this.stopRecording(callId);
+    }
+    this.persistCall(callId);
+  }
+
+  /**
+   * Add a started egress to a call's recordings
+   * @param {string} callId - Call identifier
+   * @param {Object} info - EgressInfo from LiveKit
+   * @param {string} source - Whose audio it records: 'mixed', 'caller' or 'bot'
+   */
+  addEgressRecording(callId, info, source) {
+    const call = this.activeCalls.get(callId);
+    call.recordings.push({
+      id: info.egressId,
+      type: 'egress',
+      source,
+      format: 'ogg',
+      egressId: info.egressId,
+      status: 'recording',
+      startedAt: new Date(),
+    });
+    this.recordingEgresses.set(info.egressId, callId);
+  }
+
+  /**
+   * Stop a call's recordings. Egress recordings carry on uploading and report
+   * their final file location through the egress_ended webhook.
+   * @param {string} callId - Call identifier
+   * @returns {Promise<void>}
+   */
+  async stopRecording(callId) {
+    const call = this.activeCalls.get(callId);
+    if (!call || !call.recordings) {
+      return;
+    }
+    call.recordingStopped = true;
+    
+    const active = call.recordings.filter((recording) => recording.status === 'recording');
+    await Promise.all(active.map(async (recording) => {
+      try {
+        if (recording.type === 'local') {
+          const result = await call.localRecorder.stop();
+          Object.assign(recording, {
+            status: 'complete',
+            endedAt: new Date(),
+            size: result.size,
+            durationSeconds: result.durationSeconds,
+          });
+        } else {
+          recording.status = 'ending';
+          applyEgressInfo(recording, await livekitClient.stopRecording(recording.egressId));
+        }
+        logger.info(`[${callId}] Stopped recording ${recording.id}`);
+      } catch (error) {
+        logger.error(`[${callId}] Error stopping recording ${recording.id}: ${error.message}`);
+        recording.status = 'failed';
+        recording.error = error.message;
+      }
+    }));
+  }
+
+  /**
+   * Update a recording from LiveKit's egress_ended webhook, which carries its final
+   * status and file location. Works after the call has left memory.
+   * @param {Object} egressInfo - EgressInfo from the webhook
+   * @returns {Promise<string|undefined>} - ID of the call the recording belongs to
+   */
+  async handleRecordingEnded(egressInfo) {
+    const callId = this.recordingEgresses.get(egressInfo.egressId);
+    if (!callId) {
+      return undefined;
+    }
+    this.recordingEgresses.delete(egressInfo.egressId);
+    
+    const call = this.activeCalls.get(callId);
+    const stored = call ? null : await callRepository.getCall(callId);
+    const recordings = call ? call.recordings : stored && stored.recordings;
+    const recording = recordings && recordings.find((entry) => entry.egressId === egressInfo.egressId);
+    if (!recording) {
+      return callId;
+    }
+    
+    applyEgressInfo(recording, egressInfo);
+    logger.info(`[${callId}] Recording ${recording.id} ${recording.status}${recording.location ? `: ${recording.location}` : ''}`);
+    if (call) {
+      await this.persistCall(callId);
+    } else {
+      await callRepository.saveCall({ id: callId, recordings });
+    }
+    return callId;
+  }
+
+  /**
+   * Get a call's recordings
+   * @param {string} callId - Call identifier
+   * @returns {Promise<Array<Object>|null>} - Recordings, or null if the call is unknown
+   */
+  async getRecordings(callId) {
+    const call = await this.findCall(callId);
+    if (!call) {
+      return null;
+    }
+    return call.recordings || [];
+  }
+
+  /**
+   * Find where a finished recording can be fetched from: a file in RECORDINGS_DIR on
+   * this server (local recordings, or egress output on a shared volume), else the
+   * URL the egress uploaded it to
+   * @param {string} callId - Call identifier
+   * @param {string} recordingId - Recording identifier
+   * @returns {Promise<Object>} - { recording, filePath } or { recording, url }
+   */
+  async getRecordingFile(callId, recordingId) {
+    const recordings = await this.getRecordings(callId);
+    const recording = recordings && recordings.find((entry) => entry.id === recordingId);
+    if (!recording) {
+      const error = new Error(`Recording not found: ${recordingId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    if (recording.status === 'recording' || recording.status === 'ending') {
+      const error = new Error(`Recording ${recordingId} is not finished yet`);
+      error.statusCode = 409;
+      throw error;
+    }
+    
+    if (recording.filename) {
+      // Only ever serve files from the recordings directory
+      const filePath = path.resolve(RECORDINGS_DIR, path.basename(recording.filename));
+      if (fs.existsSync(filePath)) {
+        return { recording, filePath };
+      }
+    }
+    if (/^https?:\/\//i.test(recording.location || '')) {
+      return { recording, url: recording.location };
+    }
+    const error = new Error(`Recording ${recordingId} has no file available on this server`);
+    error.statusCode = 404;
+    throw error;
+  }
+
   /**
    * Send audio data for transcription
    * @param {string} callId - Call identifier
@@ -236,14 +2329,44 @@ class CallManager {
         logger.warn(`Call ID not found for audio processing: ${callId}`);
         return false;
       }
+      // Early media (ringback, carrier announcements) before an outbound call is answered
+      const call = this.activeCalls.get(callId);
+      if (!call.sttSession) {
+        return false;
+      }
+      if (call.machineDetector) {
+        call.machineDetector.processAudio(audioData);
+      }
+      if (call.localRecorder) {
+        call.localRecorder.addCallerAudio(audioData);
+      }
       
-      return deepgramHandler.sendAudioForTranscription(callId, audioData);
+      return getSTTProvider(call.sttProvider).sendAudioForTranscription(callId, audioData);
     } catch (error) {
       logger.error(`Error processing audio: ${error.message}`);
       return false;
     }
   }
 
+  /**
+   * End a call and hang up on the caller. endCall alone only takes the bot out of
+   * the room, which leaves the SIP leg up until LiveKit closes the empty room;
+   * closing it here disconnects the caller straight away.
+   * @param {string} callId - Call to hang up
+   * @returns {Promise<boolean>} - True if the call was still going
+   */
+  async hangUp(callId) {
+    const call = this.activeCalls.get(callId);
+    // A call that already ended may have been handed to a human in the same room
+    if (!(await this.endCall(callId))) {
+      return false;
+    }
+    await livekitClient.endRoom(call.roomName).catch((error) => {
+      logger.error(`[${callId}] Error hanging up: ${error.message}`);
+    });
+    return true;
+  }
+
   /**
    * End an active call and clean up resources
    * @param {string} callId - Call to end
@@ -259,12 +2382,31 @@ class CallManager {
       }
       
       const call = this.activeCalls.get(callId);
+      if (call.endTime) {
+        logger.warn(`Call already ended: ${callId}`);
+        return false;
+      }
+      clearTimeout(call.ringTimer);
+      clearTimeout(call.maxDurationTimer);
+      clearTimeout(call.silenceTimer);
+      clearTimeout(call.dtmfTimer);
+      this.endSupervisorSessions(callId);
+      this.closeWhisperRoom(callId);
+      if (call.turnDetector) {
+        call.turnDetector.reset();
+      }
+      if (call.machineDetector) {
+        call.machineDetector.stop();
+      }
+      await this.stopRecording(callId);
       
       // End STT session
-      deepgramHandler.endSTTSession(callId);
+      if (call.sttSession) {
+        getSTTProvider(call.sttProvider).endSTTSession(callId);
+      }
       
-      // End LLM conversation
-      llmBot.endConversation(callId);
+      // End LLM conversation (the bot also leaves the room here)
+      await llmBot.endConversation(callId);
       
       // Remove bot from room if still active
       try {
@@ -279,14 +2421,19 @@ class CallManager {
       }
       
       // Update call status
-      call.status = 'ended';
       call.endTime = new Date();
       call.duration = (call.endTime - call.startTime) / 1000; // in seconds
       this.activeCalls.set(callId, call);
+      if (!FINAL_STATUSES.includes(call.status)) {
+        this.updateStatus(callId, 'ended');
+      } else {
+        this.persistCall(callId);
+      }
       
       logger.info(`Call ended successfully: ${callId}, duration: ${call.duration}s`);
+      this.emit('callEnded', this.getCallDetails(callId));
       
-      // Optional: Remove call from active calls after a delay
+      // Remove call from active calls after a delay; the call repository keeps the record
       setTimeout(() => {
         this.activeCalls.delete(callId);
         logger.info(`Call data removed from memory: ${callId}`);
@@ -313,16 +2460,76 @@ class CallManager {
         status: call.status,
         roomName: call.roomName,
         startTime: call.startTime,
+        answeredAt: call.answeredAt,
+        endTime: call.endTime,
         duration: call.endTime ? (call.endTime - call.startTime) / 1000 : (new Date() - call.startTime) / 1000,
         callerIdentity: call.callerIdentity,
         phoneNumber: call.phoneNumber,
+        calledNumber: call.calledNumber,
+        campaignId: call.campaignId,
+        contactId: call.contactId,
+        requestedBy: call.requestedBy,
+        sttProvider: call.sttProvider,
+        tts: call.tts,
+        llm: call.llm,
+        agentId: call.agentId,
+        routing: call.routing,
+        greeting: call.greeting,
+        greetedAt: call.greetedAt,
+        answeredBy: call.answeredBy,
+        machineDetection: call.machineDetection,
+        endReason: call.endReason,
+        digitCollection: call.digitCollection,
+        recordings: call.recordings,
+        statusCallbackUrl: call.statusCallbackUrl,
+        supervisors: call.supervisors,
+        bargedBy: call.barge ? call.barge.identity : undefined,
         lastTranscript: call.lastTranscript,
         lastTranscriptTime: call.lastTranscriptTime,
+        interruptions: call.interruptions || 0,
+        turnMetrics: call.turnMetrics || [],
+        toolInvocations: call.toolInvocations || [],
+        transfer: call.transfer,
       };
     }
     return null;
   }
 
+  /**
+   * Get a call from memory or, once it has been evicted, from the call repository
+   * @param {string} callId - Call ID to query
+   * @returns {Promise<Object|null>} - Call details with status history, or null if not found
+   */
+  async findCall(callId) {
+    const stored = await callRepository.getCall(callId);
+    const live = this.getCallDetails(callId);
+    if (!live) {
+      return stored;
+    }
+    return { ...stored, ...live };
+  }
+
+  /**
+   * Get the stored transcript of a call
+   * @param {string} callId - Call identifier
+   * @returns {Promise<Array<Object>|null>} - Transcript entries, or null if the call is unknown
+   */
+  async getTranscript(callId) {
+    if (!this.activeCalls.has(callId) && !(await callRepository.getCall(callId))) {
+      return null;
+    }
+    return callRepository.getTranscript(callId);
+  }
+
+  /**
+   * Search past and present calls in the call repository
+   * @param {Object} filters - { from, to, type, phoneNumber, status, limit, offset }
+   * @returns {Promise<Object>} - { calls, total, limit, offset }
+   */
+  async getCallHistory(filters = {}) {
+    return callRepository.listCalls(filters);
+  }
+
   /**
    * Get a list of all active calls
    * @returns {Array<Object>} - List of active call details
@@ -330,7 +2537,7 @@ class CallManager {
   getAllActiveCalls() {
     const calls = [];
     for (const [callId, call] of this.activeCalls.entries()) {
-      if (call.status !== 'ended') {
+      if (!call.endTime) {
         calls.push(this.getCallDetails(callId));
       }
     }
@@ -338,4 +2545,191 @@ class CallManager {
   }
 }
 
+/**
+ * The model settings worth keeping on the call record (the system prompt stays with the conversation)
+ * @param {Object} settings - Resolved LLM settings
+ * @returns {Object} - { provider, model, temperature, maxTokens, fallback }
+ */
+function modelSummary({ systemPrompt, ...summary }) {
+  return summary;
+}
+
+/**
+ * LLM setting overrides from an agent profile, including its system prompt
+ * @param {Object} agent - Agent profile (optional)
+ * @returns {Object} - LLM setting overrides
+ */
+function agentModel(agent) {
+  if (!agent) {
+    return {};
+  }
+  return agent.systemPrompt ? { ...agent.llm, systemPrompt: agent.systemPrompt } : agent.llm;
+}
+
+/**
+ * The parts of an agent profile a call keeps for its lifetime, with the defaults for anything it leaves out
+ * @param {Object} agent - Agent profile (optional)
+ * @returns {Object} - Call record fields
+ */
+function agentCallSettings(agent) {
+  return {
+    agentId: agent ? agent.id : undefined,
+    endPhrases: agent ? agent.endPhrases : [],
+    maxDurationSeconds: (agent && agent.maxDurationSeconds) || MAX_CALL_DURATION_SECONDS,
+    silence: { ...DEFAULT_SILENCE_SETTINGS, ...(agent ? agent.silence : {}) },
+  };
+}
+
+/**
+ * Work out a call's opening line: the call's own, else its agent's, else the default for its direction
+ * @param {string} type - 'inbound' or 'outbound'
+ * @param {Object} agent - Agent profile (optional)
+ * @param {Object} options - { greeting, generateGreeting } from the call request (optional)
+ * @returns {Object|null} - { mode: 'static', text } or { mode: 'generate' }, or null for no greeting
+ */
+function resolveGreeting(type, agent, options = {}) {
+  if (options.greeting === false) {
+    return null;
+  }
+  if (options.generateGreeting) {
+    return { mode: 'generate' };
+  }
+  if (options.greeting) {
+    return { mode: 'static', text: options.greeting };
+  }
+  if (agent && agent.greeting) {
+    return { mode: 'static', text: agent.greeting };
+  }
+  if (process.env.GREETING_ENABLED === 'false') {
+    return null;
+  }
+  return DEFAULT_GREETINGS[type] ? { mode: 'static', text: DEFAULT_GREETINGS[type] } : { mode: 'generate' };
+}
+
+/**
+ * Answering machine detection settings for an outbound call
+ * @param {Object} agent - Agent profile (optional)
+ * @param {Object} options - initiateOutboundCall options (machineDetection, voicemailMessage, generateVoicemail)
+ * @returns {Object|null} - { voicemail }, null if detection is off; voicemail is { mode: 'static', text },
+ *   { mode: 'generate' } or null to hang up on machines without leaving one
+ */
+function resolveMachineDetection(agent, options = {}) {
+  const enabled = options.machineDetection !== undefined ? Boolean(options.machineDetection) : DEFAULT_MACHINE_DETECTION.enabled;
+  if (!enabled) {
+    return null;
+  }
+  
+  let voicemail;
+  if (options.voicemailMessage === false) {
+    voicemail = null;
+  } else if (options.generateVoicemail) {
+    voicemail = { mode: 'generate' };
+  } else {
+    const text = options.voicemailMessage || (agent && agent.voicemailMessage) || DEFAULT_VOICEMAIL_MESSAGE;
+    voicemail = text ? { mode: 'static', text } : { mode: 'generate' };
+  }
+  return { voicemail };
+}
+
+/**
+ * Whether to record a call: the request's choice, else its agent's, else RECORDING_ENABLED
+ * @param {Object} agent - Agent profile (optional)
+ * @param {Object} options - { record } from the call request (optional)
+ * @returns {boolean} - True to record
+ */
+function resolveRecording(agent, options = {}) {
+  if (options.record !== undefined) {
+    return Boolean(options.record);
+  }
+  if (agent && typeof agent.record === 'boolean') {
+    return agent.record;
+  }
+  return RECORDING_ENABLED;
+}
+
+/**
+ * Where to send a call's lifecycle events: the request's URL, else its agent's, else STATUS_CALLBACK_URL
+ * @param {Object} agent - Agent profile (optional)
+ * @param {Object} options - { statusCallbackUrl } from the call request (optional)
+ * @returns {string|undefined} - URL, or undefined for no callbacks
+ */
+function resolveStatusCallbackUrl(agent, options = {}) {
+  return options.statusCallbackUrl || (agent && agent.statusCallbackUrl) || DEFAULT_STATUS_CALLBACK_URL || undefined;
+}
+
+/**
+ * Copy an egress's status and file details onto a call's recording
+ * @param {Object} recording - Recording entry on the call record
+ * @param {Object} info - EgressInfo from the SDK or a webhook (int64 fields may be strings)
+ */
+function applyEgressInfo(recording, info) {
+  const file = (info.fileResults && info.fileResults[0]) || info.file;
+  if (file) {
+    recording.filename = file.filename || recording.filename;
+    recording.location = file.location || recording.location;
+    if (Number(file.size)) {
+      recording.size = Number(file.size);
+    }
+    if (Number(file.duration)) {
+      recording.durationSeconds = Number(file.duration) / 1e9; // Nanoseconds
+    }
+  }
+  if (EGRESS_RECORDING_STATUSES[info.status]) {
+    recording.status = EGRESS_RECORDING_STATUSES[info.status];
+  }
+  if (Number(info.endedAt)) {
+    recording.endedAt = new Date(Number(info.endedAt) / 1e6);
+  }
+  if (info.error) {
+    recording.error = info.error;
+  }
+}
+
+/**
+ * Merge digit collection options over the DTMF_* defaults
+ * @param {Object} options - { maxDigits, terminator, timeoutSeconds }
+ * @returns {Object} - Validated collection settings
+ */
+function resolveDigitCollection(options = {}) {
+  const collection = {
+    maxDigits: options.maxDigits !== undefined ? options.maxDigits : DEFAULT_DIGIT_COLLECTION.maxDigits,
+    terminator: options.terminator !== undefined ? options.terminator || null : DEFAULT_DIGIT_COLLECTION.terminator,
+    timeoutSeconds: options.timeoutSeconds !== undefined ? Number(options.timeoutSeconds) : DEFAULT_DIGIT_COLLECTION.timeoutSeconds,
+  };
+  if (collection.maxDigits !== null && !(Number.isInteger(collection.maxDigits) && collection.maxDigits >= 1 && collection.maxDigits <= 64)) {
+    throw new Error('maxDigits must be an integer between 1 and 64');
+  }
+  if (collection.terminator !== null && !isDtmfDigit(collection.terminator)) {
+    throw new Error('terminator must be a single DTMF key, e.g. "#"');
+  }
+  if (!(collection.timeoutSeconds > 0)) {
+    throw new Error('timeoutSeconds must be a positive number');
+  }
+  return collection;
+}
+
+/**
+ * How a keypad entry is put to the LLM
+ * @param {string} digits - Keys pressed, without the terminator
+ * @param {Object} collection - Digit collection the entry answers, if any
+ * @returns {string} - User message
+ */
+function describeKeypadEntry(digits, collection) {
+  if (!collection) {
+    return `[The caller pressed ${digits} on the keypad]`;
+  }
+  return digits
+    ? `[The caller entered ${digits} on the keypad]`
+    : '[The caller did not enter anything on the keypad]';
+}
+
+/**
+ * Lower-case text with punctuation removed, for loose phrase matching
+ * @param {string} text - Text to normalize
+ * @returns {string} - Normalized text
+ */
+function normalizePhrase(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+}
+
 module.exports = new CallManager();
@@ -0,0 +1,167 @@
+const { STATUS_CODES } = require('http');
+const { WebSocketServer, WebSocket } = require('ws');
+const logger = require('./utils/logger');
+const callManager = require('./callManager');
+const apiAuth = require('./apiAuth');
+
+const STREAM_PATH = /^\/api\/calls\/(?:([^/]+)\/)?stream\/?$/;
+const HEARTBEAT_MS = parseInt(process.env.MONITOR_HEARTBEAT_MS || '30000', 10);
+// A WebSocket client this far behind misses events rather than have them pile up in memory
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/**
+ * Pushes live call events to supervisors and dashboards, over a WebSocket or,
+ * for plain HTTP clients, Server-Sent Events on the same paths:
+ * /api/calls/:callId/stream follows one call, /api/calls/stream all of them.
+ *
+ * Every message is { type, callId, timestamp, data }. A stream starts with a
+ * 'snapshot' (the call's details, or all active calls) followed by
+ * 'transcript.interim', 'transcript.final', 'bot.speech', 'status', 'metrics',
+ * 'tool' and 'ended' events. Single-call streams close after 'ended', which
+ * a stream opened on a call that has already ended gets straight after the snapshot.
+ */
+class CallMonitor {
+  constructor() {
+    this.subscribers = new Set(); // { callId (null for every call), send, heartbeat, close }
+    this.wss = new WebSocketServer({ noServer: true });
+
+    callManager.on('interimTranscript', ({ callId, text }) => this.publish(callId, 'transcript.interim', { text }));
+    callManager.on('transcript', ({ callId, entry }) => this.publish(callId, 'transcript.final', entry));
+    callManager.on('botSpeech', ({ callId, text }) => this.publish(callId, 'bot.speech', { text }));
+    callManager.on('statusChanged', ({ callId, status, previousStatus }) => this.publish(callId, 'status', { status, previousStatus }));
+    callManager.on('turnMetrics', ({ callId, ...metrics }) => this.publish(callId, 'metrics', metrics));
+    callManager.on('toolInvoked', ({ callId, ...invocation }) => this.publish(callId, 'tool', invocation));
+    callManager.on('callEnded', (details) => this.handleCallEnded(details));
+
+    this.heartbeat = setInterval(() => this.subscribers.forEach((subscriber) => subscriber.heartbeat()), HEARTBEAT_MS);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Serve WebSocket streams from an HTTP server
+   * @param {http.Server} server - Server the Express app listens on
+   */
+  attach(server) {
+    server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+  }
+
+  handleUpgrade(req, socket, head) {
+    const match = STREAM_PATH.exec(new URL(req.url, 'http://localhost').pathname);
+    if (!match) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    try {
+      apiAuth.authorizeUpgrade(req, 'calls:read');
+    } catch (error) {
+      socket.end(`HTTP/1.1 ${error.statusCode} ${STATUS_CODES[error.statusCode]}\r\n\r\n`);
+      return;
+    }
+    const callId = match[1] ? decodeURIComponent(match[1]) : null;
+    if (callId && !callManager.getCallDetails(callId)) {
+      socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+      return;
+    }
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.addWebSocket(ws, callId));
+  }
+
+  addWebSocket(ws, callId) {
+    let alive = true;
+    const subscriber = {
+      callId,
+      send: (message) => {
+        if (ws.readyState === WebSocket.OPEN && ws.bufferedAmount < MAX_BUFFERED_BYTES) {
+          ws.send(message);
+        }
+      },
+      // Drop clients that stopped answering pings
+      heartbeat: () => {
+        if (!alive) {
+          ws.terminate();
+          return;
+        }
+        alive = false;
+        ws.ping();
+      },
+      close: () => ws.close(1000, 'Call ended'),
+    };
+
+    ws.on('pong', () => {
+      alive = true;
+    });
+    ws.on('close', () => this.subscribers.delete(subscriber));
+    ws.on('error', (error) => logger.warn(`Call monitor WebSocket error: ${error.message}`));
+    this.subscribe(subscriber);
+  }
+
+  /**
+   * Stream events to an HTTP response as Server-Sent Events
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string|null} callId - Call to follow, or null for every call
+   */
+  addEventStream(req, res, callId) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Stop nginx holding events back
+    });
+    res.flushHeaders();
+
+    const subscriber = {
+      callId,
+      send: (message) => res.write(`data: ${message}\n\n`),
+      heartbeat: () => res.write(': keepalive\n\n'),
+      close: () => res.end(),
+    };
+    req.on('close', () => this.subscribers.delete(subscriber));
+    this.subscribe(subscriber);
+  }
+
+  subscribe(subscriber) {
+    const data = subscriber.callId ? callManager.getCallDetails(subscriber.callId) : callManager.getAllActiveCalls();
+    subscriber.send(message(subscriber.callId, 'snapshot', data));
+    // An ended call stays around briefly, but its 'ended' event has already gone out
+    if (subscriber.callId && data.endTime) {
+      subscriber.send(message(subscriber.callId, 'ended', data));
+      subscriber.close();
+      return;
+    }
+    this.subscribers.add(subscriber);
+  }
+
+  /**
+   * Send an event to everyone watching the call
+   * @param {string} callId - Call identifier
+   * @param {string} type - Event type
+   * @param {Object} data - Event data
+   */
+  publish(callId, type, data) {
+    if (this.subscribers.size === 0) {
+      return;
+    }
+    const text = message(callId, type, data);
+    for (const subscriber of this.subscribers) {
+      if (subscriber.callId === null || subscriber.callId === callId) {
+        subscriber.send(text);
+      }
+    }
+  }
+
+  handleCallEnded(details) {
+    this.publish(details.id, 'ended', details);
+    for (const subscriber of this.subscribers) {
+      if (subscriber.callId === details.id) {
+        this.subscribers.delete(subscriber);
+        subscriber.close();
+      }
+    }
+  }
+}
+
+function message(callId, type, data) {
+  return JSON.stringify({ type, callId, timestamp: new Date().toISOString(), data });
+}
+
+module.exports = new CallMonitor();
@@ -0,0 +1,406 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./utils/logger');
+const callManager = require('./callManager');
+const agentRegistry = require('./agentRegistry');
+const livekitClient = require('./livekitClient');
+const apiAuth = require('./apiAuth');
+const { timezoneForNumber, isValidTimezone, isValidWeekdays, isWithinWindow, parseClockTime } = require('./utils/timezones');
+
+const DEFAULT_SETTINGS = {
+  maxConcurrentCalls: 2,
+  maxAttempts: 3,
+  retryBackoffSeconds: 300, // Doubled after each failed attempt
+  retryOutcomes: ['no_answer', 'busy'],
+  timezone: process.env.CAMPAIGN_DEFAULT_TIMEZONE || 'America/New_York',
+  callingHours: { start: '09:00', end: '20:00' },
+};
+
+const MAX_CONTACTS = 10000;
+const RETRYABLE_OUTCOMES = ['voicemail', 'no_answer', 'busy', 'failed'];
+const ACTIVE_CONTACT_STATUSES = ['dialing', 'in_progress'];
+const FINAL_CONTACT_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Outbound campaign dialer. Campaigns hold a list of contacts that are dialed
+ * through CallManager.initiateOutboundCall, respecting a concurrency limit and
+ * each contact's local calling hours, with backoff retries for unanswered calls.
+ * Campaign state is kept in memory; the calls themselves go to the call repository.
+ */
+class CampaignManager {
+  constructor() {
+    this.campaigns = new Map(); // Campaigns by campaignId
+    this.tickIntervalMs = parseInt(process.env.CAMPAIGN_TICK_MS || '5000', 10);
+    this.timer = null;
+
+    callManager.on('callEnded', (details) => this.handleCallEnded(details));
+  }
+
+  /**
+   * Create a campaign and start dialing (unless startPaused is set)
+   * @param {Object} definition - { name, contacts: [{ phoneNumber, initialContext, timezone }], settings, agentId, startPaused, requestedBy }
+   * @returns {Object} - Campaign summary
+   */
+  createCampaign(definition = {}) {
+    const { name, contacts, agentId, startPaused, requestedBy } = definition;
+    const settings = this.validateSettings({ ...DEFAULT_SETTINGS, ...(definition.settings || {}) });
+
+    if (!Array.isArray(contacts) || contacts.length === 0) {
+      throw new Error('At least one contact is required');
+    }
+    if (contacts.length > MAX_CONTACTS) {
+      throw new Error(`A campaign can have at most ${MAX_CONTACTS} contacts`);
+    }
+    if (agentId && !agentRegistry.getAgent(agentId)) {
+      throw new Error(`Unknown agentId: ${agentId}`);
+    }
+
+    const campaignContacts = contacts.map((contact, index) => this.createContact(contact, index, settings));
+    const ids = new Set();
+    campaignContacts.forEach((contact) => {
+      if (ids.has(contact.id)) {
+        throw new Error(`Duplicate contact id: ${contact.id}`);
+      }
+      ids.add(contact.id);
+    });
+
+    const campaign = {
+      id: uuidv4(),
+      name: name || 'Untitled campaign',
+      status: startPaused ? 'paused' : 'running',
+      settings,
+      agentId: agentId || null,
+      requestedBy, // API client whose concurrent call quota the campaign's calls count against
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      contacts: campaignContacts,
+    };
+
+    this.campaigns.set(campaign.id, campaign);
+    logger.info(`Created campaign ${campaign.id} (${campaign.name}) with ${campaign.contacts.length} contacts`);
+
+    this.ensureTimer();
+    this.tick();
+    return this.getCampaignSummary(campaign.id);
+  }
+
+  createContact(contact, index, settings) {
+    if (!contact || !contact.phoneNumber) {
+      throw new Error(`Contact ${index} is missing a phoneNumber`);
+    }
+    if (contact.timezone && !isValidTimezone(contact.timezone)) {
+      throw new Error(`Contact ${index} has an invalid timezone: ${contact.timezone}`);
+    }
+
+    return {
+      id: contact.id ? String(contact.id) : String(index + 1),
+      phoneNumber: contact.phoneNumber,
+      initialContext: contact.initialContext,
+      // Guessed from the number as it will be dialed, so a national number isn't read as a country code
+      timezone: contact.timezone || timezoneForNumber(livekitClient.formatPhoneNumber(String(contact.phoneNumber))) || settings.timezone,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: null,
+      lastOutcome: null,
+      callIds: [],
+    };
+  }
+
+  validateSettings(settings) {
+    if (!Number.isInteger(settings.maxConcurrentCalls) || settings.maxConcurrentCalls < 1) {
+      throw new Error('maxConcurrentCalls must be a positive integer');
+    }
+    if (!Number.isInteger(settings.maxAttempts) || settings.maxAttempts < 1) {
+      throw new Error('maxAttempts must be a positive integer');
+    }
+    if (typeof settings.retryBackoffSeconds !== 'number' || settings.retryBackoffSeconds < 0) {
+      throw new Error('retryBackoffSeconds must be a non-negative number');
+    }
+    if (!Array.isArray(settings.retryOutcomes) || settings.retryOutcomes.some((outcome) => !RETRYABLE_OUTCOMES.includes(outcome))) {
+      throw new Error(`retryOutcomes must be some of: ${RETRYABLE_OUTCOMES.join(', ')}`);
+    }
+    if (!isValidTimezone(settings.timezone)) {
+      throw new Error(`Invalid timezone: ${settings.timezone}`);
+    }
+    if (settings.callingHours) {
+      // Throws on malformed times
+      parseClockTime(settings.callingHours.start);
+      parseClockTime(settings.callingHours.end);
+      if (settings.callingHours.days !== undefined && !isValidWeekdays(settings.callingHours.days)) {
+        throw new Error('callingHours.days must be distinct weekdays from 0 (Sunday) to 6 (Saturday)');
+      }
+    }
+    return settings;
+  }
+
+  /**
+   * Pause dialing; calls already in progress continue
+   * @param {string} campaignId - Campaign identifier
+   * @returns {Object} - Campaign summary
+   */
+  pauseCampaign(campaignId) {
+    const campaign = this.requireCampaign(campaignId, ['running']);
+    this.setCampaignStatus(campaign, 'paused');
+    return this.getCampaignSummary(campaignId);
+  }
+
+  /**
+   * Resume a paused campaign
+   * @param {string} campaignId - Campaign identifier
+   * @returns {Object} - Campaign summary
+   */
+  resumeCampaign(campaignId) {
+    const campaign = this.requireCampaign(campaignId, ['paused']);
+    this.setCampaignStatus(campaign, 'running');
+    this.ensureTimer();
+    this.tick();
+    return this.getCampaignSummary(campaignId);
+  }
+
+  /**
+   * Cancel a campaign; contacts not yet reached are cancelled, calls in progress continue
+   * @param {string} campaignId - Campaign identifier
+   * @returns {Object} - Campaign summary
+   */
+  cancelCampaign(campaignId) {
+    const campaign = this.requireCampaign(campaignId, ['running', 'paused']);
+    campaign.contacts
+      .filter((contact) => contact.status === 'pending' || contact.status === 'retry_scheduled')
+      .forEach((contact) => {
+        contact.status = 'cancelled';
+        contact.nextAttemptAt = null;
+      });
+    this.setCampaignStatus(campaign, 'cancelled');
+    return this.getCampaignSummary(campaignId);
+  }
+
+  requireCampaign(campaignId, allowedStatuses) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) {
+      const error = new Error(`Campaign not found: ${campaignId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    if (allowedStatuses && !allowedStatuses.includes(campaign.status)) {
+      const error = new Error(`Campaign ${campaignId} is ${campaign.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
+    return campaign;
+  }
+
+  setCampaignStatus(campaign, status) {
+    logger.info(`Campaign ${campaign.id} ${campaign.status} -> ${status}`);
+    campaign.status = status;
+    campaign.updatedAt = new Date();
+  }
+
+  /**
+   * Get campaign details including every contact
+   * @param {string} campaignId - Campaign identifier
+   * @returns {Object|null} - Campaign or null if not found
+   */
+  getCampaign(campaignId) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) {
+      return null;
+    }
+    return { ...this.getCampaignSummary(campaignId), contacts: campaign.contacts };
+  }
+
+  /**
+   * Get campaign details with progress counters but without the contact list
+   * @param {string} campaignId - Campaign identifier
+   * @returns {Object|null} - Campaign summary or null if not found
+   */
+  getCampaignSummary(campaignId) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) {
+      return null;
+    }
+    const { contacts, ...summary } = campaign;
+    return { ...summary, progress: this.getProgress(campaign) };
+  }
+
+  /**
+   * List all campaigns
+   * @returns {Array<Object>} - Campaign summaries
+   */
+  listCampaigns() {
+    return [...this.campaigns.keys()].map((campaignId) => this.getCampaignSummary(campaignId));
+  }
+
+  getProgress(campaign) {
+    const progress = {
+      total: campaign.contacts.length,
+      pending: 0,
+      dialing: 0,
+      in_progress: 0,
+      retry_scheduled: 0,
+      completed: 0,
+      failed: 0,
+      cancelled: 0,
+      attempts: 0,
+    };
+    campaign.contacts.forEach((contact) => {
+      progress[contact.status] += 1;
+      progress.attempts += contact.attempts;
+    });
+    return progress;
+  }
+
+  ensureTimer() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.tick(), this.tickIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Dial due contacts on every running campaign
+   */
+  tick() {
+    const now = new Date();
+    let running = 0;
+
+    for (const campaign of this.campaigns.values()) {
+      if (campaign.status !== 'running') {
+        continue;
+      }
+      running += 1;
+
+      const active = campaign.contacts.filter((contact) => ACTIVE_CONTACT_STATUSES.includes(contact.status)).length;
+      let slots = campaign.settings.maxConcurrentCalls - active;
+
+      for (const contact of campaign.contacts) {
+        if (slots <= 0) {
+          break;
+        }
+        if (this.isDue(campaign, contact, now)) {
+          const releaseCall = campaign.requestedBy ? apiAuth.reserveCampaignCall(campaign.requestedBy) : () => {};
+          if (!releaseCall) {
+            break; // The creating client is at its call limit; try again next tick
+          }
+          slots -= 1;
+          this.dialContact(campaign, contact, releaseCall);
+        }
+      }
+
+      this.checkCompletion(campaign);
+    }
+
+    if (running === 0 && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isDue(campaign, contact, now) {
+    if (contact.status === 'retry_scheduled') {
+      if (contact.nextAttemptAt > now) {
+        return false;
+      }
+    } else if (contact.status !== 'pending') {
+      return false;
+    }
+
+    const { callingHours } = campaign.settings;
+    return !callingHours || isWithinWindow(now, contact.timezone, callingHours);
+  }
+
+  async dialContact(campaign, contact, releaseCall) {
+    contact.status = 'dialing';
+    contact.attempts += 1;
+    contact.nextAttemptAt = null;
+    logger.info(`Campaign ${campaign.id}: dialing contact ${contact.id} (${contact.phoneNumber}), attempt ${contact.attempts}`);
+
+    try {
+      const { callId } = await callManager.initiateOutboundCall(contact.phoneNumber, {
+        initialContext: contact.initialContext,
+        campaignId: campaign.id,
+        contactId: contact.id,
+        agentId: campaign.agentId || undefined,
+        requestedBy: campaign.requestedBy,
+        onRegistered: releaseCall,
+      });
+      contact.callIds.push(callId);
+
+      // The call may already have ended while we were waiting for it to be placed
+      if (contact.status === 'dialing') {
+        contact.status = 'in_progress';
+      }
+    } catch (error) {
+      logger.error(`Campaign ${campaign.id}: failed to dial contact ${contact.id}: ${error.message}`);
+      if (contact.status === 'dialing') {
+        this.recordOutcome(campaign, contact, 'failed');
+      }
+    } finally {
+      releaseCall();
+    }
+  }
+
+  handleCallEnded(details) {
+    if (!details || !details.campaignId) {
+      return;
+    }
+    const campaign = this.campaigns.get(details.campaignId);
+    const contact = campaign && campaign.contacts.find((candidate) => candidate.id === details.contactId);
+    if (!contact || !ACTIVE_CONTACT_STATUSES.includes(contact.status)) {
+      return;
+    }
+
+    this.recordOutcome(campaign, contact, this.callOutcome(details));
+    this.tick();
+  }
+
+  /**
+   * Classify how a finished call went
+   * @param {Object} details - Call details from CallManager
+   * @returns {string} - 'completed', 'voicemail', 'no_answer', 'busy' or 'failed'
+   */
+  callOutcome(details) {
+    if (['no_answer', 'busy', 'failed'].includes(details.status)) {
+      return details.status;
+    }
+    if (details.status === 'bot_join_failed') {
+      return 'failed';
+    }
+    if (details.answeredBy === 'machine') {
+      return 'voicemail';
+    }
+    return 'completed';
+  }
+
+  recordOutcome(campaign, contact, outcome) {
+    contact.lastOutcome = outcome;
+    const { retryOutcomes, maxAttempts, retryBackoffSeconds } = campaign.settings;
+
+    if (outcome !== 'completed' && retryOutcomes.includes(outcome) && contact.attempts < maxAttempts
+        && campaign.status !== 'cancelled') {
+      const delaySeconds = retryBackoffSeconds * Math.pow(2, contact.attempts - 1);
+      contact.status = 'retry_scheduled';
+      contact.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+      logger.info(`Campaign ${campaign.id}: contact ${contact.id} ${outcome}, retrying at ${contact.nextAttemptAt.toISOString()}`);
+    } else {
+      // Reaching voicemail still counts as reaching the contact unless it's set to be retried
+      contact.status = ['completed', 'voicemail'].includes(outcome) ? 'completed' : 'failed';
+      logger.info(`Campaign ${campaign.id}: contact ${contact.id} finished with ${outcome}`);
+    }
+
+    campaign.updatedAt = new Date();
+    this.checkCompletion(campaign);
+  }
+
+  checkCompletion(campaign) {
+    if (campaign.status === 'completed') {
+      return;
+    }
+    if (campaign.contacts.every((contact) => FINAL_CONTACT_STATUSES.includes(contact.status))) {
+      // A cancelled campaign keeps its status once its last call finishes
+      if (campaign.status !== 'cancelled') {
+        this.setCampaignStatus(campaign, 'completed');
+      }
+    }
+  }
+}
+
+module.exports = new CampaignManager();
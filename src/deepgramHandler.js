@@ -1,21 +1,43 @@
 const { Deepgram } = require('@deepgram/sdk');
 const WebSocket = require('ws');
+const fetch = require('node-fetch');
 const logger = require('./utils/logger');
+const { SAMPLE_RATE } = require('./utils/audio');
 
+const SPEAK_URL = 'https://api.deepgram.com/v1/speak';
+
+/**
+ * Deepgram speech provider: streaming STT and Aura TTS (see ./stt and ./tts for the provider interfaces)
+ */
 class DeepgramHandler {
   constructor() {
+    this.name = 'deepgram';
+    this.defaultVoice = 'aura-asteria-en';
     this.apiKey = process.env.DEEPGRAM_API_KEY;
-    this.deepgram = new Deepgram(this.apiKey);
+    this.client = null; // Created on first use, so other providers work without a Deepgram key
     this.sttConnections = new Map(); // Map to store active STT WebSocket connections
   }
 
+  get deepgram() {
+    if (!this.client) {
+      if (!this.apiKey) {
+        throw new Error('DEEPGRAM_API_KEY environment variable is not set');
+      }
+      this.client = new Deepgram(this.apiKey);
+    }
+    return this.client;
+  }
+
   /**
    * Start a real-time STT (Speech-to-Text) session
    * @param {string} callId - Unique identifier for the call
    * @param {Function} transcriptionCallback - Callback to receive transcription results
+   * @param {Object} options - Session options
+   * @param {Function} options.onSpeechStarted - Callback for Deepgram VAD speech-start events
+   * @param {Function} options.onUtteranceEnd - Callback for Deepgram's end-of-utterance signals
    * @returns {Object} - WebSocket connection details
    */
-  startSTTSession(callId, transcriptionCallback) {
+  startSTTSession(callId, transcriptionCallback, options = {}) {
     try {
       logger.info(`Starting Deepgram STT session for call: ${callId}`);
       
@@ -28,7 +50,9 @@ class DeepgramHandler {
         model: 'nova-2',
         language: 'en-US',
         smart_format: true,
-        vad_events: true // Voice activity detection
+        vad_events: true, // Voice activity detection
+        endpointing: parseInt(process.env.DEEPGRAM_ENDPOINTING_MS || '300', 10), // Silence before a final is marked speech_final
+        utterance_end_ms: parseInt(process.env.DEEPGRAM_UTTERANCE_END_MS || '1000', 10) // Word gap that sends UtteranceEnd
       });
 
       // Store the connection
@@ -52,6 +76,30 @@ class DeepgramHandler {
         try {
           const dgData = JSON.parse(transcription);
           
+          // VAD event emitted because vad_events is enabled
+          if (dgData.type === 'SpeechStarted') {
+            if (typeof options.onSpeechStarted === 'function') {
+              options.onSpeechStarted({ callId, timestamp: dgData.timestamp });
+            }
+            return;
+          }
+          
+          // Sent once no words have been recognised for utterance_end_ms
+          if (dgData.type === 'UtteranceEnd') {
+            if (typeof options.onUtteranceEnd === 'function') {
+              options.onUtteranceEnd({ callId, lastWordEnd: dgData.last_word_end });
+            }
+            return;
+          }
+          
+          // An empty final can still carry the end-of-speech flag
+          if (dgData.speech_final && !(dgData.channel?.alternatives?.[0]?.transcript || '').trim()) {
+            if (typeof options.onUtteranceEnd === 'function') {
+              options.onUtteranceEnd({ callId });
+            }
+            return;
+          }
+          
           // Only process if we have a transcript with speech
           if (dgData.channel && 
               dgData.channel.alternatives && 
@@ -68,8 +116,11 @@ class DeepgramHandler {
                 callId,
                 transcript,
                 isFinal,
+                speechFinal: Boolean(dgData.speech_final), // The speaker paused for the endpointing window
                 confidence: dgData.channel.alternatives[0].confidence,
-                words: dgData.channel.alternatives[0].words || []
+                words: dgData.channel.alternatives[0].words || [],
+                start: dgData.start, // Seconds since the start of the STT stream
+                duration: dgData.duration
               });
             }
           }
@@ -133,32 +184,39 @@ class DeepgramHandler {
   }
 
   /**
-   * Generate speech from text using Deepgram TTS
+   * Generate speech from text using Deepgram Aura TTS
    * @param {string} text - Text to convert to speech
-   * @param {Object} options - TTS options (voice, etc.)
-   * @returns {Promise<Buffer>} - Audio data
+   * @param {Object} options - TTS options
+   * @param {string} options.voice - Aura model, e.g. 'aura-asteria-en'
+   * @param {number} options.sampleRate - Output sample rate
+   * @returns {Promise<Buffer>} - Mono linear16 audio at options.sampleRate
    */
-  async textToSpeech(text, options = {}) {
-    try {
-      logger.info(`Converting text to speech: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
-      
-      const voice = options.voice || process.env.BOT_VOICE || 'nova';
-      
-      // Call Deepgram TTS API
-      const response = await this.deepgram.speak({
-        text,
-        voice,
-        encoding: 'linear16',
-        container: 'raw',
-        sample_rate: 16000
-      });
-      
-      // Return the audio buffer
-      return Buffer.from(await response.arrayBuffer());
-    } catch (error) {
-      logger.error(`Error in text-to-speech: ${error.message}`);
-      throw error;
+  async synthesize(text, options = {}) {
+    if (!this.apiKey) {
+      throw new Error('DEEPGRAM_API_KEY environment variable is not set');
+    }
+
+    const params = new URLSearchParams({
+      model: options.voice || this.defaultVoice,
+      encoding: 'linear16',
+      sample_rate: String(options.sampleRate || SAMPLE_RATE),
+      container: 'none', // Raw PCM without a WAV header
+    });
+
+    // The v2 SDK predates Aura, so call the REST API directly
+    const response = await fetch(`${SPEAK_URL}?${params}`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Token ${this.apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ text }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Deepgram TTS failed with status ${response.status}: ${await response.text()}`);
     }
+    return response.buffer();
   }
 }
 
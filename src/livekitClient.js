@@ -1,4 +1,4 @@
-const { AccessToken, RoomServiceClient } = require('livekit-server-sdk');
+const { AccessToken, RoomServiceClient, EgressClient, EncodedFileType } = require('livekit-server-sdk');
 const logger = require('./utils/logger');
 const fetch = require('node-fetch'); // Add this dependency for making HTTP requests
 
@@ -8,6 +8,7 @@ class LiveKitClient {
     this.apiSecret = process.env.LIVEKIT_API_SECRET;
     this.url = process.env.LIVEKIT_URL;
     this.roomService = new RoomServiceClient(this.url, this.apiKey, this.apiSecret);
+    this.egressClient = new EgressClient(this.url, this.apiKey, this.apiSecret);
   }
 
   /**
@@ -31,7 +32,7 @@ class LiveKitClient {
           name: roomName,
           emptyTimeout: 300, // 5 minutes
           
-          maxParticipants: 2  // Caller and bot
+          maxParticipants: 6  // Caller, bot, a warm-transfer agent and supervisors
         });
       }
       
@@ -47,20 +48,30 @@ class LiveKitClient {
    * @param {string} roomName - Room name
    * @param {string} participantName - Participant identifier
    * @param {boolean} isBot - Whether this is a bot participant
+   * @param {Object} options - Token options (optional)
+   * @param {Object} options.grant - Room permissions to change from the default of publish and subscribe
+   * @param {string} options.name - Display name (defaults to participantName)
+   * @param {Object} options.metadata - Participant metadata
+   * @param {string} options.ttl - Token lifetime, e.g. '1h' (defaults to the SDK's)
    * @returns {string} - JWT token
    */
-  generateToken(roomName, participantName, isBot = false) {
+  generateToken(roomName, participantName, isBot = false, options = {}) {
     try {
       logger.info(`Generating token for ${participantName} in room ${roomName}`);
       
       const tokenOptions = {
         identity: participantName,
-        name: participantName,
+        name: options.name || participantName,
       };
+      if (options.ttl) {
+        tokenOptions.ttl = options.ttl;
+      }
 
       // Add bot-specific permissions if this is a bot
       if (isBot) {
         tokenOptions.metadata = JSON.stringify({ type: 'bot' });
+      } else if (options.metadata) {
+        tokenOptions.metadata = JSON.stringify(options.metadata);
       }
 
       const token = new AccessToken(
@@ -69,7 +80,7 @@ class LiveKitClient {
         tokenOptions
       );
 
-      token.addGrant({ roomJoin: true, room: roomName, canPublish: true, canSubscribe: true });
+      token.addGrant({ roomJoin: true, room: roomName, canPublish: true, canSubscribe: true, ...options.grant });
       
       return token.toJwt();
     } catch (error) {
@@ -104,9 +115,14 @@ class LiveKitClient {
    * Place an outbound SIP call to the specified phone number
    * @param {string} roomName - The LiveKit room name to connect to
    * @param {string} phoneNumber - The phone number to call
+   * @param {Object} options - Call options
+   * @param {string} options.participantIdentity - Identity for the SIP participant (optional)
+   * @param {string} options.participantName - Display name for the SIP participant (optional)
+   * @param {boolean} options.waitUntilAnswered - Only resolve once the callee picks up (default false)
+   * @param {number} options.ringTimeoutSeconds - How long the trunk lets the callee's phone ring (optional)
    * @returns {Promise<Object>} - The result of the call
    */
-  async placeOutboundCall(roomName, phoneNumber) {
+  async placeOutboundCall(roomName, phoneNumber, options = {}) {
     try {
       const formattedPhone = this.formatPhoneNumber(phoneNumber);
       logger.info(`Placing outbound call to ${formattedPhone} in room ${roomName}`);
@@ -119,7 +135,7 @@ class LiveKitClient {
       }
       
       // Create a LiveKit participant token
-      const participantIdentity = `sip_${Date.now()}`;
+      const participantIdentity = options.participantIdentity || `sip_${Date.now()}`;
       const participantToken = this.generateToken(roomName, participantIdentity, false);
       
       // Use the LiveKit SIP Participant API
@@ -134,10 +150,13 @@ class LiveKitClient {
         sip_call_to: formattedPhone,  // Use the full E.164 format with + prefix
         room_name: roomName,
         participant_identity: participantIdentity,
-        participant_name: `Phone Call ${formattedPhone}`,
-        wait_until_answered: false,  // Don't block the API call
+        participant_name: options.participantName || `Phone Call ${formattedPhone}`,
+        wait_until_answered: Boolean(options.waitUntilAnswered),  // Don't block the API call unless asked to
         play_dialtone: true,         // Play dial tone while connecting
       };
+      if (options.ringTimeoutSeconds) {
+        requestBody.ringing_timeout = `${options.ringTimeoutSeconds}s`;
+      }
       
       // Generate a LiveKit access token for API authentication
       const { AccessToken } = require('livekit-server-sdk');
@@ -196,6 +215,92 @@ class LiveKitClient {
     }
   }
 
+  /**
+   * Build a SIP transfer destination URI from a phone number or SIP URI
+   * @param {string} target - Phone number, tel: URI or sip: URI
+   * @returns {string} - URI suitable for a SIP REFER
+   */
+  formatTransferTarget(target) {
+    if (/^(sip|sips|tel):/i.test(target)) {
+      return target;
+    }
+    return `tel:${this.formatPhoneNumber(target)}`;
+  }
+
+  /**
+   * Transfer a SIP participant to another number or SIP URI (sends a SIP REFER)
+   * @param {string} roomName - Room the SIP participant is in
+   * @param {string} participantIdentity - Identity of the SIP participant
+   * @param {string} target - Phone number or SIP URI to transfer to
+   * @returns {Promise<Object>} - Transfer details
+   */
+  async transferSipParticipant(roomName, participantIdentity, target) {
+    try {
+      const transferTo = this.formatTransferTarget(target);
+      logger.info(`Transferring SIP participant ${participantIdentity} in room ${roomName} to ${transferTo}`);
+      
+      // SIP transfers need room admin and SIP call permissions
+      const at = new AccessToken(this.apiKey, this.apiSecret, {
+        identity: 'api_transfer',
+        name: 'API Transfer'
+      });
+      at.addGrant({ room: roomName, roomAdmin: true });
+      at.grants.sip = { call: true }; // The SDK version in use has no SIP grant helper
+      const token = at.toJwt();
+      
+      const baseUrl = this.url.replace('wss://', 'https://');
+      const response = await fetch(`${baseUrl}/twirp/livekit.SIP/TransferSIPParticipant`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          participant_identity: participantIdentity,
+          room_name: roomName,
+          transfer_to: transferTo,
+          play_dialtone: true,
+        })
+      });
+      
+      if (!response.ok) {
+        const errorText = await response.text();
+        logger.error(`LiveKit SIP transfer error: ${response.status} ${response.statusText} - ${errorText}`);
+        throw new Error(`LiveKit SIP transfer failed: ${response.status} ${response.statusText} - ${errorText}`);
+      }
+      
+      logger.info(`SIP participant ${participantIdentity} transferred to ${transferTo}`);
+      return {
+        status: 'success',
+        roomName,
+        participantIdentity,
+        transferTo,
+        timestamp: new Date().toISOString(),
+      };
+    } catch (error) {
+      logger.error(`Error transferring SIP participant: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe or unsubscribe a participant from specific tracks
+   * @param {string} roomName - Room name
+   * @param {string} participantIdentity - Participant whose subscriptions change
+   * @param {Array<string>} trackSids - Tracks to (un)subscribe
+   * @param {boolean} subscribe - True to subscribe, false to unsubscribe
+   * @returns {Promise<void>}
+   */
+  async updateSubscriptions(roomName, participantIdentity, trackSids, subscribe) {
+    try {
+      logger.info(`${subscribe ? 'Subscribing' : 'Unsubscribing'} ${participantIdentity} ${subscribe ? 'to' : 'from'} ${trackSids.join(', ')} in room ${roomName}`);
+      await this.roomService.updateSubscriptions(roomName, participantIdentity, trackSids, subscribe);
+    } catch (error) {
+      logger.error(`Error updating subscriptions: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Disconnect a participant from a room
    * @param {string} roomName - Room name
@@ -213,6 +318,62 @@ class LiveKitClient {
     }
   }
 
+  /**
+   * Record a room's mixed audio to an OGG file with a room-composite egress
+   * @param {string} roomName - Room to record
+   * @param {string} filepath - Output path on the egress service (egress templating allowed)
+   * @returns {Promise<Object>} - EgressInfo of the started egress
+   */
+  async startRoomRecording(roomName, filepath) {
+    try {
+      logger.info(`Starting room recording for ${roomName} to ${filepath}`);
+      const info = await this.egressClient.startRoomCompositeEgress(
+        roomName,
+        { fileType: EncodedFileType.OGG, filepath },
+        { audioOnly: true }
+      );
+      logger.info(`Room recording started for ${roomName}: ${info.egressId}`);
+      return info;
+    } catch (error) {
+      logger.error(`Error starting room recording: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a single track, in its own codec, with a track egress
+   * @param {string} roomName - Room the track is published in
+   * @param {string} trackSid - Track to record
+   * @param {string} filepath - Output path on the egress service (egress templating allowed)
+   * @returns {Promise<Object>} - EgressInfo of the started egress
+   */
+  async startTrackRecording(roomName, trackSid, filepath) {
+    try {
+      logger.info(`Starting track recording of ${trackSid} in room ${roomName} to ${filepath}`);
+      const info = await this.egressClient.startTrackEgress(roomName, { filepath }, trackSid);
+      logger.info(`Track recording started for ${trackSid}: ${info.egressId}`);
+      return info;
+    } catch (error) {
+      logger.error(`Error starting track recording: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop a recording egress
+   * @param {string} egressId - Egress to stop
+   * @returns {Promise<Object>} - EgressInfo of the stopping egress
+   */
+  async stopRecording(egressId) {
+    try {
+      logger.info(`Stopping recording ${egressId}`);
+      return await this.egressClient.stopEgress(egressId);
+    } catch (error) {
+      logger.error(`Error stopping recording: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * End a room session and disconnect all participants
    * @param {string} roomName - Room to end
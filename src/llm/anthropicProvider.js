@@ -0,0 +1,186 @@
+const fetch = require('node-fetch');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Convert OpenAI-style chat messages (the conversation history format) to the
+ * Anthropic Messages API: system messages become the system prompt, tool calls
+ * become tool_use blocks and tool results are sent back as user turns.
+ * @param {Array<Object>} messages - OpenAI chat messages
+ * @returns {Object} - { system, messages }
+ */
+function toAnthropicMessages(messages) {
+  const system = [];
+  const converted = [];
+
+  const append = (role, blocks) => {
+    const last = converted[converted.length - 1];
+    // Consecutive turns from the same role are merged into one
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      converted.push({ role, content: blocks });
+    }
+  };
+
+  messages.forEach((message) => {
+    if (message.role === 'system') {
+      system.push(message.content);
+    } else if (message.role === 'tool') {
+      append('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }]);
+    } else if (message.role === 'assistant') {
+      const blocks = message.content ? [{ type: 'text', text: message.content }] : [];
+      (message.tool_calls || []).forEach((toolCall) => {
+        blocks.push({
+          type: 'tool_use',
+          id: toolCall.id,
+          name: toolCall.function.name,
+          input: toolCall.function.arguments ? JSON.parse(toolCall.function.arguments) : {},
+        });
+      });
+      if (blocks.length > 0) {
+        append('assistant', blocks);
+      }
+    } else {
+      append('user', [{ type: 'text', text: message.content }]);
+    }
+  });
+
+  return { system: system.join('\n\n'), messages: converted };
+}
+
+/**
+ * Build an OpenAI-style tool call from a tool_use block
+ * @param {Object} block - { id, name, input }
+ * @returns {Object} - Tool call
+ */
+function toToolCall(block) {
+  return {
+    id: block.id,
+    type: 'function',
+    function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+  };
+}
+
+/**
+ * Chat completions with Anthropic's Messages API
+ */
+class AnthropicProvider {
+  /**
+   * @param {Object} options - { apiKey, baseURL, defaultModel }
+   */
+  constructor({ apiKey, baseURL, defaultModel }) {
+    this.name = 'anthropic';
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.defaultModel = defaultModel;
+  }
+
+  requestBody(request, stream) {
+    const { system, messages } = toAnthropicMessages(request.messages);
+    const body = {
+      model: request.model,
+      system,
+      messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      stream,
+    };
+    if (request.tools && request.tools.length > 0) {
+      body.tools = request.tools.map(({ function: fn }) => ({
+        name: fn.name,
+        description: fn.description,
+        input_schema: fn.parameters,
+      }));
+      if (request.toolChoice === 'none') {
+        body.tool_choice = { type: 'none' };
+      }
+    }
+    return body;
+  }
+
+  async post(body, signal) {
+    if (!this.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY environment variable is not set');
+    }
+
+    const response = await fetch(`${this.baseURL}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      throw new Error(`Anthropic request failed with status ${response.status}: ${await response.text()}`);
+    }
+    return response;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { model, messages, temperature, maxTokens, tools, toolChoice }
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} - { content, toolCalls }
+   */
+  async chat(request, options = {}) {
+    const response = await this.post(this.requestBody(request, false), options.signal);
+    const result = await response.json();
+    const blocks = result.content || [];
+    return {
+      content: blocks.filter((block) => block.type === 'text').map((block) => block.text).join(''),
+      toolCalls: blocks.filter((block) => block.type === 'tool_use').map(toToolCall),
+    };
+  }
+
+  /**
+   * Stream a chat completion
+   * @param {Object} request - { model, messages, temperature, maxTokens, tools, toolChoice }
+   * @param {Object} options - { signal }
+   * @returns {AsyncGenerator<Object>} - Yields { text } chunks, then { toolCalls } if the model called tools
+   */
+  async* streamChat(request, options = {}) {
+    const response = await this.post(this.requestBody(request, true), options.signal);
+    const toolBlocks = []; // tool_use blocks by content index, with their JSON input accumulated
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += chunk.toString();
+      // Server-sent events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+        const dataLine = rawEvent.split('\n').find((line) => line.startsWith('data:'));
+        if (!dataLine) {
+          continue;
+        }
+
+        const event = JSON.parse(dataLine.slice(5));
+        if (event.type === 'error') {
+          throw new Error(`Anthropic stream error: ${event.error && event.error.message}`);
+        }
+        if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+          toolBlocks[event.index] = { ...event.content_block, json: '' };
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          yield { text: event.delta.text };
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+          toolBlocks[event.index].json += event.delta.partial_json;
+        }
+      }
+    }
+
+    const toolCalls = toolBlocks
+      .filter(Boolean)
+      .map((block) => toToolCall({ ...block, input: block.json ? JSON.parse(block.json) : {} }));
+    if (toolCalls.length > 0) {
+      yield { toolCalls };
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,252 @@
+const logger = require('../utils/logger');
+const { settingsForNumber } = require('../utils/numberSettings');
+const OpenAICompatibleProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+
+/**
+ * LLM providers. Each provider implements:
+ *
+ *   chat(request, { signal }) -> Promise<{ content, toolCalls }>
+ *   streamChat(request, { signal }) -> async iterable of { text } chunks, then { toolCalls }
+ *
+ * where request is { model, messages, temperature, maxTokens, tools, toolChoice }.
+ * Messages, tools and tool calls use the OpenAI chat format, which is also the
+ * format of the conversation history; providers for other APIs convert.
+ */
+const PROVIDER_FACTORIES = {
+  openai: () => new OpenAICompatibleProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL, // Point at vLLM, LM Studio, etc. to use them instead
+    defaultModel: 'gpt-4',
+  }),
+  local: () => new OpenAICompatibleProvider({
+    name: 'local',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local', // Most local servers ignore the key but the client needs one
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1', // Ollama's default
+    defaultModel: 'llama3.1',
+  }),
+  anthropic: () => new AnthropicProvider({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+    defaultModel: 'claude-3-5-haiku-latest',
+  }),
+};
+
+const providers = new Map(); // Provider instances by name, created on first use
+
+const DEFAULT_SYSTEM_PROMPT = process.env.LLM_SYSTEM_PROMPT ||
+  "You are an AI assistant on a phone call. Be helpful, concise, and conversational. Ask questions when needed.";
+
+const DEFAULT_LLM_SETTINGS = {
+  provider: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+  model: process.env.LLM_MODEL || null, // null means the provider's default model
+  temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.7'),
+  maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '256', 10),
+  systemPrompt: DEFAULT_SYSTEM_PROMPT,
+  fallback: process.env.LLM_FALLBACK_PROVIDER || process.env.LLM_FALLBACK_MODEL ? {
+    provider: (process.env.LLM_FALLBACK_PROVIDER || process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+    model: process.env.LLM_FALLBACK_MODEL || null,
+  } : null,
+};
+
+// How long to wait for a response (or, when streaming, the first token) before trying the fallback
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS || '10000', 10);
+
+/**
+ * Check whether a provider name is known
+ * @param {string} name - Provider name
+ * @returns {boolean} - True if supported
+ */
+function isLLMProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDER_FACTORIES, name);
+}
+
+/**
+ * Get an LLM provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider instance
+ */
+function getLLMProvider(name) {
+  if (!providers.has(name)) {
+    providers.set(name, PROVIDER_FACTORIES[name]());
+  }
+  return providers.get(name);
+}
+
+function resolveTarget(target, defaults) {
+  const provider = (target.provider || defaults.provider).toLowerCase();
+  if (!isLLMProvider(provider)) {
+    throw new Error(`LLM provider must be one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+  }
+  // A model configured for one provider means nothing to another
+  const model = target.model || (provider === defaults.provider ? defaults.model : null);
+  return { provider, model: model || getLLMProvider(provider).defaultModel };
+}
+
+/**
+ * Merge per-call model settings over the configured defaults
+ * @param {Object} overrides - { provider, model, temperature, maxTokens, systemPrompt, fallback: { provider, model } }
+ * @returns {Object} - Complete, validated LLM settings
+ */
+function resolveLLMSettings(overrides = {}) {
+  const settings = {
+    ...resolveTarget(overrides, DEFAULT_LLM_SETTINGS),
+    temperature: overrides.temperature !== undefined ? Number(overrides.temperature) : DEFAULT_LLM_SETTINGS.temperature,
+    maxTokens: overrides.maxTokens !== undefined ? Number(overrides.maxTokens) : DEFAULT_LLM_SETTINGS.maxTokens,
+    systemPrompt: overrides.systemPrompt || DEFAULT_LLM_SETTINGS.systemPrompt,
+    fallback: null,
+  };
+
+  const fallback = overrides.fallback !== undefined ? overrides.fallback : DEFAULT_LLM_SETTINGS.fallback;
+  if (fallback) {
+    settings.fallback = resolveTarget(fallback, { provider: settings.provider, model: null });
+  }
+
+  if (!(settings.temperature >= 0 && settings.temperature <= 2)) {
+    throw new Error('LLM temperature must be between 0 and 2');
+  }
+  if (!Number.isInteger(settings.maxTokens) || settings.maxTokens < 1 || settings.maxTokens > 4096) {
+    throw new Error('LLM maxTokens must be an integer between 1 and 4096');
+  }
+  if (typeof settings.systemPrompt !== 'string') {
+    throw new Error('LLM systemPrompt must be a string');
+  }
+  return settings;
+}
+
+/**
+ * Model settings for calls to one of our numbers, from LLM_INBOUND_SETTINGS, e.g.
+ * {"+15551234567": {"model": "gpt-4o-mini", "systemPrompt": "You are the front desk of ..."}}
+ * @param {string} calledNumber - Number the caller dialed
+ * @returns {Object} - LLM setting overrides (empty if none are configured)
+ */
+function inboundLLMSettings(calledNumber) {
+  return settingsForNumber('LLM_INBOUND_SETTINGS', calledNumber);
+}
+
+/**
+ * The primary model followed by the fallback, if any
+ * @param {Object} settings - Resolved LLM settings
+ * @returns {Array<Object>} - [{ provider, model }]
+ */
+function targetsFor(settings) {
+  return settings.fallback ? [settings, settings.fallback] : [settings];
+}
+
+/**
+ * Reject if a promise doesn't settle in time, aborting the underlying request
+ * @param {Promise} promise - Request in flight
+ * @param {AbortController} controller - Aborts the request on timeout
+ * @returns {Promise} - The promise's result
+ */
+function withTimeout(promise, controller) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`LLM request timed out after ${LLM_TIMEOUT_MS}ms`));
+    }, LLM_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Link a per-attempt AbortController to the caller's signal
+ * @param {AbortSignal} signal - Caller's signal (optional)
+ * @returns {Object} - { controller, release }
+ */
+function linkedController(signal) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  if (signal) {
+    signal.addEventListener('abort', abort, { once: true });
+  }
+  return { controller, release: () => signal && signal.removeEventListener('abort', abort) };
+}
+
+function logFallback(target, next, error) {
+  logger.warn(`LLM ${target.provider}/${target.model} failed (${error.message}), falling back to ${next.provider}/${next.model}`);
+}
+
+/**
+ * Run a chat completion, moving on to the fallback model if the primary errors or times out
+ * @param {Object} settings - Resolved LLM settings
+ * @param {Object} request - { messages, tools, toolChoice, temperature?, maxTokens? }
+ * @param {Object} options - { signal }
+ * @returns {Promise<Object>} - { content, toolCalls, provider, model }
+ */
+async function chat(settings, request, options = {}) {
+  const targets = targetsFor(settings);
+  for (let i = 0; i < targets.length; i++) {
+    const { provider, model } = targets[i];
+    const { controller, release } = linkedController(options.signal);
+    try {
+      const result = await withTimeout(getLLMProvider(provider).chat({
+        temperature: settings.temperature,
+        maxTokens: settings.maxTokens,
+        ...request,
+        model,
+      }, { signal: controller.signal }), controller);
+      return { ...result, provider, model };
+    } catch (error) {
+      if ((options.signal && options.signal.aborted) || i === targets.length - 1) {
+        throw error;
+      }
+      logFallback(targets[i], targets[i + 1], error);
+    } finally {
+      release();
+    }
+  }
+  return null; // Not reached
+}
+
+/**
+ * Stream a chat completion, moving on to the fallback model if the primary errors
+ * or times out before its first chunk. Errors after output has started are thrown.
+ * @param {Object} settings - Resolved LLM settings
+ * @param {Object} request - { messages, tools, toolChoice }
+ * @param {Object} options - { signal }
+ * @returns {AsyncGenerator<Object>} - Yields { text } chunks, then { toolCalls } if the model called tools
+ */
+async function* streamChat(settings, request, options = {}) {
+  const targets = targetsFor(settings);
+  for (let i = 0; i < targets.length; i++) {
+    const { provider, model } = targets[i];
+    const { controller, release } = linkedController(options.signal);
+    let started = false;
+    try {
+      const iterator = getLLMProvider(provider).streamChat({
+        temperature: settings.temperature,
+        maxTokens: settings.maxTokens,
+        ...request,
+        model,
+      }, { signal: controller.signal });
+
+      let next = await withTimeout(iterator.next(), controller);
+      started = true;
+      while (!next.done) {
+        yield next.value;
+        next = await iterator.next();
+      }
+      return;
+    } catch (error) {
+      if (started || (options.signal && options.signal.aborted) || i === targets.length - 1) {
+        throw error;
+      }
+      logFallback(targets[i], targets[i + 1], error);
+    } finally {
+      release();
+    }
+  }
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES),
+  isLLMProvider,
+  getLLMProvider,
+  resolveLLMSettings,
+  inboundLLMSettings,
+  chat,
+  streamChat,
+};
@@ -0,0 +1,102 @@
+const { OpenAI } = require('openai');
+
+/**
+ * Accumulate a streamed tool call fragment into the list of complete tool calls
+ * @param {Array<Object>} toolCalls - Tool calls collected so far, by index
+ * @param {Object} delta - Tool call delta from a stream chunk
+ */
+function mergeToolCallDelta(toolCalls, delta) {
+  if (!toolCalls[delta.index]) {
+    toolCalls[delta.index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+  }
+  const toolCall = toolCalls[delta.index];
+  if (delta.id) {
+    toolCall.id = delta.id;
+  }
+  if (delta.function && delta.function.name) {
+    toolCall.function.name += delta.function.name;
+  }
+  if (delta.function && delta.function.arguments) {
+    toolCall.function.arguments += delta.function.arguments;
+  }
+}
+
+/**
+ * Chat completions against OpenAI or any server exposing the same API
+ * (vLLM, Ollama, LM Studio, ...)
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options - { name, apiKey, baseURL, defaultModel }
+   */
+  constructor({ name, apiKey, baseURL, defaultModel }) {
+    this.name = name;
+    this.defaultModel = defaultModel;
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.client = null; // Created on first use, so the key is only needed when this provider is
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: this.apiKey, baseURL: this.baseURL });
+    }
+    return this.client;
+  }
+
+  requestParams(request) {
+    const params = {
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+    };
+    if (request.tools && request.tools.length > 0) {
+      params.tools = request.tools;
+      if (request.toolChoice) {
+        params.tool_choice = request.toolChoice;
+      }
+    }
+    return params;
+  }
+
+  /**
+   * Run a chat completion
+   * @param {Object} request - { model, messages, temperature, maxTokens, tools, toolChoice }
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} - { content, toolCalls }
+   */
+  async chat(request, options = {}) {
+    const response = await this.getClient().chat.completions.create(this.requestParams(request), { signal: options.signal });
+    const message = response.choices[0].message;
+    return { content: message.content || '', toolCalls: message.tool_calls || [] };
+  }
+
+  /**
+   * Stream a chat completion
+   * @param {Object} request - { model, messages, temperature, maxTokens, tools, toolChoice }
+   * @param {Object} options - { signal }
+   * @returns {AsyncGenerator<Object>} - Yields { text } chunks, then { toolCalls } if the model called tools
+   */
+  async* streamChat(request, options = {}) {
+    const stream = await this.getClient().chat.completions.create({
+      ...this.requestParams(request),
+      stream: true,
+    }, { signal: options.signal });
+
+    const toolCalls = [];
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta || {};
+      (delta.tool_calls || []).forEach((toolCallDelta) => mergeToolCallDelta(toolCalls, toolCallDelta));
+      if (delta.content) {
+        yield { text: delta.content };
+      }
+    }
+
+    if (toolCalls.length > 0) {
+      yield { toolCalls };
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -1,18 +1,33 @@
 const logger = require('./utils/logger');
-const { OpenAI } = require('openai');
 
 // Use LiveKit components directly from @livekit/rtc-node for Node.js environment
-const { Room, RoomEvent, RemoteParticipant, Track, RemoteTrackPublication } = require('@livekit/rtc-node'); 
+const {
+  Room,
+  RoomEvent,
+  AudioSource,
+  AudioStream,
+  DisconnectReason,
+  LocalAudioTrack,
+  ParticipantKind,
+  TrackKind,
+  TrackPublishOptions,
+  TrackSource,
+} = require('@livekit/rtc-node');
+const { SAMPLE_RATE, NUM_CHANNELS, FRAME_DURATION_MS, frameToBuffer, bufferToFrames } = require('./utils/audio');
+const { extractSentences } = require('./utils/text');
+const { DTMF_PAUSE_MS, DTMF_TONE_GAP_MS, dtmfCode, dtmfDigit } = require('./utils/dtmf');
+const toolRegistry = require('./tools/toolRegistry');
+const llm = require('./llm');
+
+// Maximum number of tool-calling round trips before the model must answer in text
+const MAX_TOOL_ROUNDS = 5;
 
 class LLMBot {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
     this.conversations = new Map(); // Store conversation history by callId
     this.activeRooms = new Map(); // Store active LiveKit room connections by callId
-    this.systemPrompt = process.env.LLM_SYSTEM_PROMPT || 
-      "You are an AI assistant on a phone call. Be helpful, concise, and conversational. Ask questions when needed.";
+    this.audioOutputs = new Map(); // Store the bot's published audio source/track by callId
+    this.whisperRooms = new Map(); // Supervisor whisper room connections by callId
     
     // LiveKit URL should be in your .env
     this.livekitUrl = process.env.LIVEKIT_URL;
@@ -22,17 +37,22 @@ class LLMBot {
    * Initialize a new conversation session
    * @param {string} callId - Unique call identifier
    * @param {Object} metadata - Optional metadata about the call
+   * @param {Array<string>} metadata.tools - Names of the tools this call may use (all if omitted)
+   * @param {Object} metadata.llm - Resolved model settings (see ./llm); the defaults if omitted
    * @returns {string} - Session ID
    */
   initializeConversation(callId, metadata = {}) {
     logger.info(`Initializing LLM conversation for call: ${callId}`);
+    const llmSettings = metadata.llm || llm.resolveLLMSettings();
     
     // Create conversation history with system prompt
     this.conversations.set(callId, {
       messages: [
-        { role: 'system', content: this.systemPrompt },
+        { role: 'system', content: llmSettings.systemPrompt },
       ],
-      metadata
+      metadata,
+      tools: metadata.tools,
+      llm: llmSettings,
     });
     
     return callId;
@@ -58,16 +78,20 @@ class LLMBot {
       
       logger.info(`Processing user input for call ${callId}: "${userInput.substring(0, 50)}${userInput.length > 50 ? '...' : ''}"`);
       
-      // Send conversation to OpenAI
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: conversation.messages,
-        temperature: 0.7,
-        max_tokens: 256
-      });
-      
-      // Extract the response
-      const botResponse = response.choices[0].message.content.trim();
+      // Send conversation to the LLM, running any requested tools until it answers in text
+      let botResponse = '';
+      for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        const response = await llm.chat(conversation.llm, this.completionRequest(conversation, round));
+        
+        if (response.toolCalls.length > 0) {
+          await this.runToolCalls(callId, conversation, { content: response.content, tool_calls: response.toolCalls });
+          continue;
+        }
+        
+        // Extract the response
+        botResponse = response.content.trim();
+        break;
+      }
       
       // Add assistant response to history
       conversation.messages.push({ role: 'assistant', content: botResponse });
@@ -84,6 +108,286 @@ class LLMBot {
     }
   }
 
+  /**
+   * Process user input with a streaming completion, emitting each sentence as soon as it is complete
+   * @param {string} callId - Call identifier
+   * @param {string} userInput - Transcribed user speech
+   * @param {Object} options - Streaming options
+   * @param {Function} options.onSentence - Called with each complete sentence, in order
+   * @param {Function} options.onFirstToken - Called once when the first token arrives
+   * @param {AbortSignal} options.signal - Aborts the completion (e.g. when the caller barges in)
+   * @returns {Promise<string>} - Assistant text emitted across all rounds ('' if nothing was recorded)
+   */
+  async streamMessage(callId, userInput, options = {}) {
+    const { onSentence = () => {}, onFirstToken = () => {}, signal } = options;
+
+    if (!this.conversations.has(callId)) {
+      this.initializeConversation(callId);
+    }
+
+    const conversation = this.conversations.get(callId);
+    conversation.messages.push({ role: 'user', content: userInput });
+
+    logger.info(`Streaming response for call ${callId}: "${userInput.substring(0, 50)}${userInput.length > 50 ? '...' : ''}"`);
+
+    let botResponse = ''; // Everything emitted, including text spoken before a tool call
+    let roundText = ''; // Text of the current round, not yet in the history
+    let pending = '';
+    let receivedToken = false;
+
+    try {
+      for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        let toolCalls = [];
+        const stream = llm.streamChat(conversation.llm, this.completionRequest(conversation, round), { signal });
+
+        for await (const chunk of stream) {
+          if (chunk.toolCalls) {
+            toolCalls = chunk.toolCalls;
+            continue;
+          }
+
+          const token = chunk.text;
+          if (!token) {
+            continue;
+          }
+          if (!receivedToken) {
+            receivedToken = true;
+            onFirstToken();
+          }
+
+          botResponse += token;
+          roundText += token;
+          pending += token;
+          const { sentences, remainder } = extractSentences(pending);
+          pending = remainder;
+          sentences.forEach((sentence) => onSentence(sentence));
+        }
+
+        if (pending.trim()) {
+          onSentence(pending.trim());
+        }
+        pending = '';
+
+        if (toolCalls.length === 0) {
+          break;
+        }
+        await this.runToolCalls(callId, conversation, { content: roundText.trim() || null, tool_calls: toolCalls });
+        roundText = '';
+        if (signal && signal.aborted) {
+          break;
+        }
+      }
+    } catch (error) {
+      if (!signal || !signal.aborted) {
+        logger.error(`Error streaming message: ${error.message}`);
+        if (!botResponse) {
+          onSentence("I'm sorry, I'm having trouble processing your request. Could you try again?");
+          return '';
+        }
+      } else {
+        logger.info(`Streaming response aborted for call ${callId}`);
+      }
+    }
+
+    // Keep whatever was generated; callers trim the unheard tail after an interruption
+    roundText = roundText.trim();
+    if (roundText) {
+      conversation.messages.push({ role: 'assistant', content: roundText });
+    }
+    botResponse = botResponse.trim();
+    if (botResponse) {
+      logger.info(`Bot response for call ${callId}: "${botResponse.substring(0, 50)}${botResponse.length > 50 ? '...' : ''}"`);
+    }
+
+    return botResponse;
+  }
+
+  /**
+   * Build the chat request for a conversation; model and sampling settings come from conversation.llm
+   * @param {Object} conversation - Conversation state
+   * @param {number} round - Tool round within the current turn
+   * @returns {Object} - { messages, tools, toolChoice }
+   */
+  completionRequest(conversation, round = 0) {
+    const request = {
+      messages: conversation.messages,
+    };
+
+    const tools = toolRegistry.getDefinitions(conversation.tools);
+    if (tools.length > 0) {
+      request.tools = tools;
+      // Force a spoken answer once the tool round limit is reached
+      if (round >= MAX_TOOL_ROUNDS) {
+        request.toolChoice = 'none';
+      }
+    }
+    return request;
+  }
+
+  /**
+   * Record an assistant tool-call message, run each tool and feed the results back
+   * @param {string} callId - Call identifier
+   * @param {Object} conversation - Conversation state
+   * @param {Object} message - Assistant message with tool_calls
+   */
+  async runToolCalls(callId, conversation, message) {
+    conversation.messages.push({
+      role: 'assistant',
+      content: message.content || null,
+      tool_calls: message.tool_calls,
+    });
+
+    for (const toolCall of message.tool_calls) {
+      const result = await toolRegistry.invoke(toolCall.function.name, toolCall.function.arguments, { callId }, conversation.tools);
+      conversation.messages.push({
+        role: 'tool',
+        tool_call_id: toolCall.id,
+        content: JSON.stringify(result),
+      });
+    }
+  }
+
+  /**
+   * Write the bot's opening line from the conversation's context (e.g. an outbound call's initialContext)
+   * @param {string} callId - Call identifier
+   * @returns {Promise<string>} - Short spoken greeting
+   */
+  async generateGreeting(callId) {
+    return this.generateLine(
+      callId,
+      'The call has just connected and you speak first. In one or two short spoken sentences, greet the other person, say who you are and, if you placed the call, why you are calling.',
+      'Hello!',
+    );
+  }
+
+  /**
+   * Write a voicemail message from the conversation's context (e.g. an outbound call's initialContext)
+   * @param {string} callId - Call identifier
+   * @returns {Promise<string>} - Spoken voicemail message
+   */
+  async generateVoicemail(callId) {
+    return this.generateLine(
+      callId,
+      "The call went to voicemail and the recording has started. In two or three short spoken sentences, leave a message: say who you are, why you called and how to get back to you if you know. Don't ask questions, nobody will answer.",
+      "Hello, sorry we missed you. We'll try again later. Goodbye!",
+    );
+  }
+
+  /**
+   * Have the model write one thing for the bot to say, outside the normal turn flow
+   * @param {string} callId - Call identifier
+   * @param {string} instruction - What to write
+   * @param {string} fallback - Used if there's no conversation or the model fails
+   * @returns {Promise<string>} - Text to speak
+   */
+  async generateLine(callId, instruction, fallback) {
+    const conversation = this.conversations.get(callId);
+    if (!conversation) {
+      return fallback;
+    }
+
+    try {
+      const response = await llm.chat(conversation.llm, {
+        messages: [
+          ...conversation.messages,
+          { role: 'system', content: instruction },
+        ],
+        toolChoice: 'none',
+      });
+      return response.content.trim() || fallback;
+    } catch (error) {
+      logger.error(`Error generating a line for call ${callId}: ${error.message}`);
+      return fallback;
+    }
+  }
+
+  /**
+   * Number of messages in a conversation's history
+   * @param {string} callId - Call identifier
+   * @returns {number} - Message count
+   */
+  historyLength(callId) {
+    const conversation = this.conversations.get(callId);
+    return conversation ? conversation.messages.length : 0;
+  }
+
+  /**
+   * Drop everything added to a conversation's history after a point, e.g. a reply that was cancelled
+   * @param {string} callId - Call identifier
+   * @param {number} length - Number of messages to keep
+   */
+  rollbackHistory(callId, length) {
+    const conversation = this.conversations.get(callId);
+    if (conversation && conversation.messages.length > length) {
+      conversation.messages.splice(length);
+    }
+  }
+
+  /**
+   * Check whether the model called any tools after a point in the history
+   * @param {string} callId - Call identifier
+   * @param {number} length - Number of messages before the point
+   * @returns {boolean} - True if a tool call was made
+   */
+  hasToolCallsSince(callId, length) {
+    const conversation = this.conversations.get(callId);
+    return Boolean(conversation && conversation.messages.slice(length).some((message) => message.tool_calls));
+  }
+
+  /**
+   * Check whether the caller has said anything yet
+   * @param {string} callId - Call identifier
+   * @returns {boolean} - True if the conversation has a user message
+   */
+  hasUserMessages(callId) {
+    const conversation = this.conversations.get(callId);
+    return Boolean(conversation && conversation.messages.some((message) => message.role === 'user'));
+  }
+
+  /**
+   * Summarize the conversation so far for a human agent taking over the call
+   * @param {string} callId - Call identifier
+   * @returns {Promise<string>} - Short spoken briefing
+   */
+  async generateBriefing(callId) {
+    const fallback = 'You have a caller transferred from the virtual assistant.';
+    const conversation = this.conversations.get(callId);
+    if (!conversation) {
+      return fallback;
+    }
+
+    try {
+      const response = await llm.chat(conversation.llm, {
+        messages: [
+          ...conversation.messages.filter((message) => message.role !== 'tool' && !message.tool_calls),
+          {
+            role: 'system',
+            content: 'A human agent is taking over this call. In two short spoken sentences, brief the agent on who is calling and what they need.',
+          },
+        ],
+        temperature: 0.3,
+        maxTokens: 120,
+      });
+      return response.content.trim() || fallback;
+    } catch (error) {
+      logger.error(`Error generating transfer briefing for call ${callId}: ${error.message}`);
+      return fallback;
+    }
+  }
+
+  /**
+   * Add an assistant message to the conversation, e.g. for speech that didn't come from the LLM
+   * @param {string} callId - Call identifier
+   * @param {string} content - What the bot said
+   */
+  addAssistantMessage(callId, content) {
+    if (!this.conversations.has(callId)) {
+      this.initializeConversation(callId);
+    }
+
+    this.conversations.get(callId).messages.push({ role: 'assistant', content });
+  }
+
   /**
    * Add a system message to the conversation
    * @param {string} callId - Call identifier
@@ -102,10 +406,26 @@ class LLMBot {
   }
 
   /**
-   * End a conversation session and clean up resources
-   * @param {string} callId - Call identifier to end
+   * Join a LiveKit room as the bot, forward the caller's audio and publish the bot's voice
+   * @param {string} callId - Call identifier
+   * @param {string} roomName - LiveKit room name
+   * @param {string} botIdentity - Identity the bot joins with
+   * @param {string} token - Access token for the bot
+   * @param {Object} options - Room options
+   * @param {string} options.callerIdentity - Identity of the SIP participant to listen to (optional)
+   * @param {Function} options.onAudioFrame - Receives 16 kHz linear16 buffers of caller audio
+   * @param {number} options.outputSampleRate - Sample rate of the bot's published track (default 16 kHz)
+   * @param {Function} options.onCallerConnected - Called with the caller's participant and audio track once subscribed
+   * @param {Function} options.onCallerStatusChanged - Called with the caller's `sip.callStatus` when it changes
+   * @param {Function} options.onCallerDisconnected - Called with the DisconnectReason name when the caller leaves
+   * @param {Function} options.onDtmf - Called with each keypad digit the caller presses
+   * @param {Function} options.onBotAudio - Receives each linear16 buffer of bot audio as it plays, with its sample rate
+   * @param {Function} options.onParticipantConnected - Called with any other participant (not the caller) that joins
+   * @param {Function} options.onParticipantTrack - Called with another participant and its audio track once subscribed
+   * @param {Function} options.onParticipantDisconnected - Called with another participant when it leaves
+   * @returns {Promise<Room>} - Connected room
    */
-  async joinRoom(callId, roomName, botIdentity, token) {
+  async joinRoom(callId, roomName, botIdentity, token, options = {}) {
     if (!this.livekitUrl) {
       logger.error(`[${callId}] LiveKit URL not configured. Cannot join room.`);
       throw new Error('LiveKit URL not configured.');
@@ -124,32 +444,415 @@ class LLMBot {
       room
         .on(RoomEvent.Connected, () => {
           logger.info(`[${callId}] Bot successfully connected to room: ${roomName}`);
-          // TODO: Publish bot's audio track for TTS output
-          // TODO: Setup subscriptions to other participants' audio tracks
         })
         .on(RoomEvent.Disconnected, () => {
           logger.info(`[${callId}] Bot disconnected from room: ${roomName}`);
           this.activeRooms.delete(callId);
+          this.closeAudioOutput(callId);
         })
         .on(RoomEvent.TrackSubscribed, (track, publication, participant) => {
           logger.info(`[${callId}] Track subscribed: ${track.sid} from ${participant.identity}`);
-          // if (track.kind === 'audio' && participant.identity !== botIdentity) {
-          //   // This is audio from the other participant (e.g., the PSTN caller)
-          //   // TODO: Forward this audio to Deepgram
-          //   track.on('message', (message) => { /* process audio data */ });
-          // }
+          if (track.kind !== TrackKind.KIND_AUDIO || participant.identity === botIdentity) {
+            return;
+          }
+          if (!this.isCallerParticipant(participant, options.callerIdentity)) {
+            if (typeof options.onParticipantTrack === 'function') {
+              options.onParticipantTrack(participant, track);
+            } else {
+              logger.info(`[${callId}] Ignoring audio from non-caller participant ${participant.identity}`);
+            }
+            return;
+          }
+          if (typeof options.onCallerConnected === 'function') {
+            options.onCallerConnected(participant, track);
+          }
+          this.forwardParticipantAudio(callId, track, participant, options.onAudioFrame);
+        })
+        .on(RoomEvent.ParticipantConnected, (participant) => {
+          if (!this.isCallerParticipant(participant, options.callerIdentity) && typeof options.onParticipantConnected === 'function') {
+            options.onParticipantConnected(participant);
+          }
+          this.reportCallerStatus(participant, participant.attributes, options);
+        })
+        .on(RoomEvent.ParticipantAttributesChanged, (changedAttributes, participant) => {
+          this.reportCallerStatus(participant, changedAttributes, options);
+        })
+        .on(RoomEvent.ParticipantDisconnected, (participant) => {
+          if (!this.isCallerParticipant(participant, options.callerIdentity)) {
+            if (typeof options.onParticipantDisconnected === 'function') {
+              options.onParticipantDisconnected(participant);
+            }
+            return;
+          }
+          const reason = participant.disconnectReason;
+          logger.info(`[${callId}] Caller ${participant.identity} left the room`);
+          if (typeof options.onCallerDisconnected === 'function') {
+            options.onCallerDisconnected(typeof reason === 'number' ? DisconnectReason[reason] : reason);
+          }
+        })
+        .on(RoomEvent.DtmfReceived, (code, digit, participant) => {
+          if (!this.isCallerParticipant(participant, options.callerIdentity)) {
+            return;
+          }
+          if (typeof options.onDtmf === 'function') {
+            options.onDtmf(digit || dtmfDigit(code));
+          }
         });
 
       await room.connect(this.livekitUrl, token);
       logger.info(`[${callId}] Bot ${botIdentity} connection process initiated for room ${roomName}.`);
+
+      await this.publishAudioOutput(callId, room, options.outputSampleRate, options.onBotAudio);
       return room;
     } catch (error) {
       logger.error(`[${callId}] Error connecting bot to room ${roomName}: ${error.message}`, error.stack);
       this.activeRooms.delete(callId);
+      this.closeAudioOutput(callId);
       throw error;
     }
   }
 
+  /**
+   * Join a call's whisper room, where supervisors speak to the bot alone. The
+   * caller is never in it, so nothing published there can reach them.
+   * @param {string} callId - Call identifier
+   * @param {string} roomName - Whisper room name
+   * @param {string} botIdentity - Identity the bot joins with
+   * @param {string} token - Subscribe-only access token for the bot
+   * @param {Object} options - onParticipantConnected, onParticipantTrack and onParticipantDisconnected, as for joinRoom
+   * @returns {Promise<Room>} - Connected room
+   */
+  async joinWhisperRoom(callId, roomName, botIdentity, token, options = {}) {
+    if (this.whisperRooms.has(callId)) {
+      return this.whisperRooms.get(callId);
+    }
+
+    const room = new Room();
+    this.whisperRooms.set(callId, room);
+    room
+      .on(RoomEvent.Disconnected, () => {
+        logger.info(`[${callId}] Bot disconnected from whisper room: ${roomName}`);
+        this.whisperRooms.delete(callId);
+      })
+      .on(RoomEvent.TrackSubscribed, (track, publication, participant) => {
+        if (track.kind === TrackKind.KIND_AUDIO && typeof options.onParticipantTrack === 'function') {
+          options.onParticipantTrack(participant, track);
+        }
+      })
+      .on(RoomEvent.ParticipantConnected, (participant) => {
+        if (typeof options.onParticipantConnected === 'function') {
+          options.onParticipantConnected(participant);
+        }
+      })
+      .on(RoomEvent.ParticipantDisconnected, (participant) => {
+        if (typeof options.onParticipantDisconnected === 'function') {
+          options.onParticipantDisconnected(participant);
+        }
+      });
+
+    try {
+      await room.connect(this.livekitUrl, token);
+      logger.info(`[${callId}] Bot ${botIdentity} joined whisper room ${roomName}`);
+      return room;
+    } catch (error) {
+      this.whisperRooms.delete(callId);
+      throw error;
+    }
+  }
+
+  /**
+   * Leave a call's whisper room, if the bot is in one
+   * @param {string} callId - Call identifier
+   */
+  async leaveWhisperRoom(callId) {
+    const room = this.whisperRooms.get(callId);
+    if (room) {
+      this.whisperRooms.delete(callId);
+      await room.disconnect();
+    }
+  }
+
+  /**
+   * Pass on changes to the caller's `sip.callStatus` attribute
+   * @param {RemoteParticipant} participant - Remote participant
+   * @param {Object} attributes - Attributes that were set or changed
+   * @param {Object} options - joinRoom options
+   */
+  reportCallerStatus(participant, attributes, options) {
+    const sipCallStatus = attributes && attributes['sip.callStatus'];
+    if (!sipCallStatus || !this.isCallerParticipant(participant, options.callerIdentity)) {
+      return;
+    }
+    if (typeof options.onCallerStatusChanged === 'function') {
+      options.onCallerStatusChanged(sipCallStatus);
+    }
+  }
+
+  /**
+   * Check whether a remote participant is the phone caller
+   * @param {RemoteParticipant} participant - Remote participant
+   * @param {string} callerIdentity - Expected SIP participant identity, if known
+   * @returns {boolean} - True if the participant's audio should be transcribed
+   */
+  isCallerParticipant(participant, callerIdentity) {
+    if (callerIdentity) {
+      return participant.identity === callerIdentity;
+    }
+    return participant.kind === ParticipantKind.SIP;
+  }
+
+  /**
+   * Read a participant's audio track and pass it on as 16 kHz linear16 buffers
+   * @param {string} callId - Call identifier
+   * @param {RemoteTrack} track - Subscribed audio track
+   * @param {RemoteParticipant} participant - Owner of the track
+   * @param {Function} onAudioFrame - Receives each PCM buffer
+   */
+  async forwardParticipantAudio(callId, track, participant, onAudioFrame) {
+    if (typeof onAudioFrame !== 'function') {
+      logger.warn(`[${callId}] No audio handler provided, audio from ${participant.identity} will not be transcribed.`);
+      return;
+    }
+
+    logger.info(`[${callId}] Forwarding audio from ${participant.identity} for transcription`);
+    // AudioStream resamples natively to the requested rate/channel layout
+    const stream = new AudioStream(track, { sampleRate: SAMPLE_RATE, numChannels: NUM_CHANNELS });
+
+    try {
+      for await (const frame of stream) {
+        onAudioFrame(frameToBuffer(frame), participant);
+      }
+      logger.info(`[${callId}] Audio stream from ${participant.identity} ended`);
+    } catch (error) {
+      logger.error(`[${callId}] Error reading audio from ${participant.identity}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publish the bot's outgoing audio track used for TTS playback
+   * @param {string} callId - Call identifier
+   * @param {Room} room - Connected room
+   * @param {number} sampleRate - Sample rate the TTS audio will be produced at
+   * @param {Function} onBotAudio - Receives each buffer of audio as it plays (optional)
+   */
+  async publishAudioOutput(callId, room, sampleRate = SAMPLE_RATE, onBotAudio = null) {
+    const source = new AudioSource(sampleRate, NUM_CHANNELS);
+    const track = LocalAudioTrack.createAudioTrack('bot-voice', source);
+    const publishOptions = new TrackPublishOptions({ source: TrackSource.SOURCE_MICROPHONE });
+
+    this.audioOutputs.set(callId, {
+      source,
+      track,
+      playback: Promise.resolve(),
+      generation: 0, // Bumped on interruption so queued playback is dropped
+      items: [], // Utterances queued or playing, oldest first
+      onBotAudio,
+    });
+
+    this.audioOutputs.get(callId).publication = await room.localParticipant.publishTrack(track, publishOptions);
+    logger.info(`[${callId}] Bot audio track published`);
+  }
+
+  /**
+   * Get the SID of the bot's published audio track
+   * @param {string} callId - Call identifier
+   * @returns {string|null} - Track SID, or null if nothing is published
+   */
+  getAudioTrackSid(callId) {
+    const output = this.audioOutputs.get(callId);
+    return output && output.publication ? output.publication.sid : null;
+  }
+
+  /**
+   * Queue TTS audio for playback on the bot's audio track
+   * @param {string} callId - Call identifier
+   * @param {Buffer} audioBuffer - Linear16 audio at the track's sample rate
+   * @param {Object} options - Playback options
+   * @param {string} options.text - Text spoken by this audio, used to track what was heard
+   * @returns {Promise<boolean>} - Resolves true once all audio was handed to LiveKit, false if interrupted
+   */
+  playAudio(callId, audioBuffer, options = {}) {
+    const output = this.audioOutputs.get(callId);
+    if (!output) {
+      logger.warn(`[${callId}] No bot audio track available for playback.`);
+      return Promise.resolve(false);
+    }
+
+    const frames = bufferToFrames(audioBuffer, output.source.sampleRate);
+    const generation = output.generation;
+    const item = {
+      text: options.text || '',
+      durationMs: frames.length * FRAME_DURATION_MS,
+      capturedMs: 0,
+    };
+    output.items.push(item);
+
+    // Chain playback so consecutive buffers never interleave
+    output.playback = output.playback
+      .then(async () => {
+        for (const frame of frames) {
+          if (output.generation !== generation) {
+            return false;
+          }
+          await output.source.captureFrame(frame);
+          item.capturedMs += FRAME_DURATION_MS;
+          if (typeof output.onBotAudio === 'function') {
+            output.onBotAudio(frameToBuffer(frame), output.source.sampleRate);
+          }
+        }
+        return true;
+      })
+      .catch((error) => {
+        logger.error(`[${callId}] Error playing audio: ${error.message}`);
+        return false;
+      })
+      .then((completed) => {
+        const index = output.items.indexOf(item);
+        if (completed && index !== -1) {
+          output.items.splice(index, 1);
+        }
+        return completed;
+      });
+
+    return output.playback;
+  }
+
+  /**
+   * Wait until all queued bot audio has been played out to the room
+   * @param {string} callId - Call identifier
+   * @returns {Promise<void>}
+   */
+  async waitForPlayout(callId) {
+    const output = this.audioOutputs.get(callId);
+    if (!output) {
+      return;
+    }
+    await output.playback;
+    await output.source.waitForPlayout();
+  }
+
+  /**
+   * Check whether the bot currently has audio playing or queued
+   * @param {string} callId - Call identifier
+   * @returns {boolean} - True while the caller can hear (or is about to hear) the bot
+   */
+  isSpeaking(callId) {
+    const output = this.audioOutputs.get(callId);
+    if (!output) {
+      return false;
+    }
+    return output.items.length > 0 || output.source.queuedDuration > 0;
+  }
+
+  /**
+   * Stop bot playback immediately and flush queued audio. The returned text lets the
+   * caller trim the conversation history down to what was actually heard.
+   * @param {string} callId - Call identifier
+   * @returns {Object|null} - { spokenText, unspokenText } or null if nothing was playing
+   */
+  interruptPlayback(callId) {
+    const output = this.audioOutputs.get(callId);
+    if (!output || !this.isSpeaking(callId)) {
+      return null;
+    }
+
+    // Audio handed to LiveKit but still sitting in the source buffer was never heard
+    const bufferedMs = output.source.queuedDuration;
+    output.generation += 1;
+    output.source.clearQueue();
+
+    const [current, ...queued] = output.items;
+    output.items = [];
+
+    let spokenText = '';
+    const unspoken = queued.map((item) => item.text);
+    if (current) {
+      const words = current.text.split(/\s+/).filter(Boolean);
+      const playedMs = Math.max(current.capturedMs - bufferedMs, 0);
+      const ratio = current.durationMs > 0 ? Math.min(playedMs / current.durationMs, 1) : 0;
+      const spokenWordCount = Math.floor(words.length * ratio);
+      spokenText = words.slice(0, spokenWordCount).join(' ');
+      unspoken.unshift(words.slice(spokenWordCount).join(' '));
+    }
+    const unspokenText = unspoken.filter(Boolean).join(' ');
+
+    logger.info(`[${callId}] Bot playback interrupted after: "${spokenText.substring(0, 50)}${spokenText.length > 50 ? '...' : ''}"`);
+
+    return { spokenText, unspokenText };
+  }
+
+  /**
+   * Remove the unheard tail from the most recent assistant message
+   * @param {string} callId - Call identifier
+   * @param {string} unspokenText - Text that was queued but never played
+   * @returns {string} - The assistant text that remains ('' if the turn was dropped)
+   */
+  trimLastAssistantMessage(callId, unspokenText) {
+    const conversation = this.conversations.get(callId);
+    if (!conversation) {
+      return '';
+    }
+    const unspokenWordCount = unspokenText.split(/\s+/).filter(Boolean).length;
+
+    const { messages } = conversation;
+    for (let i = messages.length - 1; i >= 0; i--) {
+      // Tool-call messages must stay paired with their results
+      if (messages[i].role !== 'assistant' || messages[i].tool_calls) {
+        continue;
+      }
+      if (unspokenWordCount === 0) {
+        return messages[i].content;
+      }
+      const words = messages[i].content.split(/\s+/).filter(Boolean);
+      const kept = words.slice(0, Math.max(words.length - unspokenWordCount, 0));
+      if (kept.length === 0) {
+        messages.splice(i, 1); // Nothing was heard, drop the turn entirely
+        return '';
+      }
+      messages[i].content = `${kept.join(' ')}...`;
+      return messages[i].content;
+    }
+    return '';
+  }
+
+  /**
+   * Send DTMF tones into the call, e.g. to navigate a phone menu. LiveKit SIP
+   * plays them to the other end as telephone events.
+   * @param {string} callId - Call identifier
+   * @param {string} digits - Keys to press (0-9, *, #, A-D), 'w' for a half-second pause
+   * @returns {Promise<void>} - Resolves once every tone has been sent
+   */
+  async sendDtmf(callId, digits) {
+    const room = this.activeRooms.get(callId);
+    if (!room) {
+      throw new Error(`Bot is not in a room for call ${callId}`);
+    }
+
+    for (const digit of digits) {
+      if (digit.toLowerCase() === 'w') {
+        await new Promise((resolve) => setTimeout(resolve, DTMF_PAUSE_MS));
+        continue;
+      }
+      await room.localParticipant.publishDtmf(dtmfCode(digit), digit.toUpperCase());
+      await new Promise((resolve) => setTimeout(resolve, DTMF_TONE_GAP_MS));
+    }
+  }
+
+  /**
+   * Release the bot's audio source for a call
+   * @param {string} callId - Call identifier
+   */
+  closeAudioOutput(callId) {
+    const output = this.audioOutputs.get(callId);
+    if (!output) {
+      return;
+    }
+    this.audioOutputs.delete(callId);
+    output.source.close().catch((error) => {
+      logger.warn(`[${callId}] Error closing audio source: ${error.message}`);
+    });
+  }
+
   /**
    * Leave a LiveKit room.
    * @param {string} callId - The call ID associated with the room session.
@@ -160,6 +863,7 @@ class LLMBot {
       logger.info(`[${callId}] Bot disconnecting from room: ${room.name}`);
       await room.disconnect();
       this.activeRooms.delete(callId); // Ensure cleanup even if disconnect event is missed
+      this.closeAudioOutput(callId);
     } else {
       logger.warn(`[${callId}] Bot not in any room to leave.`);
     }
@@ -0,0 +1,98 @@
+const WavWriter = require('../utils/wavWriter');
+const { SAMPLE_RATE, resampleLinear16 } = require('../utils/audio');
+
+/**
+ * Records a call to a stereo WAV file from audio the bot already handles, for
+ * deployments without LiveKit Egress: the caller on the left channel, the bot
+ * on the right. Caller audio arrives in real time and paces the file; bot audio
+ * is queued as it plays and laid alongside it.
+ */
+class LocalRecorder {
+  /**
+   * @param {string} filePath - WAV file to write
+   */
+  constructor(filePath) {
+    this.writer = new WavWriter(filePath, { sampleRate: SAMPLE_RATE, numChannels: 2 });
+    this.botAudio = []; // Played bot audio at SAMPLE_RATE not yet written, oldest first
+    this.botBytes = 0;
+    this.stopped = false;
+  }
+
+  /**
+   * Add caller audio as it is received
+   * @param {Buffer} pcm - 16 kHz mono linear16 PCM
+   */
+  addCallerAudio(pcm) {
+    if (this.stopped) {
+      return;
+    }
+    this.writer.write(interleave(pcm, this.takeBotAudio(pcm.length)));
+  }
+
+  /**
+   * Add bot audio as it is played
+   * @param {Buffer} pcm - Mono linear16 PCM
+   * @param {number} sampleRate - Sample rate of the PCM
+   */
+  addBotAudio(pcm, sampleRate) {
+    if (this.stopped) {
+      return;
+    }
+    const buffer = resampleLinear16(pcm, sampleRate, SAMPLE_RATE);
+    this.botAudio.push(buffer);
+    this.botBytes += buffer.length;
+  }
+
+  /**
+   * Take up to `bytes` of queued bot audio, padded with silence
+   * @param {number} bytes - Bytes wanted
+   * @returns {Buffer} - Exactly `bytes` bytes
+   */
+  takeBotAudio(bytes) {
+    const output = Buffer.alloc(bytes);
+    let offset = 0;
+    while (offset < bytes && this.botAudio.length > 0) {
+      const chunk = this.botAudio[0];
+      const length = Math.min(chunk.length, bytes - offset);
+      chunk.copy(output, offset, 0, length);
+      offset += length;
+      if (length === chunk.length) {
+        this.botAudio.shift();
+      } else {
+        this.botAudio[0] = chunk.subarray(length);
+      }
+    }
+    this.botBytes -= offset;
+    return output;
+  }
+
+  /**
+   * Write out any bot audio played after the caller's last frame and close the file
+   * @returns {Promise<Object>} - { filePath, size, durationSeconds }
+   */
+  async stop() {
+    this.stopped = true;
+    if (this.botBytes > 0) {
+      this.writer.write(interleave(Buffer.alloc(this.botBytes), this.takeBotAudio(this.botBytes)));
+    }
+    return this.writer.close();
+  }
+}
+
+/**
+ * Interleave two mono linear16 buffers of the same length into stereo
+ * @param {Buffer} left - Left channel
+ * @param {Buffer} right - Right channel
+ * @returns {Buffer} - Stereo PCM
+ */
+function interleave(left, right) {
+  const samples = Math.floor(left.length / 2);
+  const stereo = Buffer.alloc(samples * 4);
+  for (let i = 0; i < samples; i++) {
+    stereo.writeInt16LE(left.readInt16LE(i * 2), i * 4);
+    stereo.writeInt16LE(right.readInt16LE(i * 2), i * 4 + 2);
+  }
+  return stereo;
+}
+
+module.exports = LocalRecorder;
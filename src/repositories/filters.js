@@ -0,0 +1,115 @@
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Normalize call history query parameters
+ * @param {Object} query - Raw query parameters (e.g. req.query)
+ * @returns {Object} - { from, to, type, phoneNumber, status, limit, offset }
+ */
+function parseCallFilters(query = {}) {
+  const filters = {};
+
+  if (query.from) {
+    filters.from = parseDate(query.from, 'from');
+  }
+  if (query.to) {
+    filters.to = parseDate(query.to, 'to');
+  }
+  if (query.type) {
+    if (!['inbound', 'outbound'].includes(query.type)) {
+      throw new Error(`Invalid type filter: ${query.type}`);
+    }
+    filters.type = query.type;
+  }
+  if (query.phoneNumber) {
+    filters.phoneNumber = String(query.phoneNumber);
+  }
+  if (query.status) {
+    filters.status = String(query.status);
+  }
+
+  const limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+  const offset = query.offset !== undefined ? parseInt(query.offset, 10) : 0;
+  if (Number.isNaN(limit) || limit < 1) {
+    throw new Error(`Invalid limit: ${query.limit}`);
+  }
+  if (Number.isNaN(offset) || offset < 0) {
+    throw new Error(`Invalid offset: ${query.offset}`);
+  }
+  filters.limit = Math.min(limit, MAX_LIMIT);
+  filters.offset = offset;
+
+  return filters;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Keep only the digits of a phone number so formatting differences don't matter
+ * @param {string} value - Phone number or SIP identity
+ * @returns {string} - Digits only
+ */
+function phoneDigits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+/**
+ * Check a stored call record against history filters
+ * @param {Object} record - Stored call record
+ * @param {Object} filters - Parsed filters
+ * @returns {boolean} - True if the record matches
+ */
+function matchesCallFilters(record, filters) {
+  const startTime = new Date(record.startTime);
+
+  if (filters.from && startTime < filters.from) {
+    return false;
+  }
+  if (filters.to && startTime > filters.to) {
+    return false;
+  }
+  if (filters.type && record.type !== filters.type) {
+    return false;
+  }
+  if (filters.status && record.status !== filters.status) {
+    return false;
+  }
+  if (filters.phoneNumber) {
+    const digits = phoneDigits(filters.phoneNumber);
+    const candidates = [record.phoneNumber, record.callerIdentity, record.calledNumber].map(phoneDigits);
+    if (!digits || !candidates.some((candidate) => candidate.includes(digits))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Apply limit/offset to a sorted list of records
+ * @param {Array<Object>} records - All matching records
+ * @param {Object} filters - Parsed filters with limit and offset
+ * @returns {Object} - { calls, total, limit, offset }
+ */
+function paginate(records, filters) {
+  const limit = filters.limit || DEFAULT_LIMIT;
+  const offset = filters.offset || 0;
+  return {
+    calls: records.slice(offset, offset + limit),
+    total: records.length,
+    limit,
+    offset,
+  };
+}
+
+module.exports = {
+  parseCallFilters,
+  phoneDigits,
+  matchesCallFilters,
+  paginate,
+};
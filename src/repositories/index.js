@@ -0,0 +1,23 @@
+const logger = require('../utils/logger');
+const MemoryCallRepository = require('./memoryCallRepository');
+const SqliteCallRepository = require('./sqliteCallRepository');
+
+/**
+ * Create the call repository selected by CALL_STORE ('memory' or 'sqlite')
+ * @returns {MemoryCallRepository|SqliteCallRepository} - Call repository
+ */
+function createCallRepository() {
+  const store = (process.env.CALL_STORE || 'memory').toLowerCase();
+
+  switch (store) {
+    case 'sqlite':
+      return new SqliteCallRepository(process.env.CALL_STORE_PATH || 'data/calls.db');
+    case 'memory':
+      return new MemoryCallRepository();
+    default:
+      logger.warn(`Unknown CALL_STORE "${store}", falling back to in-memory call repository`);
+      return new MemoryCallRepository();
+  }
+}
+
+module.exports = createCallRepository();
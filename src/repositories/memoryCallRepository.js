@@ -0,0 +1,95 @@
+const { matchesCallFilters, paginate } = require('./filters');
+
+/**
+ * Process-local call repository. Records survive for the lifetime of the
+ * process, which is enough for development and single-instance deployments.
+ */
+class MemoryCallRepository {
+  constructor() {
+    this.calls = new Map(); // Call records by callId
+    this.statusHistory = new Map(); // Arrays of status transitions by callId
+    this.transcripts = new Map(); // Arrays of transcript entries by callId
+  }
+
+  /**
+   * Insert or update a call record
+   * @param {Object} record - Serializable call record (must include id)
+   * @returns {Promise<void>}
+   */
+  async saveCall(record) {
+    const existing = this.calls.get(record.id) || {};
+    this.calls.set(record.id, { ...existing, ...clone(record) });
+  }
+
+  /**
+   * Record a status transition for a call
+   * @param {string} callId - Call identifier
+   * @param {string} status - New status
+   * @param {Date} timestamp - When the transition happened
+   * @returns {Promise<void>}
+   */
+  async addStatusTransition(callId, status, timestamp = new Date()) {
+    if (!this.statusHistory.has(callId)) {
+      this.statusHistory.set(callId, []);
+    }
+    this.statusHistory.get(callId).push({ status, timestamp: timestamp.toISOString() });
+  }
+
+  /**
+   * Append a transcript entry to a call
+   * @param {string} callId - Call identifier
+   * @param {Object} entry - Transcript entry ({ speaker, text, timestamp, ... })
+   * @returns {Promise<void>}
+   */
+  async appendTranscriptEntry(callId, entry) {
+    if (!this.transcripts.has(callId)) {
+      this.transcripts.set(callId, []);
+    }
+    this.transcripts.get(callId).push(clone(entry));
+  }
+
+  /**
+   * Get a single call with its status history
+   * @param {string} callId - Call identifier
+   * @returns {Promise<Object|null>} - Call record or null if not found
+   */
+  async getCall(callId) {
+    const record = this.calls.get(callId);
+    if (!record) {
+      return null;
+    }
+    return {
+      ...clone(record),
+      statusHistory: clone(this.statusHistory.get(callId) || []),
+    };
+  }
+
+  /**
+   * Get the transcript entries of a call, oldest first
+   * @param {string} callId - Call identifier
+   * @returns {Promise<Array<Object>>} - Transcript entries
+   */
+  async getTranscript(callId) {
+    return clone(this.transcripts.get(callId) || []);
+  }
+
+  /**
+   * List calls matching the given filters, newest first
+   * @param {Object} filters - { from, to, type, phoneNumber, status, limit, offset }
+   * @returns {Promise<Object>} - { calls, total, limit, offset }
+   */
+  async listCalls(filters = {}) {
+    const matching = [...this.calls.values()]
+      .filter((record) => matchesCallFilters(record, filters))
+      .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
+    return paginate(matching.map(clone), filters);
+  }
+}
+
+// Round-trip through JSON so stored records have the same shape as the SQLite store
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = MemoryCallRepository;
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { phoneDigits } = require('./filters');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS calls (
+    id TEXT PRIMARY KEY,
+    type TEXT,
+    status TEXT,
+    phone_digits TEXT,
+    start_time TEXT,
+    end_time TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_calls_start_time ON calls (start_time);
+  CREATE TABLE IF NOT EXISTS call_status_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    call_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    timestamp TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_call_status_history_call ON call_status_history (call_id);
+  CREATE TABLE IF NOT EXISTS call_transcripts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    call_id TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_call_transcripts_call ON call_transcripts (call_id);
+`;
+
+/**
+ * File-backed call repository using SQLite. Call records are stored as JSON
+ * with the filterable fields copied into indexed columns.
+ */
+class SqliteCallRepository {
+  /**
+   * @param {string} filePath - Path of the SQLite database file
+   */
+  constructor(filePath) {
+    // Loaded lazily so the in-memory store works without the native module
+    const Database = require('better-sqlite3');
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    logger.info(`SQLite call repository opened at ${filePath}`);
+  }
+
+  /**
+   * Insert or update a call record
+   * @param {Object} record - Serializable call record (must include id)
+   * @returns {Promise<void>}
+   */
+  async saveCall(record) {
+    const existing = this.db.prepare('SELECT data FROM calls WHERE id = ?').get(record.id);
+    const merged = { ...(existing ? JSON.parse(existing.data) : {}), ...JSON.parse(JSON.stringify(record)) };
+
+    this.db.prepare(`
+      INSERT INTO calls (id, type, status, phone_digits, start_time, end_time, data)
+      VALUES (@id, @type, @status, @phoneDigits, @startTime, @endTime, @data)
+      ON CONFLICT(id) DO UPDATE SET
+        type = excluded.type,
+        status = excluded.status,
+        phone_digits = excluded.phone_digits,
+        start_time = excluded.start_time,
+        end_time = excluded.end_time,
+        data = excluded.data
+    `).run({
+      id: merged.id,
+      type: merged.type || null,
+      status: merged.status || null,
+      phoneDigits: [merged.phoneNumber, merged.callerIdentity, merged.calledNumber].map(phoneDigits).join(' '),
+      startTime: merged.startTime || null,
+      endTime: merged.endTime || null,
+      data: JSON.stringify(merged),
+    });
+  }
+
+  /**
+   * Record a status transition for a call
+   * @param {string} callId - Call identifier
+   * @param {string} status - New status
+   * @param {Date} timestamp - When the transition happened
+   * @returns {Promise<void>}
+   */
+  async addStatusTransition(callId, status, timestamp = new Date()) {
+    this.db.prepare('INSERT INTO call_status_history (call_id, status, timestamp) VALUES (?, ?, ?)')
+      .run(callId, status, timestamp.toISOString());
+  }
+
+  /**
+   * Append a transcript entry to a call
+   * @param {string} callId - Call identifier
+   * @param {Object} entry - Transcript entry ({ speaker, text, timestamp, ... })
+   * @returns {Promise<void>}
+   */
+  async appendTranscriptEntry(callId, entry) {
+    this.db.prepare('INSERT INTO call_transcripts (call_id, data) VALUES (?, ?)')
+      .run(callId, JSON.stringify(entry));
+  }
+
+  /**
+   * Get a single call with its status history
+   * @param {string} callId - Call identifier
+   * @returns {Promise<Object|null>} - Call record or null if not found
+   */
+  async getCall(callId) {
+    const row = this.db.prepare('SELECT data FROM calls WHERE id = ?').get(callId);
+    if (!row) {
+      return null;
+    }
+    const statusHistory = this.db
+      .prepare('SELECT status, timestamp FROM call_status_history WHERE call_id = ? ORDER BY id')
+      .all(callId);
+    return { ...JSON.parse(row.data), statusHistory };
+  }
+
+  /**
+   * Get the transcript entries of a call, oldest first
+   * @param {string} callId - Call identifier
+   * @returns {Promise<Array<Object>>} - Transcript entries
+   */
+  async getTranscript(callId) {
+    return this.db
+      .prepare('SELECT data FROM call_transcripts WHERE call_id = ? ORDER BY id')
+      .all(callId)
+      .map((row) => JSON.parse(row.data));
+  }
+
+  /**
+   * List calls matching the given filters, newest first
+   * @param {Object} filters - { from, to, type, phoneNumber, status, limit, offset }
+   * @returns {Promise<Object>} - { calls, total, limit, offset }
+   */
+  async listCalls(filters = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.from) {
+      conditions.push('start_time >= @from');
+      params.from = filters.from.toISOString();
+    }
+    if (filters.to) {
+      conditions.push('start_time <= @to');
+      params.to = filters.to.toISOString();
+    }
+    if (filters.type) {
+      conditions.push('type = @type');
+      params.type = filters.type;
+    }
+    if (filters.status) {
+      conditions.push('status = @status');
+      params.status = filters.status;
+    }
+    if (filters.phoneNumber) {
+      conditions.push('phone_digits LIKE @phoneDigits');
+      params.phoneDigits = `%${phoneDigits(filters.phoneNumber) || '-'}%`;
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = filters.limit || 50;
+    const offset = filters.offset || 0;
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM calls ${where}`).get(params);
+    const calls = this.db
+      .prepare(`SELECT data FROM calls ${where} ORDER BY start_time DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset })
+      .map((row) => JSON.parse(row.data));
+
+    return { calls, total, limit, offset };
+  }
+}
+
+module.exports = SqliteCallRepository;
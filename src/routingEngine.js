@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./utils/logger');
+const agentRegistry = require('./agentRegistry');
+const { isValidTimezone, isValidWeekdays, localTime, parseClockTime, isWithinWindow } = require('./utils/timezones');
+
+const ACTION_TYPES = ['agent', 'transfer', 'message', 'reject'];
+const DEFAULT_ROUTE = { ruleId: null, action: { type: 'default' } };
+// Patterns run against every inbound caller, so they are kept short and compiled once
+const MAX_CALLER_PATTERN_LENGTH = 200;
+const callerPatterns = new WeakMap(); // Compiled callerPattern by rule match
+
+/**
+ * Inbound call routing. Rules live in a JSON file (ROUTING_RULES_PATH, default
+ * ./routing-rules.json) that is reloaded whenever it changes:
+ *
+ * {
+ *   "blocklist": ["+15550000000"],           // Callers that are always rejected
+ *   "rules": [{
+ *     "id": "after-hours",
+ *     "match": {                             // Every condition given must hold
+ *       "calledNumbers": ["+15551234567"],   // Dialed trunk number
+ *       "callerPattern": "^\\+1415",         // Regular expression on the caller's number
+ *       "schedule": { "timezone": "America/New_York", "days": [1, 2, 3, 4, 5],
+ *                     "start": "09:00", "end": "17:00", "holidays": ["2026-12-25"] },
+ *       "when": "closed"                     // Match inside ("open", default) or outside the schedule
+ *     },
+ *     "action": { "type": "message", "text": "We're closed, please call back tomorrow." }
+ *   }]
+ * }
+ *
+ * Actions: { type: 'agent', agentId }, { type: 'transfer', target },
+ * { type: 'message', text } and { type: 'reject' }. The first matching rule
+ * wins; calls no rule matches get the default agent selection.
+ */
+class RoutingEngine {
+  constructor() {
+    this.filePath = path.resolve(process.cwd(), process.env.ROUTING_RULES_PATH || 'routing-rules.json');
+    this.config = { blocklist: [], rules: [] };
+    this.load();
+
+    // Pick up edits made directly to the file
+    fs.watchFile(this.filePath, { persistent: false, interval: 2000 }, () => this.load());
+  }
+
+  /**
+   * (Re)load the rules file, keeping the current rules if it is invalid
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.config = { blocklist: [], rules: [] };
+      return;
+    }
+    try {
+      this.config = this.validateConfig(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+      logger.info(`Loaded ${this.config.rules.length} routing rule(s) from ${this.filePath}`);
+    } catch (error) {
+      logger.error(`Keeping previous routing rules, ${this.filePath} is invalid: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate and normalise a routing configuration
+   * @param {Object} config - { blocklist, rules }
+   * @returns {Object} - Routing configuration
+   */
+  validateConfig(config = {}) {
+    const blocklist = config.blocklist || [];
+    if (!Array.isArray(blocklist) || blocklist.some((number) => typeof number !== 'string')) {
+      throw new Error('blocklist must be an array of phone numbers');
+    }
+    if (config.rules !== undefined && !Array.isArray(config.rules)) {
+      throw new Error('rules must be an array');
+    }
+
+    const rules = (config.rules || []).map((rule, index) => this.validateRule({ id: `rule-${index + 1}`, ...rule }));
+    const ids = new Set();
+    rules.forEach((rule) => {
+      if (ids.has(rule.id)) {
+        throw new Error(`Duplicate rule id: ${rule.id}`);
+      }
+      ids.add(rule.id);
+    });
+    return { blocklist, rules };
+  }
+
+  /**
+   * Validate and normalise a single rule
+   * @param {Object} rule - { id, name, enabled, match, action }
+   * @returns {Object} - Rule
+   */
+  validateRule(rule) {
+    const match = rule.match || {};
+    const action = rule.action || {};
+
+    if (match.calledNumbers !== undefined &&
+        (!Array.isArray(match.calledNumbers) || match.calledNumbers.some((number) => typeof number !== 'string'))) {
+      throw new Error(`Rule ${rule.id}: calledNumbers must be an array of phone numbers`);
+    }
+    if (match.callerPattern !== undefined) {
+      if (typeof match.callerPattern !== 'string' || match.callerPattern.length > MAX_CALLER_PATTERN_LENGTH) {
+        throw new Error(`Rule ${rule.id}: callerPattern must be a string of at most ${MAX_CALLER_PATTERN_LENGTH} characters`);
+      }
+      try {
+        callerPatterns.set(match, new RegExp(match.callerPattern));
+      } catch (error) {
+        throw new Error(`Rule ${rule.id}: invalid callerPattern: ${error.message}`);
+      }
+    }
+    if (match.schedule) {
+      if (!isValidTimezone(match.schedule.timezone)) {
+        throw new Error(`Rule ${rule.id}: invalid schedule timezone: ${match.schedule.timezone}`);
+      }
+      // Throws on malformed times
+      parseClockTime(match.schedule.start);
+      parseClockTime(match.schedule.end);
+      if (match.schedule.days !== undefined && !isValidWeekdays(match.schedule.days)) {
+        throw new Error(`Rule ${rule.id}: schedule days must be distinct weekdays from 0 (Sunday) to 6 (Saturday)`);
+      }
+      if (match.schedule.holidays !== undefined &&
+          (!Array.isArray(match.schedule.holidays) || match.schedule.holidays.some((day) => !/^\d{4}-\d{2}-\d{2}$/.test(day)))) {
+        throw new Error(`Rule ${rule.id}: holidays must be YYYY-MM-DD dates`);
+      }
+    }
+    if (match.when !== undefined && !['open', 'closed'].includes(match.when)) {
+      throw new Error(`Rule ${rule.id}: when must be "open" or "closed"`);
+    }
+    if (match.when && !match.schedule) {
+      throw new Error(`Rule ${rule.id}: when requires a schedule`);
+    }
+
+    if (!ACTION_TYPES.includes(action.type)) {
+      throw new Error(`Rule ${rule.id}: action type must be one of: ${ACTION_TYPES.join(', ')}`);
+    }
+    if (action.type === 'agent' && !action.agentId) {
+      throw new Error(`Rule ${rule.id}: agent action requires an agentId`);
+    }
+    if (action.type === 'transfer' && !action.target) {
+      throw new Error(`Rule ${rule.id}: transfer action requires a target`);
+    }
+    if (action.type === 'message' && !action.text) {
+      throw new Error(`Rule ${rule.id}: message action requires text`);
+    }
+
+    return {
+      id: String(rule.id),
+      name: rule.name || String(rule.id),
+      enabled: rule.enabled !== false,
+      match,
+      action,
+    };
+  }
+
+  /**
+   * Decide what to do with an inbound call
+   * @param {Object} call - { calledNumber, callerId }
+   * @param {Date} now - Time to evaluate schedules at
+   * @returns {Object} - { ruleId, action }; action.type 'default' if nothing matched
+   */
+  route({ calledNumber, callerId }, now = new Date()) {
+    const callerDigits = digits(callerId);
+    if (callerDigits && this.config.blocklist.some((number) => digits(number) === callerDigits)) {
+      return { ruleId: 'blocklist', action: { type: 'reject' } };
+    }
+
+    const rule = this.config.rules.find((candidate) => candidate.enabled && this.matches(candidate.match, { calledNumber, callerId }, now));
+    return rule ? { ruleId: rule.id, action: rule.action } : DEFAULT_ROUTE;
+  }
+
+  matches(match, { calledNumber, callerId }, now) {
+    if (match.calledNumbers && !match.calledNumbers.some((number) => digits(number) === digits(calledNumber))) {
+      return false;
+    }
+    if (match.callerPattern && !callerPatterns.get(match).test(callerId || '')) {
+      return false;
+    }
+    if (match.schedule) {
+      const isOpen = isOpenAt(match.schedule, now);
+      return (match.when || 'open') === 'open' ? isOpen : !isOpen;
+    }
+    return true;
+  }
+
+  /**
+   * Get the whole routing configuration
+   * @returns {Object} - { blocklist, rules }
+   */
+  getConfig() {
+    return this.config;
+  }
+
+  /**
+   * Replace the whole routing configuration
+   * @param {Object} config - { blocklist, rules }
+   * @returns {Object} - Routing configuration
+   */
+  setConfig(config) {
+    const validated = this.validateConfig(config);
+    this.checkAgents(validated.rules);
+    this.save(validated);
+    return validated;
+  }
+
+  /**
+   * Add a rule after the existing ones
+   * @param {Object} rule - Rule definition (an id is generated if omitted)
+   * @returns {Object} - Rule
+   */
+  addRule(rule = {}) {
+    const validated = this.validateRule({ ...rule, id: rule.id || uuidv4() });
+    if (this.config.rules.some((existing) => existing.id === validated.id)) {
+      const error = new Error(`Routing rule already exists: ${validated.id}`);
+      error.statusCode = 409;
+      throw error;
+    }
+    this.checkAgents([validated]);
+    this.save({ ...this.config, rules: [...this.config.rules, validated] });
+    return validated;
+  }
+
+  /**
+   * Replace a rule, keeping its position
+   * @param {string} ruleId - Rule identifier
+   * @param {Object} rule - New rule definition
+   * @returns {Object} - Rule
+   */
+  updateRule(ruleId, rule = {}) {
+    const index = this.requireRuleIndex(ruleId);
+    const validated = this.validateRule({ ...rule, id: ruleId });
+    this.checkAgents([validated]);
+    const rules = [...this.config.rules];
+    rules[index] = validated;
+    this.save({ ...this.config, rules });
+    return validated;
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} ruleId - Rule identifier
+   */
+  deleteRule(ruleId) {
+    const index = this.requireRuleIndex(ruleId);
+    this.save({ ...this.config, rules: this.config.rules.filter((rule, i) => i !== index) });
+  }
+
+  /**
+   * Add a caller to the blocklist
+   * @param {string} phoneNumber - Caller number
+   * @returns {Array<string>} - Blocklist
+   */
+  blockCaller(phoneNumber) {
+    if (!digits(phoneNumber)) {
+      throw new Error('A phone number is required');
+    }
+    if (!this.config.blocklist.some((number) => digits(number) === digits(phoneNumber))) {
+      this.save({ ...this.config, blocklist: [...this.config.blocklist, phoneNumber] });
+    }
+    return this.config.blocklist;
+  }
+
+  /**
+   * Remove a caller from the blocklist
+   * @param {string} phoneNumber - Caller number
+   * @returns {Array<string>} - Blocklist
+   */
+  unblockCaller(phoneNumber) {
+    this.save({
+      ...this.config,
+      blocklist: this.config.blocklist.filter((number) => digits(number) !== digits(phoneNumber)),
+    });
+    return this.config.blocklist;
+  }
+
+  requireRuleIndex(ruleId) {
+    const index = this.config.rules.findIndex((rule) => rule.id === ruleId);
+    if (index === -1) {
+      const error = new Error(`Routing rule not found: ${ruleId}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return index;
+  }
+
+  /**
+   * Reject rules sending calls to unknown agents. Only checked for API changes,
+   * so a profile deleted later doesn't invalidate the whole file.
+   * @param {Array<Object>} rules - Validated rules
+   */
+  checkAgents(rules) {
+    const rule = rules.find((candidate) => candidate.action.type === 'agent' && !agentRegistry.getAgent(candidate.action.agentId));
+    if (rule) {
+      throw new Error(`Rule ${rule.id}: unknown agentId ${rule.action.agentId}`);
+    }
+  }
+
+  save(config) {
+    // Write then rename so the file watcher never sees a half-written file
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, `${JSON.stringify(config, null, 2)}\n`);
+    fs.renameSync(tmpPath, this.filePath);
+    this.config = config;
+    logger.info(`Saved ${config.rules.length} routing rule(s) to ${this.filePath}`);
+  }
+}
+
+/**
+ * Check whether a schedule is open at a given moment; holidays are closed all day
+ * @param {Object} schedule - { timezone, days, start, end, holidays }
+ * @param {Date} now - Moment in time
+ * @returns {boolean} - True if open
+ */
+function isOpenAt(schedule, now) {
+  if ((schedule.holidays || []).includes(localTime(now, schedule.timezone).date)) {
+    return false;
+  }
+  return isWithinWindow(now, schedule.timezone, schedule);
+}
+
+function digits(phoneNumber) {
+  return String(phoneNumber || '').replace(/\D/g, '');
+}
+
+module.exports = new RoutingEngine();
@@ -4,14 +4,43 @@ const cors = require('cors');
 const logger = require('./utils/logger');
 const livekitClient = require('./livekitClient');
 const callManager = require('./callManager');
+const toolRegistry = require('./tools/toolRegistry');
+const campaignManager = require('./campaignManager');
+const agentRegistry = require('./agentRegistry');
+const routingEngine = require('./routingEngine');
+const webhookDispatcher = require('./webhookDispatcher');
+const statusCallbackNotifier = require('./statusCallbackNotifier');
+const callMonitor = require('./callMonitor');
+const apiAuth = require('./apiAuth');
+const { parseCallFilters } = require('./repositories/filters');
+const { FORMATS, formatTranscript } = require('./utils/transcriptFormatter');
+const { PROVIDER_NAMES: STT_PROVIDERS, isSTTProvider } = require('./stt');
+const { resolveTTSSettings } = require('./tts');
+const { resolveLLMSettings } = require('./llm');
+const { isDtmfSequence } = require('./utils/dtmf');
+const { isHttpUrl } = require('./utils/text');
+
+// Load team-specific LLM tools (module exporting an array of tools or a function(registry))
+if (process.env.CUSTOM_TOOLS_PATH) {
+  toolRegistry.loadFromModule(process.env.CUSTOM_TOOLS_PATH);
+}
 
 // Initialize express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Browser origins allowed to call the API (CORS_ORIGINS, comma separated, or * for any); none by default
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
+
 // Middleware
-app.use(cors());
-app.use(express.json({ type: ['application/json', 'application/webhook+json'] }));
+app.use(cors({ origin: corsOrigins.includes('*') ? '*' : corsOrigins }));
+app.use(express.json({
+  type: ['application/json', 'application/webhook+json'],
+  // Webhook signatures cover the exact bytes LiveKit sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -28,21 +57,94 @@ app.get('/health', (req, res) => {
  * Request body:
  * {
  *   "phoneNumber": "+12345678901",
- *   "initialContext": "Optional context for the LLM"
+ *   "initialContext": "Optional context for the LLM",
+ *   "agentId": "front-desk",             // Optional agent profile; tts and llm below override its settings
+ *   "greeting": "Hi, this is Sam from Acme",  // Optional opening line, or false for none
+ *   "generateGreeting": true,            // Optional, have the LLM write the opening line from initialContext
+ *   "machineDetection": true,            // Optional, detect answering machines, defaults to AMD_ENABLED
+ *   "voicemailMessage": "Hi, it's Sam from Acme ...", // Optional message left on a machine, or false to just hang up
+ *   "generateVoicemail": true,           // Optional, have the LLM write the voicemail message from initialContext
+ *   "record": true,                      // Optional, record the call, defaults to the agent's setting or RECORDING_ENABLED
+ *   "statusCallbackUrl": "https://crm.example.com/calls",  // Optional, receives signed lifecycle events (needs STATUS_CALLBACK_SECRET)
+ *   "sttProvider": "deepgram" | "vosk",  // Optional, defaults to STT_PROVIDER
+ *   "tts": {                             // Optional, defaults to TTS_PROVIDER / TTS_VOICE / TTS_SPEED / TTS_SAMPLE_RATE
+ *     "provider": "deepgram" | "openai" | "local",
+ *     "voice": "aura-asteria-en",
+ *     "speed": 1.0,
+ *     "sampleRate": 16000
+ *   },
+ *   "llm": {                             // Optional, defaults to LLM_PROVIDER / LLM_MODEL / LLM_TEMPERATURE / LLM_MAX_TOKENS
+ *     "provider": "openai" | "anthropic" | "local",
+ *     "model": "gpt-4o-mini",
+ *     "temperature": 0.7,
+ *     "maxTokens": 256,
+ *     "systemPrompt": "You are calling on behalf of ...",
+ *     "fallback": { "provider": "local", "model": "llama3.1" }  // Or null to disable LLM_FALLBACK_*
+ *   }
  * }
  */
-app.post('/api/calls/outbound', async (req, res) => {
+app.post('/api/calls/outbound', apiAuth.requireScope('calls:write'), async (req, res) => {
   try {
-    const { phoneNumber, initialContext } = req.body;
+    const {
+      phoneNumber, initialContext, agentId, greeting, generateGreeting,
+      machineDetection, voicemailMessage, generateVoicemail, record, statusCallbackUrl, sttProvider, tts, llm,
+    } = req.body;
     
     if (!phoneNumber) {
       return res.status(400).json({ error: 'Phone number is required' });
     }
+    if (greeting !== undefined && greeting !== false && typeof greeting !== 'string') {
+      return res.status(400).json({ error: 'greeting must be a string or false' });
+    }
+    if (voicemailMessage !== undefined && voicemailMessage !== false && typeof voicemailMessage !== 'string') {
+      return res.status(400).json({ error: 'voicemailMessage must be a string or false' });
+    }
+    if (record !== undefined && typeof record !== 'boolean') {
+      return res.status(400).json({ error: 'record must be true or false' });
+    }
+    if (statusCallbackUrl !== undefined && !isHttpUrl(statusCallbackUrl)) {
+      return res.status(400).json({ error: 'statusCallbackUrl must be an http(s) URL' });
+    }
+    if (statusCallbackUrl && !statusCallbackNotifier.isConfigured()) {
+      return res.status(400).json({ error: 'statusCallbackUrl needs STATUS_CALLBACK_SECRET to be set' });
+    }
+    if (agentId && !agentRegistry.getAgent(agentId)) {
+      return res.status(400).json({ error: `Unknown agentId: ${agentId}` });
+    }
+    if (sttProvider && !isSTTProvider(sttProvider)) {
+      return res.status(400).json({ error: `sttProvider must be one of: ${STT_PROVIDERS.join(', ')}` });
+    }
+    try {
+      resolveTTSSettings(tts);
+      resolveLLMSettings(llm);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    let releaseCall;
+    try {
+      releaseCall = apiAuth.reserveCall(req.client, req);
+    } catch (error) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     
     // Initiate outbound call
     const callDetails = await callManager.initiateOutboundCall(phoneNumber, {
-      initialContext
-    });
+      initialContext,
+      agentId,
+      greeting,
+      generateGreeting,
+      machineDetection,
+      voicemailMessage,
+      generateVoicemail,
+      record,
+      statusCallbackUrl,
+      sttProvider,
+      tts,
+      llm,
+      requestedBy: req.client.id,
+      onRegistered: releaseCall,
+    }).finally(releaseCall);
     
     res.json({
       success: true,
@@ -55,14 +157,51 @@ app.post('/api/calls/outbound', async (req, res) => {
   }
 });
 
+/**
+ * Search call history (active and ended calls)
+ * GET /api/calls/history
+ * 
+ * Query parameters (all optional):
+ *   from, to     - ISO dates bounding the call start time
+ *   type         - "inbound" or "outbound"
+ *   phoneNumber  - Matches the dialed number or the caller ID
+ *   status       - Call status, e.g. "ended"
+ *   limit, offset - Pagination (default limit 50, max 500)
+ */
+app.get('/api/calls/history', apiAuth.requireScope('calls:read'), async (req, res) => {
+  let filters;
+  try {
+    filters = parseCallFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  try {
+    const history = await callManager.getCallHistory(filters);
+    res.json(history);
+  } catch (error) {
+    logger.error(`Error getting call history: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Live events for every call, as Server-Sent Events (connect with a WebSocket
+ * upgrade on the same path to get them over a WebSocket instead)
+ * GET /api/calls/stream
+ */
+app.get('/api/calls/stream', apiAuth.requireScope('calls:read'), (req, res) => {
+  callMonitor.addEventStream(req, res, null);
+});
+
 /**
  * Get details for a specific call
  * GET /api/calls/:callId
  */
-app.get('/api/calls/:callId', (req, res) => {
+app.get('/api/calls/:callId', apiAuth.requireScope('calls:read'), async (req, res) => {
   try {
     const { callId } = req.params;
-    const callDetails = callManager.getCallDetails(callId);
+    const callDetails = await callManager.findCall(callId);
     
     if (!callDetails) {
       return res.status(404).json({ error: 'Call not found' });
@@ -75,11 +214,229 @@ app.get('/api/calls/:callId', (req, res) => {
   }
 });
 
+/**
+ * Get the transcript of a call
+ * GET /api/calls/:callId/transcript?format=json|text|vtt|srt
+ */
+app.get('/api/calls/:callId/transcript', apiAuth.requireScope('calls:read'), async (req, res) => {
+  try {
+    const { callId } = req.params;
+    const format = (req.query.format || 'json').toLowerCase();
+    
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Format must be one of: ${FORMATS.join(', ')}` });
+    }
+    
+    const transcript = await callManager.getTranscript(callId);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    
+    if (format === 'json') {
+      return res.json({ callId, transcript });
+    }
+    
+    const { body, contentType } = formatTranscript(transcript, format);
+    res.type(contentType).send(body);
+  } catch (error) {
+    logger.error(`Error getting call transcript: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Live transcripts, bot speech, status changes and latency metrics for one call,
+ * as Server-Sent Events or, with a WebSocket upgrade, over a WebSocket
+ * GET /api/calls/:callId/stream
+ */
+app.get('/api/calls/:callId/stream', apiAuth.requireScope('calls:read'), (req, res) => {
+  const { callId } = req.params;
+  if (!callManager.getCallDetails(callId)) {
+    return res.status(404).json({ error: 'Call not found or already ended' });
+  }
+  callMonitor.addEventStream(req, res, callId);
+});
+
+/**
+ * List the recordings of a call
+ * GET /api/calls/:callId/recording
+ */
+app.get('/api/calls/:callId/recording', apiAuth.requireScope('calls:read'), async (req, res) => {
+  try {
+    const { callId } = req.params;
+    const recordings = await callManager.getRecordings(callId);
+    
+    if (!recordings) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    
+    res.json({
+      callId,
+      recordings: recordings.map((recording) => ({
+        ...recording,
+        url: `/api/calls/${callId}/recording/${encodeURIComponent(recording.id)}`,
+      })),
+    });
+  } catch (error) {
+    logger.error(`Error listing call recordings: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Download a recording: streamed if the file is on this server, otherwise a
+ * redirect to where the egress uploaded it
+ * GET /api/calls/:callId/recording/:recordingId
+ */
+app.get('/api/calls/:callId/recording/:recordingId', apiAuth.requireScope('calls:read'), async (req, res) => {
+  try {
+    const { callId, recordingId } = req.params;
+    if (!(await callManager.findCall(callId))) {
+      return res.status(404).json({ error: 'Call not found' });
+    }
+    
+    const { filePath, url } = await callManager.getRecordingFile(callId, recordingId);
+    if (url) {
+      return res.redirect(url);
+    }
+    res.sendFile(filePath);
+  } catch (error) {
+    logger.error(`Error getting call recording: ${error.message}`);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Transfer a call to a human agent
+ * POST /api/calls/:callId/transfer
+ * 
+ * Request body:
+ * {
+ *   "mode": "cold" | "warm",          // Optional, defaults to TRANSFER_MODE or "cold"
+ *   "target": "+12345678901",          // Phone number or SIP URI, defaults to TRANSFER_DEFAULT_TARGET
+ *   "reason": "Optional reason",
+ *   "briefing": "Optional text the bot says to the agent on a warm transfer"
+ * }
+ */
+app.post('/api/calls/:callId/transfer', apiAuth.requireScope('calls:write'), async (req, res) => {
+  const { callId } = req.params;
+  const { mode, target, reason, briefing } = req.body;
+  
+  const callDetails = callManager.getCallDetails(callId);
+  if (!callDetails || callDetails.endTime) {
+    return res.status(404).json({ error: 'Call not found or already ended' });
+  }
+  if (mode && !['cold', 'warm'].includes(mode)) {
+    return res.status(400).json({ error: 'Mode must be "cold" or "warm"' });
+  }
+  if (!target && !callManager.getTransferTarget(callId)) {
+    return res.status(400).json({ error: 'Transfer target is required' });
+  }
+  
+  try {
+    const transfer = await callManager.transferCall(callId, { mode, target, reason, briefing });
+    res.json({ success: true, transfer });
+  } catch (error) {
+    logger.error(`Error transferring call: ${error.message}`);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a token for a supervisor to join a live call
+ * POST /api/calls/:callId/monitor
+ * 
+ * Request body:
+ * {
+ *   "mode": "listen" | "whisper" | "barge",  // Optional, defaults to "listen"
+ *   "name": "Optional display name"
+ * }
+ * 
+ * "listen" hears the call unseen, "whisper" coaches the bot without the caller
+ * hearing, and "barge" talks to the caller while the bot is muted until the supervisor leaves.
+ * A whisperer listens with "token" and speaks with "whisperToken" in "whisperRoomName".
+ */
+app.post('/api/calls/:callId/monitor', apiAuth.requireScope('calls:admin'), async (req, res) => {
+  const { callId } = req.params;
+  const { mode, name } = req.body;
+  
+  const callDetails = callManager.getCallDetails(callId);
+  if (!callDetails || callDetails.endTime) {
+    return res.status(404).json({ error: 'Call not found or already ended' });
+  }
+  
+  try {
+    const monitor = await callManager.startMonitoring(callId, { mode, name });
+    res.json({ success: true, callId, ...monitor });
+  } catch (error) {
+    logger.error(`Error starting call monitoring: ${error.message}`);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Press keys on the call's keypad, e.g. to get through a phone menu
+ * POST /api/calls/:callId/dtmf
+ * 
+ * Request body:
+ * {
+ *   "digits": "1w2#"                   // 0-9, *, #, A-D; "w" waits half a second
+ * }
+ */
+app.post('/api/calls/:callId/dtmf', apiAuth.requireScope('calls:write'), async (req, res) => {
+  const { callId } = req.params;
+  const { digits } = req.body;
+  
+  const callDetails = callManager.getCallDetails(callId);
+  if (!callDetails || callDetails.endTime) {
+    return res.status(404).json({ error: 'Call not found or already ended' });
+  }
+  if (!isDtmfSequence(digits)) {
+    return res.status(400).json({ error: 'digits must be 1-64 of 0-9, *, #, A-D or w (pause)' });
+  }
+  
+  try {
+    const sent = await callManager.sendDtmf(callId, digits);
+    res.json({ success: true, ...sent });
+  } catch (error) {
+    logger.error(`Error sending DTMF: ${error.message}`);
+    res.status(502).json({ error: error.message });
+  }
+});
+
+/**
+ * Collect a keypad entry from the caller; it reaches the bot as the caller's next message
+ * POST /api/calls/:callId/dtmf/collect
+ * 
+ * Request body:
+ * {
+ *   "maxDigits": 8,                    // Optional, no limit by default
+ *   "terminator": "#",                 // Optional, defaults to DTMF_TERMINATOR or "#"; null for none
+ *   "timeoutSeconds": 10               // Optional wait for each key, defaults to DTMF_COLLECT_TIMEOUT_SECONDS
+ * }
+ */
+app.post('/api/calls/:callId/dtmf/collect', apiAuth.requireScope('calls:write'), (req, res) => {
+  const { callId } = req.params;
+  const { maxDigits, terminator, timeoutSeconds } = req.body;
+  
+  const callDetails = callManager.getCallDetails(callId);
+  if (!callDetails || callDetails.endTime) {
+    return res.status(404).json({ error: 'Call not found or already ended' });
+  }
+  
+  try {
+    const collection = callManager.collectDigits(callId, { maxDigits, terminator, timeoutSeconds });
+    res.json({ success: true, collection });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 /**
  * List all active calls
  * GET /api/calls
  */
-app.get('/api/calls', (req, res) => {
+app.get('/api/calls', apiAuth.requireScope('calls:read'), (req, res) => {
   try {
     const calls = callManager.getAllActiveCalls();
     res.json(calls);
@@ -93,7 +450,7 @@ app.get('/api/calls', (req, res) => {
  * End a specific call
  * POST /api/calls/:callId/end
  */
-app.post('/api/calls/:callId/end', async (req, res) => {
+app.post('/api/calls/:callId/end', apiAuth.requireScope('calls:write'), async (req, res) => {
   try {
     const { callId } = req.params;
     const success = await callManager.endCall(callId);
@@ -110,75 +467,337 @@ app.post('/api/calls/:callId/end', async (req, res) => {
 });
 
 /**
- * Handle inbound SIP call notification from LiveKit
- * This webhook would be called by LiveKit when a SIP call arrives
- * POST /webhooks/livekit/sip-call
+ * List status callback events that could not be delivered, newest first
+ * GET /api/status-callbacks/dead-letters?limit=100
  */
-app.post('/webhooks/livekit/sip-call', async (req, res) => {
-  // Log the entire incoming request body for debugging
-  logger.info('Received LiveKit webhook POST request');
-  logger.info(`Request Content-Type: ${req.headers['content-type']}`);
-  
-  logger.info('Inspecting req.body:');
-  logger.info(`Event Type: ${req.body.event}`);
-  logger.info(`Full Payload: ${JSON.stringify(req.body, null, 2)}`);
-
-  try {
-    const event = req.body.event;
-    
-    // TODO: Confirm the actual event name from LiveKit for SIP dispatch.
-    // Common events could be 'room_started' if the dispatch rule creates the room,
-    // or a more specific SIP event like 'sip_dispatch'.
-    // For this example, we'll assume 'room_started' or a generic SIP event.
-    // You might also want to check req.body.sip for SIP-specific details.
-
-    if (event === 'room_started' || (req.body.sip && req.body.room)) { // Adjust this condition based on actual event
-      const roomName = req.body.room?.name;
-      // The participantIdentity from a LiveKit webhook for an incoming SIP call
-      // is typically the identity of the SIP trunk participant itself, not your bot.
-      // Let's capture it if available, it might be useful for callManager.
-      const sipParticipantIdentity = req.body.participant?.identity || req.body.sip?.participant_identity;
-      const callerId = req.body.sip?.from_display_name || req.body.sip?.from; // Example of extracting caller ID
-
-      if (!roomName) {
-        logger.error('Webhook received but roomName is missing in payload.');
-        return res.status(400).json({ error: 'Room name is missing in webhook payload.' });
-      }
-
-      logger.info(`Processing inbound call for room: ${roomName}, SIP Participant: ${sipParticipantIdentity}, Caller: ${callerId}`);
-      
-      // Pass relevant information to callManager.
-      // callManager will be responsible for getting the bot into this room.
-      const callDetails = await callManager.handleInboundCall({
-        roomName,
-        sipParticipantIdentity, // Identity of the PSTN leg
-        callerId,              // Who is calling
-        webhookPayload: req.body // Pass the full payload if callManager needs more details
-      });
-      
-      res.json({
-        success: true,
-        callId: callDetails.callId,
-        roomName: callDetails.roomName,
-        botIdentity: callDetails.botIdentity // This should be the identity of YOUR bot
-      });
-
-    } else {
-      logger.warn(`Received unhandled LiveKit event type: ${event}`);
-      res.status(200).json({ message: 'Webhook received, but event not handled by this logic.' });
-    }
-
-  } catch (error) {
-    logger.error(`Error handling inbound SIP call webhook: ${error.message}`, error.stack);
+app.get('/api/status-callbacks/dead-letters', apiAuth.requireScope('calls:admin'), async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: 'limit must be between 1 and 1000' });
+    }
+    
+    res.json({ deadLetters: await statusCallbackNotifier.getDeadLetters(limit) });
+  } catch (error) {
+    logger.error(`Error reading status callback dead letters: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List the tools available to the LLM
+ * GET /api/tools
+ */
+app.get('/api/tools', apiAuth.requireScope('calls:read'), (req, res) => {
+  res.json(toolRegistry.list());
+});
+
+/**
+ * Create an outbound campaign and start dialing
+ * POST /api/campaigns
+ * 
+ * Request body:
+ * {
+ *   "name": "Appointment reminders",
+ *   "contacts": [
+ *     { "phoneNumber": "+12345678901", "initialContext": "Optional context", "timezone": "America/Chicago" }
+ *   ],
+ *   "settings": {                              // Optional, defaults shown
+ *     "maxConcurrentCalls": 2,
+ *     "maxAttempts": 3,
+ *     "retryBackoffSeconds": 300,               // Doubled after each attempt
+ *     "retryOutcomes": ["no_answer", "busy"],   // Also "failed" or "voicemail"
+ *     "timezone": "America/New_York",           // For contacts whose timezone can't be inferred
+ *     "callingHours": { "start": "09:00", "end": "20:00", "days": [1, 2, 3, 4, 5] }
+ *   },
+ *   "agentId": "appointment-reminder",        // Optional agent profile for every call
+ *   "startPaused": false
+ * }
+ */
+app.post('/api/campaigns', apiAuth.requireScope('calls:admin'), (req, res) => {
+  try {
+    const campaign = campaignManager.createCampaign({ ...req.body, requestedBy: req.client.id });
+    res.status(201).json(campaign);
+  } catch (error) {
+    logger.error(`Error creating campaign: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * List campaigns with their progress
+ * GET /api/campaigns
+ */
+app.get('/api/campaigns', apiAuth.requireScope('calls:read'), (req, res) => {
+  res.json(campaignManager.listCampaigns());
+});
+
+/**
+ * Get a campaign with its contacts
+ * GET /api/campaigns/:campaignId
+ */
+app.get('/api/campaigns/:campaignId', apiAuth.requireScope('calls:read'), (req, res) => {
+  const campaign = campaignManager.getCampaign(req.params.campaignId);
+  if (!campaign) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+  res.json(campaign);
+});
+
+/**
+ * Pause, resume or cancel a campaign
+ * POST /api/campaigns/:campaignId/pause
+ * POST /api/campaigns/:campaignId/resume
+ * POST /api/campaigns/:campaignId/cancel
+ */
+const campaignActions = {
+  pause: (campaignId) => campaignManager.pauseCampaign(campaignId),
+  resume: (campaignId) => campaignManager.resumeCampaign(campaignId),
+  cancel: (campaignId) => campaignManager.cancelCampaign(campaignId),
+};
+
+app.post('/api/campaigns/:campaignId/:action(pause|resume|cancel)', apiAuth.requireScope('calls:admin'), (req, res) => {
+  const { campaignId, action } = req.params;
+  try {
+    res.json(campaignActions[action](campaignId));
+  } catch (error) {
+    logger.error(`Error updating campaign ${campaignId}: ${error.message}`);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * List agent profiles
+ * GET /api/agents
+ */
+app.get('/api/agents', apiAuth.requireScope('calls:read'), (req, res) => {
+  res.json(agentRegistry.listAgents());
+});
+
+/**
+ * Create an agent profile
+ * POST /api/agents
+ * 
+ * Request body:
+ * {
+ *   "id": "front-desk",
+ *   "name": "Front desk",
+ *   "systemPrompt": "You are the receptionist at ...",
+ *   "greeting": "Thanks for calling, how can I help?",
+ *   "voice": { "provider": "openai", "voice": "nova" },      // Same fields as "tts" on outbound calls
+ *   "llm": { "model": "gpt-4o-mini", "temperature": 0.5 },   // Same fields as "llm" on outbound calls
+ *   "tools": ["end_call", "transfer_call"],                  // Optional, all tools if omitted
+ *   "maxDurationSeconds": 600,                                // Defaults to MAX_CALL_DURATION_SECONDS
+ *   "silence": { "timeoutSeconds": 8, "maxReprompts": 2, "reprompt": "Are you still there?", "goodbye": "Goodbye!" },
+ *   "endPhrases": ["goodbye"],
+ *   "inbound": { "numbers": ["+15551234567"], "roomPrefixes": ["frontdesk-"] }
+ * }
+ */
+app.post('/api/agents', apiAuth.requireScope('calls:admin'), (req, res) => {
+  try {
+    res.status(201).json(agentRegistry.createAgent(req.body));
+  } catch (error) {
+    logger.error(`Error creating agent: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * Get an agent profile
+ * GET /api/agents/:agentId
+ */
+app.get('/api/agents/:agentId', apiAuth.requireScope('calls:read'), (req, res) => {
+  const agent = agentRegistry.getAgent(req.params.agentId);
+  if (!agent) {
+    return res.status(404).json({ error: 'Agent not found' });
+  }
+  res.json(agent);
+});
+
+/**
+ * Replace an agent profile (same body as POST /api/agents; the id comes from the path)
+ * PUT /api/agents/:agentId
+ */
+app.put('/api/agents/:agentId', apiAuth.requireScope('calls:admin'), (req, res) => {
+  try {
+    res.json(agentRegistry.updateAgent(req.params.agentId, req.body));
+  } catch (error) {
+    logger.error(`Error updating agent ${req.params.agentId}: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete an agent profile (calls already using it are unaffected)
+ * DELETE /api/agents/:agentId
+ */
+app.delete('/api/agents/:agentId', apiAuth.requireScope('calls:admin'), (req, res) => {
+  try {
+    agentRegistry.deleteAgent(req.params.agentId);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error deleting agent ${req.params.agentId}: ${error.message}`);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the inbound routing rules and caller blocklist
+ * GET /api/routing
+ */
+app.get('/api/routing', apiAuth.requireScope('calls:read'), (req, res) => {
+  res.json(routingEngine.getConfig());
+});
+
+/**
+ * Replace the inbound routing rules and caller blocklist
+ * PUT /api/routing
+ * 
+ * Request body:
+ * {
+ *   "blocklist": ["+15550000000"],
+ *   "rules": [                                 // First match wins
+ *     {
+ *       "id": "after-hours",
+ *       "match": {                             // All optional; every condition given must hold
+ *         "calledNumbers": ["+15551234567"],
+ *         "callerPattern": "^\\+1415",        // Regular expression on the caller's number
+ *         "schedule": { "timezone": "America/New_York", "days": [1, 2, 3, 4, 5], "start": "09:00", "end": "17:00", "holidays": ["2026-12-25"] },
+ *         "when": "closed"                     // "open" (default) or "closed"
+ *       },
+ *       "action": { "type": "message", "text": "We're closed, please call back tomorrow." }
+ *                 // or { "type": "agent", "agentId": "..." }, { "type": "transfer", "target": "+1..." }, { "type": "reject" }
+ *     }
+ *   ]
+ * }
+ */
+app.put('/api/routing', apiAuth.requireScope('calls:admin'), (req, res) => {
+  try {
+    res.json(routingEngine.setConfig(req.body));
+  } catch (error) {
+    logger.error(`Error updating routing rules: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Add a routing rule after the existing ones (same fields as a rule in PUT /api/routing)
+ * POST /api/routing/rules
+ */
+app.post('/api/routing/rules', apiAuth.requireScope('calls:admin'), (req, res) => {
+  try {
+    res.status(201).json(routingEngine.addRule(req.body));
+  } catch (error) {
+    logger.error(`Error adding routing rule: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * Replace a routing rule, keeping its position
+ * PUT /api/routing/rules/:ruleId
+ */
+app.put('/api/routing/rules/:ruleId', apiAuth.requireScope('calls:admin'), (req, res) => {
+  try {
+    res.json(routingEngine.updateRule(req.params.ruleId, req.body));
+  } catch (error) {
+    logger.error(`Error updating routing rule ${req.params.ruleId}: ${error.message}`);
+    res.status(error.statusCode || 400).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a routing rule
+ * DELETE /api/routing/rules/:ruleId
+ */
+app.delete('/api/routing/rules/:ruleId', apiAuth.requireScope('calls:admin'), (req, res) => {
+  try {
+    routingEngine.deleteRule(req.params.ruleId);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error(`Error deleting routing rule ${req.params.ruleId}: ${error.message}`);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Block a caller
+ * POST /api/routing/blocklist
+ * 
+ * Request body:
+ * {
+ *   "phoneNumber": "+15550000000"
+ * }
+ */
+app.post('/api/routing/blocklist', apiAuth.requireScope('calls:admin'), (req, res) => {
+  try {
+    res.json({ blocklist: routingEngine.blockCaller(req.body.phoneNumber) });
+  } catch (error) {
+    logger.error(`Error blocking caller: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+/**
+ * Unblock a caller
+ * DELETE /api/routing/blocklist/:phoneNumber
+ */
+app.delete('/api/routing/blocklist/:phoneNumber', apiAuth.requireScope('calls:admin'), (req, res) => {
+  res.json({ blocklist: routingEngine.unblockCaller(req.params.phoneNumber) });
+});
+
+/**
+ * Show how an inbound call would be routed, without placing it
+ * POST /api/routing/test
+ * 
+ * Request body:
+ * {
+ *   "calledNumber": "+15551234567",
+ *   "callerId": "+14155550123",
+ *   "at": "2026-12-25T15:00:00Z"    // Optional, defaults to now
+ * }
+ */
+app.post('/api/routing/test', apiAuth.requireScope('calls:read'), (req, res) => {
+  const { calledNumber, callerId, at } = req.body;
+  const now = at ? new Date(at) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    return res.status(400).json({ error: 'at must be a valid date' });
+  }
+  res.json(routingEngine.route({ calledNumber, callerId }, now));
+});
+
+/**
+ * Receive LiveKit webhooks (signed with the API key/secret)
+ * POST /webhooks/livekit
+ * POST /webhooks/livekit/sip-call (original path, kept for existing webhook configs)
+ * 
+ * Handles room_started, room_finished, participant_joined and participant_left.
+ * Inbound calls start when a SIP participant joins a room without a call.
+ */
+app.post(['/webhooks/livekit', '/webhooks/livekit/sip-call'], async (req, res) => {
+  if (!req.rawBody) {
+    return res.status(400).json({ error: 'Webhook body is missing' });
+  }
+
+  try {
+    const result = await webhookDispatcher.handle(req.rawBody, req.get('Authorization'));
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      logger.warn(`Rejected LiveKit webhook: ${error.message}`);
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+    logger.error(`Error handling LiveKit webhook: ${error.message}`, error.stack);
     res.status(500).json({ error: 'Error processing webhook: ' + error.message });
   }
 });
 
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
   logger.info(`LiveKit URL: ${process.env.LIVEKIT_URL}`);
 });
+callMonitor.attach(server);
 
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./utils/logger');
+const callManager = require('./callManager');
+
+const CALLBACK_SECRET = process.env.STATUS_CALLBACK_SECRET || null;
+const MAX_ATTEMPTS = parseInt(process.env.STATUS_CALLBACK_MAX_ATTEMPTS || '6', 10);
+const RETRY_BASE_MS = parseInt(process.env.STATUS_CALLBACK_RETRY_BASE_MS || '1000', 10); // Doubles after each failure
+const TIMEOUT_MS = parseInt(process.env.STATUS_CALLBACK_TIMEOUT_MS || '5000', 10);
+const DEAD_LETTER_PATH = process.env.STATUS_CALLBACK_DEAD_LETTER_PATH || 'data/status-callback-dead-letters.jsonl';
+// Client errors won't go away on a retry, except these
+const RETRYABLE_CLIENT_STATUSES = [408, 409, 425, 429];
+
+/**
+ * Posts call lifecycle events to the statusCallbackUrl of calls that have one:
+ * call.initiated, call.answered, call.transcript.final, call.tool_invoked,
+ * call.transferred and call.ended (with the full transcript).
+ *
+ * Each request body is { id, event, timestamp, callId, data }. X-Signature is
+ * "sha256=" and the hex HMAC-SHA256, keyed with STATUS_CALLBACK_SECRET, of
+ * "<X-Signature-Timestamp>.<body>". Events for a call are delivered one at a
+ * time and in order; failures are retried with exponential backoff, and events
+ * that never get through are appended to a dead-letter log.
+ */
+class StatusCallbackNotifier {
+  constructor() {
+    this.deadLetterPath = path.resolve(process.cwd(), DEAD_LETTER_PATH);
+    this.deliveries = new Map(); // Tail of each call's delivery chain, by callId
+    this.warnedUnsigned = false;
+
+    callManager.on('statusChanged', (change) => this.handleStatusChanged(change));
+    callManager.on('transcript', ({ callId, entry }) => this.notify(callId, 'call.transcript.final', entry));
+    callManager.on('toolInvoked', ({ callId, ...invocation }) => this.notify(callId, 'call.tool_invoked', invocation));
+    callManager.on('callEnded', (details) => {
+      this.handleCallEnded(details).catch((error) => {
+        logger.error(`[${details.id}] Error sending call.ended status callback: ${error.message}`);
+      });
+    });
+  }
+
+  /**
+   * Whether events can be signed, and so sent at all
+   * @returns {boolean} - True if STATUS_CALLBACK_SECRET is set
+   */
+  isConfigured() {
+    return Boolean(CALLBACK_SECRET);
+  }
+
+  handleStatusChanged({ callId, status, previousStatus }) {
+    const call = callManager.getCallDetails(callId);
+    if (!call) {
+      return;
+    }
+    if (previousStatus === null) {
+      this.notify(callId, 'call.initiated', call);
+    } else if (status === 'answered' || (status === 'active' && call.type === 'inbound' && previousStatus === 'bot_joining')) {
+      this.notify(callId, 'call.answered', call);
+    } else if (status === 'transferred') {
+      this.notify(callId, 'call.transferred', call);
+    }
+  }
+
+  async handleCallEnded(details) {
+    if (!details.statusCallbackUrl) {
+      return;
+    }
+    const transcript = await callManager.getTranscript(details.id);
+    this.enqueue(details.id, details.statusCallbackUrl, 'call.ended', { ...details, transcript: transcript || [] });
+  }
+
+  /**
+   * Send an event to a call's status callback URL, if it has one
+   * @param {string} callId - Call identifier
+   * @param {string} event - Event name, e.g. 'call.answered'
+   * @param {Object} data - Event data
+   */
+  notify(callId, event, data) {
+    const call = callManager.getCallDetails(callId);
+    if (call && call.statusCallbackUrl) {
+      this.enqueue(callId, call.statusCallbackUrl, event, data);
+    }
+  }
+
+  /**
+   * Queue an event behind the call's earlier ones
+   * @param {string} callId - Call identifier
+   * @param {string} url - Status callback URL
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  enqueue(callId, url, event, data) {
+    if (!CALLBACK_SECRET) {
+      if (!this.warnedUnsigned) {
+        logger.warn('STATUS_CALLBACK_SECRET is not set, so status callbacks are not being sent');
+        this.warnedUnsigned = true;
+      }
+      return;
+    }
+
+    const payload = { id: uuidv4(), event, timestamp: new Date().toISOString(), callId, data };
+    const delivery = (this.deliveries.get(callId) || Promise.resolve()).then(() => this.deliver(url, payload));
+    this.deliveries.set(callId, delivery);
+    delivery.then(() => {
+      if (this.deliveries.get(callId) === delivery) {
+        this.deliveries.delete(callId);
+      }
+    });
+  }
+
+  /**
+   * POST an event, retrying with exponential backoff, and dead-letter it if it never succeeds
+   * @param {string} url - Status callback URL
+   * @param {Object} payload - Event
+   * @returns {Promise<boolean>} - True once delivered
+   */
+  async deliver(url, payload) {
+    const body = JSON.stringify(payload);
+    let lastError;
+    let attempts = 0;
+
+    while (attempts < MAX_ATTEMPTS) {
+      attempts += 1;
+      let retryable = true;
+      try {
+        const response = await fetch(url, { method: 'POST', headers: this.signedHeaders(body), body, timeout: TIMEOUT_MS });
+        if (response.ok) {
+          return true;
+        }
+        lastError = `HTTP ${response.status}`;
+        retryable = response.status >= 500 || RETRYABLE_CLIENT_STATUSES.includes(response.status);
+      } catch (error) {
+        lastError = error.message;
+      }
+      if (!retryable || attempts === MAX_ATTEMPTS) {
+        break;
+      }
+
+      const delayMs = RETRY_BASE_MS * 2 ** (attempts - 1);
+      logger.warn(`[${payload.callId}] Status callback ${payload.event} failed (${lastError}), retrying in ${delayMs}ms`);
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+
+    logger.error(`[${payload.callId}] Giving up on status callback ${payload.event} after ${attempts} attempt(s): ${lastError}`);
+    await this.deadLetter({ url, payload, error: lastError, attempts, failedAt: new Date().toISOString() });
+    return false;
+  }
+
+  /**
+   * Headers for a signed event request
+   * @param {string} body - Request body
+   * @returns {Object} - HTTP headers
+   */
+  signedHeaders(body) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', CALLBACK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+    return {
+      'Content-Type': 'application/json',
+      'X-Signature': `sha256=${signature}`,
+      'X-Signature-Timestamp': timestamp,
+    };
+  }
+
+  async deadLetter(entry) {
+    try {
+      await fs.promises.mkdir(path.dirname(this.deadLetterPath), { recursive: true });
+      await fs.promises.appendFile(this.deadLetterPath, `${JSON.stringify(entry)}\n`);
+    } catch (error) {
+      logger.error(`Error writing status callback dead letter: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read the most recent dead-lettered events
+   * @param {number} limit - Most entries to return
+   * @returns {Promise<Array<Object>>} - Entries, newest first
+   */
+  async getDeadLetters(limit = 100) {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.deadLetterPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    return contents.split('\n').filter(Boolean).slice(-limit).reverse().map((line) => JSON.parse(line));
+  }
+}
+
+module.exports = new StatusCallbackNotifier();
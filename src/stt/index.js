@@ -0,0 +1,58 @@
+const logger = require('../utils/logger');
+
+/**
+ * Speech-to-text providers. Each provider is a singleton implementing:
+ *
+ *   startSTTSession(callId, transcriptionCallback, { onSpeechStarted, onUtteranceEnd })
+ *   sendAudioForTranscription(callId, audioData) -> boolean
+ *   endSTTSession(callId)
+ *
+ * Audio is 16 kHz mono linear16. transcriptionCallback receives
+ * { callId, transcript, isFinal, speechFinal, confidence, words, start, duration }, with
+ * start, duration and word timings in seconds since the session started.
+ * speechFinal marks a final after which the speaker paused; onUtteranceEnd, if
+ * the provider supports it, reports the end of an utterance separately.
+ *
+ * Providers are required lazily so unused ones need no credentials or native modules.
+ */
+const PROVIDERS = {
+  deepgram: () => require('../deepgramHandler'),
+  vosk: () => require('./voskProvider'),
+};
+
+const configuredProvider = (process.env.STT_PROVIDER || 'deepgram').toLowerCase();
+if (!PROVIDERS[configuredProvider]) {
+  logger.warn(`Unknown STT_PROVIDER "${configuredProvider}", using deepgram`);
+}
+const DEFAULT_PROVIDER = PROVIDERS[configuredProvider] ? configuredProvider : 'deepgram';
+const FALLBACK_PROVIDER = process.env.STT_FALLBACK_PROVIDER ? process.env.STT_FALLBACK_PROVIDER.toLowerCase() : null;
+
+/**
+ * Check whether a provider name is known
+ * @param {string} name - Provider name
+ * @returns {boolean} - True if supported
+ */
+function isSTTProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+/**
+ * Get an STT provider by name
+ * @param {string} name - Provider name (STT_PROVIDER if omitted)
+ * @returns {Object} - Provider instance
+ */
+function getSTTProvider(name = DEFAULT_PROVIDER) {
+  if (!isSTTProvider(name)) {
+    logger.warn(`Unknown STT provider "${name}", falling back to ${DEFAULT_PROVIDER}`);
+    return PROVIDERS[DEFAULT_PROVIDER]();
+  }
+  return PROVIDERS[name]();
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  DEFAULT_PROVIDER,
+  FALLBACK_PROVIDER,
+  isSTTProvider,
+  getSTTProvider,
+};
@@ -0,0 +1,111 @@
+/**
+ * Groups a caller's final transcript fragments into turns. STT providers
+ * finalize text at every short pause, so a caller who hesitates mid-sentence
+ * produces several finals; replying to each would give overlapping,
+ * out-of-order answers.
+ *
+ * A turn ends when the provider signals the end of speech (a final marked
+ * speechFinal, or an utterance end) and the caller then stays quiet for
+ * silenceMs. Finals without any end-of-speech signal are flushed after
+ * maxWaitMs. New speech while waiting keeps the turn open.
+ */
+class TurnDetector {
+  /**
+   * @param {Object} options - { silenceMs, maxWaitMs, onTurn }; onTurn receives the merged transcription result
+   */
+  constructor({ silenceMs, maxWaitMs, onTurn }) {
+    this.silenceMs = silenceMs;
+    this.maxWaitMs = maxWaitMs;
+    this.onTurn = onTurn;
+    this.fragments = [];
+    this.timer = null;
+  }
+
+  /**
+   * Add a final transcript fragment to the current turn
+   * @param {Object} result - Transcription result with isFinal set (and speechFinal if the speaker paused)
+   */
+  addFinal(result) {
+    this.fragments.push(result);
+    this.schedule(result.speechFinal ? this.silenceMs : this.maxWaitMs);
+  }
+
+  /**
+   * Put text from a reply that was cancelled back at the start of the current turn
+   * @param {string} transcript - Text the cancelled reply was answering
+   */
+  prepend(transcript) {
+    this.fragments.unshift({ transcript, isFinal: true });
+  }
+
+  /**
+   * The caller is still talking (interim results or VAD): hold the turn open
+   */
+  noteSpeech() {
+    if (this.fragments.length > 0) {
+      this.schedule(this.maxWaitMs);
+    }
+  }
+
+  /**
+   * The provider detected the end of the utterance
+   */
+  utteranceEnd() {
+    if (this.fragments.length > 0) {
+      this.schedule(this.silenceMs);
+    }
+  }
+
+  schedule(delayMs) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), delayMs);
+  }
+
+  /**
+   * End the current turn now, emitting the merged fragments
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.fragments.length === 0) {
+      return;
+    }
+
+    const fragments = this.fragments;
+    this.fragments = [];
+    this.onTurn(mergeFragments(fragments));
+  }
+
+  /**
+   * Drop the current turn without emitting it
+   */
+  reset() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.fragments = [];
+  }
+}
+
+/**
+ * Merge final fragments into one transcription result
+ * @param {Array<Object>} fragments - Transcription results, oldest first
+ * @returns {Object} - { transcript, isFinal, confidence, words, start, duration }
+ */
+function mergeFragments(fragments) {
+  const timed = fragments.filter((fragment) => fragment.start !== undefined);
+  const confidences = fragments.map((fragment) => fragment.confidence).filter((confidence) => confidence !== undefined);
+  const first = timed[0];
+  const last = timed[timed.length - 1];
+
+  return {
+    callId: fragments[fragments.length - 1].callId,
+    transcript: fragments.map((fragment) => fragment.transcript).join(' '),
+    isFinal: true,
+    confidence: confidences.length ? confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length : undefined,
+    words: fragments.flatMap((fragment) => fragment.words || []),
+    start: first ? first.start : undefined,
+    duration: first ? last.start + (last.duration || 0) - first.start : undefined,
+  };
+}
+
+module.exports = TurnDetector;
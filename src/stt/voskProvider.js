@@ -0,0 +1,158 @@
+const logger = require('../utils/logger');
+const { SAMPLE_RATE } = require('../utils/audio');
+
+/**
+ * Offline speech-to-text using Vosk. Needs the optional `vosk` package and a
+ * model directory (VOSK_MODEL_PATH), e.g. vosk-model-small-en-us-0.15 from
+ * https://alphacephei.com/vosk/models. The model is loaded on first use and
+ * shared by all calls.
+ *
+ * Emits the same transcription results as the Deepgram provider: partial
+ * hypotheses as interim results and one final result per utterance, with word
+ * timings in seconds since the start of the session.
+ */
+class VoskSTTProvider {
+  constructor() {
+    this.name = 'vosk';
+    this.modelPath = process.env.VOSK_MODEL_PATH;
+    this.vosk = null;
+    this.model = null;
+    this.sessions = new Map(); // Recognizer state by callId
+  }
+
+  loadModel() {
+    if (this.model) {
+      return this.model;
+    }
+    if (!this.modelPath) {
+      throw new Error('VOSK_MODEL_PATH environment variable is not set');
+    }
+
+    // Required lazily so the optional native dependency is only needed when this provider is used
+    this.vosk = require('vosk');
+    this.vosk.setLogLevel(-1);
+    logger.info(`Loading Vosk model from ${this.modelPath}`);
+    this.model = new this.vosk.Model(this.modelPath);
+    return this.model;
+  }
+
+  /**
+   * Start a real-time STT session
+   * @param {string} callId - Unique identifier for the call
+   * @param {Function} transcriptionCallback - Callback to receive transcription results
+   * @param {Object} options - Session options
+   * @param {Function} options.onSpeechStarted - Called when a new utterance is first recognised
+   * @returns {Object} - Session state
+   */
+  startSTTSession(callId, transcriptionCallback, options = {}) {
+    logger.info(`Starting Vosk STT session for call: ${callId}`);
+
+    const model = this.loadModel();
+    const recognizer = new this.vosk.Recognizer({ model, sampleRate: SAMPLE_RATE });
+    recognizer.setWords(true);
+
+    const session = {
+      recognizer,
+      transcriptionCallback,
+      options,
+      queue: Promise.resolve(), // Recognizer calls must not overlap
+      lastPartial: '',
+      closed: false,
+    };
+    this.sessions.set(callId, session);
+    return session;
+  }
+
+  /**
+   * Feed audio to the recognizer
+   * @param {string} callId - Call identifier
+   * @param {Buffer} audioData - 16 kHz mono linear16 audio
+   * @returns {boolean} - Success indicator
+   */
+  sendAudioForTranscription(callId, audioData) {
+    const session = this.sessions.get(callId);
+    if (!session) {
+      logger.error(`No active Vosk session found for call: ${callId}`);
+      return false;
+    }
+
+    session.queue = session.queue
+      .then(async () => {
+        if (session.closed) {
+          return;
+        }
+        const endOfUtterance = await session.recognizer.acceptWaveformAsync(audioData);
+        if (session.closed) {
+          return;
+        }
+        if (endOfUtterance) {
+          this.emitFinal(callId, session, session.recognizer.result());
+        } else {
+          this.emitPartial(callId, session, session.recognizer.partialResult());
+        }
+      })
+      .catch((error) => {
+        logger.error(`Vosk STT error for call ${callId}: ${error.message}`);
+      });
+    return true;
+  }
+
+  emitPartial(callId, session, result) {
+    const transcript = (result.partial || '').trim();
+    if (!transcript || transcript === session.lastPartial) {
+      return;
+    }
+
+    if (!session.lastPartial && typeof session.options.onSpeechStarted === 'function') {
+      session.options.onSpeechStarted({ callId });
+    }
+    session.lastPartial = transcript;
+    session.transcriptionCallback({ callId, transcript, isFinal: false });
+  }
+
+  emitFinal(callId, session, result) {
+    session.lastPartial = '';
+    const transcript = (result.text || '').trim();
+    if (!transcript) {
+      return;
+    }
+
+    const words = (result.result || []).map((word) => ({
+      word: word.word,
+      start: word.start,
+      end: word.end,
+      confidence: word.conf,
+    }));
+    const start = words.length ? words[0].start : undefined;
+
+    session.transcriptionCallback({
+      callId,
+      transcript,
+      isFinal: true,
+      speechFinal: true, // Vosk only finalizes after a pause
+      confidence: words.length ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length : undefined,
+      words,
+      start,
+      duration: words.length ? words[words.length - 1].end - start : undefined,
+    });
+  }
+
+  /**
+   * End the STT session for a call
+   * @param {string} callId - Call identifier
+   */
+  endSTTSession(callId) {
+    const session = this.sessions.get(callId);
+    if (!session) {
+      return;
+    }
+
+    logger.info(`Closing Vosk STT session for call: ${callId}`);
+    this.sessions.delete(callId);
+    session.closed = true;
+    // Free the recognizer once any in-flight audio has been processed
+    session.queue = session.queue.then(() => session.recognizer.free());
+  }
+}
+
+module.exports = new VoskSTTProvider();
@@ -0,0 +1,85 @@
+const logger = require('../utils/logger');
+const { isDtmfSequence } = require('../utils/dtmf');
+
+/**
+ * Register the tools every phone agent gets out of the box. Call-control
+ * actions are deferred until the bot has finished speaking its current reply,
+ * so the caller hears the goodbye or hand-off message first.
+ * @param {ToolRegistry} registry - Tool registry to add to
+ * @param {CallManager} callManager - Call manager the tools act on
+ */
+function registerBuiltinTools(registry, callManager) {
+  registry.register({
+    name: 'end_call',
+    description: 'Hang up the phone call. Use this once the conversation is finished and you have said goodbye.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Short reason for ending the call' },
+      },
+    },
+    handler: async (args, { callId }) => {
+      logger.info(`[${callId}] LLM requested end of call: ${args.reason || 'no reason given'}`);
+      callManager.runAfterTurn(callId, () => callManager.hangUp(callId));
+      return { status: 'ending' };
+    },
+  });
+
+  registry.register({
+    name: 'transfer_call',
+    description: 'Transfer the caller to a human agent. Tell the caller you are transferring them before using this.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Why the caller needs a human agent' },
+      },
+    },
+    handler: async (args, { callId }) => {
+      logger.info(`[${callId}] LLM requested transfer: ${args.reason || 'no reason given'}`);
+      if (!callManager.getTransferTarget(callId)) {
+        return { error: 'No transfer destination is configured for this call' };
+      }
+      callManager.runAfterTurn(callId, () => callManager.transferCall(callId, { reason: args.reason }));
+      return { status: 'transferring' };
+    },
+  });
+
+  registry.register({
+    name: 'collect_digits',
+    description: 'Ask the caller to type a number on their keypad, such as an account number or PIN. '
+      + 'Use this as you ask for the number; what they type arrives as their next message.',
+    parameters: {
+      type: 'object',
+      properties: {
+        maxDigits: { type: 'integer', description: 'Stop after this many digits' },
+        terminator: { type: 'string', description: 'Key that ends the entry (default "#")' },
+        timeoutSeconds: { type: 'number', description: 'How long to wait for each key' },
+      },
+    },
+    handler: async (args, { callId }) => {
+      const collection = callManager.collectDigits(callId, args);
+      return { status: 'collecting', maxDigits: collection.maxDigits, terminator: collection.terminator };
+    },
+  });
+
+  registry.register({
+    name: 'send_dtmf',
+    description: 'Press keys on the phone keypad, e.g. to choose an option in an automated phone menu.',
+    parameters: {
+      type: 'object',
+      properties: {
+        digits: { type: 'string', description: 'Keys to press: 0-9, *, #; "w" waits half a second' },
+      },
+      required: ['digits'],
+    },
+    handler: async (args, { callId }) => {
+      if (!isDtmfSequence(args.digits)) {
+        throw new Error('digits may only contain 0-9, *, #, A-D and w');
+      }
+      callManager.runAfterTurn(callId, () => callManager.sendDtmf(callId, args.digits));
+      return { status: 'sending', digits: args.digits };
+    },
+  });
+}
+
+module.exports = registerBuiltinTools;
@@ -0,0 +1,154 @@
+const EventEmitter = require('events');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Registry of functions the LLM can call during a conversation.
+ *
+ * A tool is registered as:
+ * {
+ *   name: 'lookup_order',
+ *   description: 'Look up the status of an order',
+ *   parameters: { type: 'object', properties: { orderId: { type: 'string' } }, required: ['orderId'] },
+ *   handler: async (args, context) => ({ status: 'shipped' }) // context: { callId }
+ * }
+ *
+ * Emits 'toolInvoked' with { callId, name, arguments, result, error, durationMs } after each call.
+ */
+class ToolRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.tools = new Map(); // Tool definitions by name
+    this.timeoutMs = parseInt(process.env.TOOL_TIMEOUT_MS || '10000', 10);
+  }
+
+  /**
+   * Register (or replace) a tool
+   * @param {Object} tool - { name, description, parameters, handler }
+   */
+  register(tool) {
+    if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+      throw new Error(`Invalid tool name: ${tool && tool.name}`);
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool ${tool.name} must have a handler function`);
+    }
+
+    this.tools.set(tool.name, {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.parameters || { type: 'object', properties: {} },
+      handler: tool.handler,
+    });
+    logger.info(`Registered LLM tool: ${tool.name}`);
+  }
+
+  /**
+   * Remove a tool
+   * @param {string} name - Tool name
+   * @returns {boolean} - True if the tool existed
+   */
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  /**
+   * Load custom tools from a module exporting an array of tools or a function(registry)
+   * @param {string} modulePath - Path to the module, relative to the working directory
+   */
+  loadFromModule(modulePath) {
+    const resolved = path.resolve(process.cwd(), modulePath);
+    const exported = require(resolved);
+
+    if (typeof exported === 'function') {
+      exported(this);
+    } else if (Array.isArray(exported)) {
+      exported.forEach((tool) => this.register(tool));
+    } else {
+      throw new Error(`Tool module ${modulePath} must export an array of tools or a function`);
+    }
+    logger.info(`Loaded custom LLM tools from ${resolved}`);
+  }
+
+  /**
+   * List registered tools without their handlers
+   * @returns {Array<Object>} - { name, description, parameters }
+   */
+  list() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  /**
+   * Build the OpenAI `tools` request parameter
+   * @param {Array<string>} allowedNames - Restrict to these tools (all tools if omitted)
+   * @returns {Array<Object>} - Tool definitions in chat completion format
+   */
+  getDefinitions(allowedNames) {
+    return this.list()
+      .filter((tool) => !allowedNames || allowedNames.includes(tool.name))
+      .map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters },
+      }));
+  }
+
+  /**
+   * Run a tool call requested by the LLM. Errors are returned, not thrown,
+   * so they can be fed back to the model.
+   * @param {string} name - Tool name
+   * @param {string|Object} rawArguments - JSON arguments from the model
+   * @param {Object} context - Invocation context ({ callId })
+   * @param {Array<string>} allowedNames - Tools the conversation was offered (all tools if omitted)
+   * @returns {Promise<Object>} - Tool result, or { error } on failure
+   */
+  async invoke(name, rawArguments, context = {}, allowedNames) {
+    const startedAt = Date.now();
+    const tool = this.tools.get(name);
+    let args = {};
+    let result;
+    let error;
+
+    try {
+      if (!tool) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+      // The model can name a tool it was never offered, e.g. one it saw in a prompt injection
+      if (allowedNames && !allowedNames.includes(name)) {
+        throw new Error(`Tool ${name} is not available on this call`);
+      }
+      args = typeof rawArguments === 'string' && rawArguments ? JSON.parse(rawArguments) : (rawArguments || {});
+
+      logger.info(`[${context.callId}] Invoking tool ${name} with ${JSON.stringify(args)}`);
+      result = await this.withTimeout(Promise.resolve(tool.handler(args, context)), name);
+      if (result === undefined) {
+        result = { success: true };
+      }
+    } catch (invokeError) {
+      error = invokeError.message;
+      logger.error(`[${context.callId}] Tool ${name} failed: ${error}`);
+    }
+
+    this.emit('toolInvoked', {
+      callId: context.callId,
+      name,
+      arguments: args,
+      result,
+      error,
+      durationMs: Date.now() - startedAt,
+    });
+
+    return error ? { error } : result;
+  }
+
+  withTimeout(promise, name) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Tool ${name} timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+}
+
+module.exports = new ToolRegistry();
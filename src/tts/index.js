@@ -0,0 +1,126 @@
+const logger = require('../utils/logger');
+const { SAMPLE_RATE } = require('../utils/audio');
+const { settingsForNumber } = require('../utils/numberSettings');
+const TTSCache = require('./ttsCache');
+
+/**
+ * Text-to-speech providers. Each provider is a singleton implementing:
+ *
+ *   synthesize(text, { voice, speed, sampleRate }) -> Promise<Buffer>
+ *
+ * returning mono linear16 audio at the requested sample rate, and exposing
+ * `name` and `defaultVoice`. Providers are required lazily so unused ones need
+ * no credentials or local binaries.
+ */
+const PROVIDERS = {
+  deepgram: () => require('../deepgramHandler'),
+  openai: () => require('./openaiProvider'),
+  local: () => require('./localProvider'),
+};
+
+// Rates the bot's LiveKit audio track can be published at
+const SAMPLE_RATES = [8000, 16000, 24000, 48000];
+
+const DEFAULT_TTS_SETTINGS = {
+  provider: (process.env.TTS_PROVIDER || 'deepgram').toLowerCase(),
+  voice: process.env.TTS_VOICE || null, // null means the provider's default voice
+  speed: parseFloat(process.env.TTS_SPEED || '1'),
+  sampleRate: parseInt(process.env.TTS_SAMPLE_RATE || String(SAMPLE_RATE), 10),
+};
+
+let cache;
+
+function getCache() {
+  if (cache === undefined) {
+    cache = process.env.TTS_CACHE === 'false' ? null : new TTSCache({
+      directory: process.env.TTS_CACHE_DIR || 'data/tts-cache',
+      maxChars: parseInt(process.env.TTS_CACHE_MAX_CHARS || '200', 10),
+      maxBytes: parseInt(process.env.TTS_CACHE_MAX_MB || '200', 10) * 1024 * 1024,
+    });
+  }
+  return cache;
+}
+
+/**
+ * Check whether a provider name is known
+ * @param {string} name - Provider name
+ * @returns {boolean} - True if supported
+ */
+function isTTSProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+/**
+ * Merge per-call voice settings over the configured defaults
+ * @param {Object} overrides - { provider, voice, speed, sampleRate } (all optional)
+ * @returns {Object} - Complete, validated TTS settings
+ */
+function resolveTTSSettings(overrides = {}) {
+  const provider = overrides.provider || DEFAULT_TTS_SETTINGS.provider;
+  const settings = {
+    provider,
+    // A voice configured for one provider means nothing to another
+    voice: overrides.voice || (provider === DEFAULT_TTS_SETTINGS.provider ? DEFAULT_TTS_SETTINGS.voice : null),
+    speed: overrides.speed !== undefined ? Number(overrides.speed) : DEFAULT_TTS_SETTINGS.speed,
+    sampleRate: overrides.sampleRate !== undefined ? Number(overrides.sampleRate) : DEFAULT_TTS_SETTINGS.sampleRate,
+  };
+
+  if (!isTTSProvider(settings.provider)) {
+    throw new Error(`TTS provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (!(settings.speed >= 0.25 && settings.speed <= 4)) {
+    throw new Error('TTS speed must be between 0.25 and 4');
+  }
+  if (!SAMPLE_RATES.includes(settings.sampleRate)) {
+    throw new Error(`TTS sample rate must be one of: ${SAMPLE_RATES.join(', ')}`);
+  }
+  return settings;
+}
+
+/**
+ * Voice settings for calls to one of our numbers, from TTS_INBOUND_VOICES, e.g.
+ * {"+15551234567": {"provider": "openai", "voice": "nova"}}
+ * @param {string} calledNumber - Number the caller dialed
+ * @returns {Object} - TTS setting overrides (empty if none are configured)
+ */
+function inboundTTSSettings(calledNumber) {
+  return settingsForNumber('TTS_INBOUND_VOICES', calledNumber);
+}
+
+/**
+ * Convert text to speech, serving short repeated phrases from the on-disk cache
+ * @param {string} text - Text to speak
+ * @param {Object} settings - Resolved TTS settings for the call
+ * @returns {Promise<Buffer>} - Mono linear16 audio at settings.sampleRate
+ */
+async function synthesizeSpeech(text, settings = resolveTTSSettings()) {
+  const provider = PROVIDERS[settings.provider]();
+  const voice = settings.voice || provider.defaultVoice;
+  const ttsCache = getCache();
+  const cacheKey = ttsCache ? ttsCache.key(text, { ...settings, voice }) : null;
+
+  if (cacheKey) {
+    const cached = await ttsCache.get(cacheKey);
+    if (cached) {
+      logger.info(`TTS cache hit: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+      return cached;
+    }
+  }
+
+  logger.info(`Converting text to speech with ${provider.name}: "${text.substring(0, 50)}${text.length > 50 ? '...' : ''}"`);
+  const audio = await provider.synthesize(text, { voice, speed: settings.speed, sampleRate: settings.sampleRate });
+
+  if (cacheKey) {
+    ttsCache.set(cacheKey, audio);
+  }
+  return audio;
+}
+
+module.exports = {
+  PROVIDER_NAMES: Object.keys(PROVIDERS),
+  SAMPLE_RATES,
+  isTTSProvider,
+  resolveTTSSettings,
+  inboundTTSSettings,
+  synthesizeSpeech,
+};
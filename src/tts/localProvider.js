@@ -0,0 +1,132 @@
+const fs = require('fs');
+const { spawn } = require('child_process');
+const logger = require('../utils/logger');
+const { SAMPLE_RATE, resampleLinear16 } = require('../utils/audio');
+
+const ESPEAK_WORDS_PER_MINUTE = 175; // espeak-ng's default rate
+const SYNTHESIS_TIMEOUT_MS = 15000;
+
+/**
+ * Run a command with text on stdin and collect its stdout
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @param {string} input - Text written to stdin
+ * @returns {Promise<Buffer>} - Everything written to stdout
+ */
+function runWithInput(command, args, input) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const stdout = [];
+    const stderr = [];
+    const timer = setTimeout(() => child.kill(), SYNTHESIS_TIMEOUT_MS);
+
+    child.stdout.on('data', (chunk) => stdout.push(chunk));
+    child.stderr.on('data', (chunk) => stderr.push(chunk));
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(new Error(`Could not run ${command}: ${error.message}`));
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code !== 0) {
+        reject(new Error(`${command} exited with code ${code}: ${Buffer.concat(stderr).toString().trim()}`));
+        return;
+      }
+      resolve(Buffer.concat(stdout));
+    });
+
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Extract the sample rate and PCM data from a 16-bit mono WAV file
+ * @param {Buffer} wav - WAV file contents
+ * @returns {Object} - { sampleRate, data }
+ */
+function parseWav(wav) {
+  if (wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Expected WAV output');
+  }
+
+  let sampleRate = null;
+  let offset = 12;
+  while (offset + 8 <= wav.length) {
+    const chunkId = wav.toString('ascii', offset, offset + 4);
+    const chunkSize = wav.readUInt32LE(offset + 4);
+    if (chunkId === 'fmt ') {
+      sampleRate = wav.readUInt32LE(offset + 12);
+    } else if (chunkId === 'data') {
+      // Streamed WAVs carry a placeholder size, so take everything that follows
+      return { sampleRate, data: wav.subarray(offset + 8) };
+    }
+    offset += 8 + chunkSize;
+  }
+  throw new Error('WAV output has no data chunk');
+}
+
+/**
+ * Offline text-to-speech. Uses Piper when PIPER_MODEL_PATH is set (better
+ * quality), otherwise espeak-ng. Both must be installed on the host.
+ */
+class LocalTTSProvider {
+  constructor() {
+    this.name = 'local';
+    this.piperPath = process.env.PIPER_PATH || 'piper';
+    this.piperModelPath = process.env.PIPER_MODEL_PATH;
+    this.espeakPath = process.env.ESPEAK_PATH || 'espeak-ng';
+    this.defaultVoice = this.piperModelPath ? null : 'en-us';
+    this.piperSampleRate = null;
+  }
+
+  /**
+   * Generate speech from text
+   * @param {string} text - Text to convert to speech
+   * @param {Object} options - TTS options
+   * @param {string} options.voice - espeak-ng voice, or Piper speaker id for multi-speaker models
+   * @param {number} options.speed - Speaking rate multiplier
+   * @param {number} options.sampleRate - Output sample rate
+   * @returns {Promise<Buffer>} - Mono linear16 audio at options.sampleRate
+   */
+  async synthesize(text, options = {}) {
+    const { sampleRate, data } = this.piperModelPath
+      ? await this.synthesizeWithPiper(text, options)
+      : await this.synthesizeWithEspeak(text, options);
+    return resampleLinear16(data, sampleRate, options.sampleRate || SAMPLE_RATE);
+  }
+
+  async synthesizeWithPiper(text, options) {
+    const args = ['--model', this.piperModelPath, '--output-raw', '--length_scale', String(1 / (options.speed || 1))];
+    if (options.voice) {
+      args.push('--speaker', String(options.voice));
+    }
+    const data = await runWithInput(this.piperPath, args, text);
+    return { sampleRate: this.getPiperSampleRate(), data };
+  }
+
+  getPiperSampleRate() {
+    if (!this.piperSampleRate) {
+      // Piper models ship with a <model>.json config describing their output
+      try {
+        const config = JSON.parse(fs.readFileSync(`${this.piperModelPath}.json`, 'utf8'));
+        this.piperSampleRate = config.audio.sample_rate;
+      } catch (error) {
+        logger.warn(`Could not read Piper model config, assuming 22050 Hz: ${error.message}`);
+        this.piperSampleRate = 22050;
+      }
+    }
+    return this.piperSampleRate;
+  }
+
+  async synthesizeWithEspeak(text, options) {
+    const args = [
+      '--stdin',
+      '--stdout',
+      '-v', options.voice || this.defaultVoice,
+      '-s', String(Math.round(ESPEAK_WORDS_PER_MINUTE * (options.speed || 1))),
+    ];
+    return parseWav(await runWithInput(this.espeakPath, args, text));
+  }
+}
+
+module.exports = new LocalTTSProvider();
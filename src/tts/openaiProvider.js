@@ -0,0 +1,45 @@
+const { OpenAI } = require('openai');
+const { SAMPLE_RATE, resampleLinear16 } = require('../utils/audio');
+
+// OpenAI's raw PCM output is always 24 kHz mono linear16
+const OPENAI_PCM_SAMPLE_RATE = 24000;
+
+/**
+ * Text-to-speech using the OpenAI speech API
+ */
+class OpenAITTSProvider {
+  constructor() {
+    this.name = 'openai';
+    this.defaultVoice = 'alloy';
+    this.model = process.env.OPENAI_TTS_MODEL || 'tts-1';
+    this.client = null; // Created on first use, so the key is only needed when this provider is
+  }
+
+  /**
+   * Generate speech from text
+   * @param {string} text - Text to convert to speech
+   * @param {Object} options - TTS options
+   * @param {string} options.voice - OpenAI voice, e.g. 'alloy' or 'nova'
+   * @param {number} options.speed - Speaking rate, 0.25 to 4
+   * @param {number} options.sampleRate - Output sample rate
+   * @returns {Promise<Buffer>} - Mono linear16 audio at options.sampleRate
+   */
+  async synthesize(text, options = {}) {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+
+    const response = await this.client.audio.speech.create({
+      model: this.model,
+      voice: options.voice || this.defaultVoice,
+      input: text,
+      speed: options.speed || 1,
+      response_format: 'pcm',
+    });
+
+    const audio = Buffer.from(await response.arrayBuffer());
+    return resampleLinear16(audio, OPENAI_PCM_SAMPLE_RATE, options.sampleRate || SAMPLE_RATE);
+  }
+}
+
+module.exports = new OpenAITTSProvider();
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const PRUNE_EVERY_WRITES = 50;
+
+/**
+ * On-disk cache of synthesized audio, keyed by text and voice settings.
+ * Only short phrases are cached (greetings, hold messages, apologies); long
+ * LLM replies rarely repeat. Least recently used files are deleted once the
+ * cache grows past its size limit. The directory can be cleared at any time.
+ */
+class TTSCache {
+  /**
+   * @param {Object} options - { directory, maxChars, maxBytes }
+   */
+  constructor({ directory, maxChars, maxBytes }) {
+    this.directory = directory;
+    this.maxChars = maxChars;
+    this.maxBytes = maxBytes;
+    this.writesSincePrune = 0;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Build the cache key for a phrase
+   * @param {string} text - Text to synthesize
+   * @param {Object} settings - { provider, voice, speed, sampleRate }
+   * @returns {string|null} - Cache key, or null if the text is too long to cache
+   */
+  key(text, settings) {
+    if (text.length > this.maxChars) {
+      return null;
+    }
+    const { provider, voice, speed, sampleRate } = settings;
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([provider, voice, speed, sampleRate, text]))
+      .digest('hex');
+  }
+
+  filePath(key) {
+    return path.join(this.directory, `${key}.pcm`);
+  }
+
+  /**
+   * Read cached audio
+   * @param {string} key - Cache key
+   * @returns {Promise<Buffer|null>} - Audio, or null on a miss
+   */
+  async get(key) {
+    const filePath = this.filePath(key);
+    try {
+      const audio = await fs.promises.readFile(filePath);
+      // Keep the modification time as a last-used time for pruning
+      const now = new Date();
+      fs.promises.utimes(filePath, now, now).catch(() => {});
+      return audio;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Error reading TTS cache entry ${key}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Store audio in the cache
+   * @param {string} key - Cache key
+   * @param {Buffer} audio - Synthesized audio
+   * @returns {Promise<void>}
+   */
+  async set(key, audio) {
+    const filePath = this.filePath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      // Write then rename so readers never see a partial file
+      await fs.promises.writeFile(tempPath, audio);
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      logger.warn(`Error writing TTS cache entry ${key}: ${error.message}`);
+      return;
+    }
+
+    this.writesSincePrune += 1;
+    if (this.writesSincePrune >= PRUNE_EVERY_WRITES) {
+      this.writesSincePrune = 0;
+      await this.prune();
+    }
+  }
+
+  /**
+   * Delete the least recently used entries until the cache fits its size limit
+   * @returns {Promise<void>}
+   */
+  async prune() {
+    try {
+      const names = (await fs.promises.readdir(this.directory)).filter((name) => name.endsWith('.pcm'));
+      const entries = await Promise.all(names.map(async (name) => {
+        const filePath = path.join(this.directory, name);
+        const stats = await fs.promises.stat(filePath);
+        return { filePath, size: stats.size, lastUsed: stats.mtimeMs };
+      }));
+
+      let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+      entries.sort((a, b) => a.lastUsed - b.lastUsed);
+      for (const entry of entries) {
+        if (totalBytes <= this.maxBytes) {
+          break;
+        }
+        await fs.promises.unlink(entry.filePath);
+        totalBytes -= entry.size;
+      }
+    } catch (error) {
+      logger.warn(`Error pruning TTS cache: ${error.message}`);
+    }
+  }
+}
+
+module.exports = TTSCache;
@@ -0,0 +1,89 @@
+const { AudioFrame } = require('@livekit/rtc-node');
+
+// STT input and default TTS output are 16 kHz mono linear16
+const SAMPLE_RATE = 16000;
+const NUM_CHANNELS = 1;
+const FRAME_DURATION_MS = 20;
+
+/**
+ * Convert a LiveKit audio frame to a linear16 (little-endian PCM) buffer
+ * @param {AudioFrame} frame - Audio frame received from a LiveKit AudioStream
+ * @returns {Buffer} - Raw PCM bytes
+ */
+function frameToBuffer(frame) {
+  const { data } = frame;
+  return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Split a linear16 PCM buffer into fixed-size LiveKit audio frames
+ * @param {Buffer} buffer - Raw PCM bytes (e.g. synthesized speech)
+ * @param {number} sampleRate - Sample rate of the PCM data
+ * @param {number} frameDurationMs - Duration of each frame in milliseconds
+ * @returns {Array<AudioFrame>} - Frames ready for AudioSource.captureFrame
+ */
+function bufferToFrames(buffer, sampleRate = SAMPLE_RATE, frameDurationMs = FRAME_DURATION_MS) {
+  const samplesPerFrame = Math.floor((sampleRate * frameDurationMs) / 1000);
+  // Copy into an aligned Int16Array; a trailing odd byte is dropped
+  const totalSamples = Math.floor(buffer.length / 2);
+  const samples = new Int16Array(totalSamples);
+  for (let i = 0; i < totalSamples; i++) {
+    samples[i] = buffer.readInt16LE(i * 2);
+  }
+
+  const frames = [];
+  for (let offset = 0; offset < totalSamples; offset += samplesPerFrame) {
+    const chunk = new Int16Array(samplesPerFrame); // Zero-padded if short
+    chunk.set(samples.subarray(offset, offset + samplesPerFrame));
+    frames.push(new AudioFrame(chunk, sampleRate, NUM_CHANNELS, samplesPerFrame));
+  }
+  return frames;
+}
+
+/**
+ * Resample mono linear16 PCM using linear interpolation
+ * @param {Buffer} buffer - Raw PCM bytes
+ * @param {number} fromRate - Sample rate of the input
+ * @param {number} toRate - Desired sample rate
+ * @returns {Buffer} - Resampled PCM bytes
+ */
+function resampleLinear16(buffer, fromRate, toRate) {
+  if (fromRate === toRate) {
+    return buffer;
+  }
+
+  const inputSamples = Math.floor(buffer.length / 2);
+  const outputSamples = Math.floor((inputSamples * toRate) / fromRate);
+  const output = Buffer.alloc(outputSamples * 2);
+  const step = fromRate / toRate;
+
+  for (let i = 0; i < outputSamples; i++) {
+    const position = i * step;
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const current = buffer.readInt16LE(index * 2);
+    const next = index + 1 < inputSamples ? buffer.readInt16LE((index + 1) * 2) : current;
+    output.writeInt16LE(Math.round(current + (next - current) * fraction), i * 2);
+  }
+  return output;
+}
+
+/**
+ * Playback duration of mono linear16 PCM
+ * @param {Buffer} buffer - Raw PCM bytes
+ * @param {number} sampleRate - Sample rate of the PCM data
+ * @returns {number} - Duration in milliseconds
+ */
+function pcmDurationMs(buffer, sampleRate = SAMPLE_RATE) {
+  return (buffer.length / 2 / sampleRate) * 1000;
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  NUM_CHANNELS,
+  FRAME_DURATION_MS,
+  frameToBuffer,
+  bufferToFrames,
+  resampleLinear16,
+  pcmDurationMs,
+};
@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const AUDIT_LOG_PATH = path.resolve(process.cwd(), process.env.AUDIT_LOG_PATH || 'data/audit.jsonl');
+
+let ready = null;
+
+/**
+ * Append a security event to the audit log (AUDIT_LOG_PATH, one JSON object per
+ * line) and the application log. Entries never contain credentials.
+ * @param {string} event - Event name, e.g. 'auth.failed'
+ * @param {Object} details - What happened: principal, ip, method, path, reason...
+ */
+function audit(event, details = {}) {
+  const entry = { timestamp: new Date().toISOString(), event, ...details };
+  logger.warn(`Audit ${event}: ${JSON.stringify(details)}`);
+
+  ready = ready || fs.promises.mkdir(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+  ready
+    .then(() => fs.promises.appendFile(AUDIT_LOG_PATH, `${JSON.stringify(entry)}\n`))
+    .catch((error) => {
+      logger.error(`Error writing audit log: ${error.message}`);
+    });
+}
+
+module.exports = { audit };
@@ -0,0 +1,54 @@
+// RFC 4733 telephone-event codes: 0-9 are events 0-9, * is 10, # is 11 and A-D are 12-15
+const DTMF_EVENTS = '0123456789*#ABCD';
+
+// 'w' in a sequence waits half a second, as in LiveKit SIP dial strings
+const DTMF_SEQUENCE_PATTERN = /^[0-9*#A-Dw]{1,64}$/i;
+const DTMF_PAUSE_MS = 500;
+
+// Gap left after each tone so the far end registers them as separate presses
+const DTMF_TONE_GAP_MS = 250;
+
+/**
+ * Check whether a single character is a DTMF key
+ * @param {string} digit - Key to check
+ * @returns {boolean} - True for 0-9, *, # and A-D
+ */
+function isDtmfDigit(digit) {
+  return typeof digit === 'string' && digit.length === 1 && DTMF_EVENTS.includes(digit.toUpperCase());
+}
+
+/**
+ * Check whether a string is a sendable DTMF sequence
+ * @param {string} digits - Keys to send, with optional 'w' pauses
+ * @returns {boolean} - True if valid
+ */
+function isDtmfSequence(digits) {
+  return typeof digits === 'string' && DTMF_SEQUENCE_PATTERN.test(digits);
+}
+
+/**
+ * Telephone-event code of a DTMF key
+ * @param {string} digit - DTMF key
+ * @returns {number} - Event code
+ */
+function dtmfCode(digit) {
+  return DTMF_EVENTS.indexOf(digit.toUpperCase());
+}
+
+/**
+ * DTMF key for a telephone-event code
+ * @param {number} code - Event code
+ * @returns {string|undefined} - DTMF key
+ */
+function dtmfDigit(code) {
+  return DTMF_EVENTS[code];
+}
+
+module.exports = {
+  DTMF_PAUSE_MS,
+  DTMF_TONE_GAP_MS,
+  isDtmfDigit,
+  isDtmfSequence,
+  dtmfCode,
+  dtmfDigit,
+};
@@ -0,0 +1,27 @@
+const logger = require('./logger');
+
+/**
+ * Look up per-number settings from a JSON environment variable such as
+ * {"+15551234567": { ... }}. Numbers are compared by their digits only.
+ * @param {string} envName - Environment variable holding the JSON map
+ * @param {string} phoneNumber - Number to look up
+ * @returns {Object} - Settings for the number (empty if none are configured)
+ */
+function settingsForNumber(envName, phoneNumber) {
+  if (!process.env[envName] || !phoneNumber) {
+    return {};
+  }
+  try {
+    const settingsByNumber = JSON.parse(process.env[envName]);
+    const digits = String(phoneNumber).replace(/\D/g, '');
+    const match = Object.keys(settingsByNumber).find((number) => number.replace(/\D/g, '') === digits);
+    return match ? settingsByNumber[match] : {};
+  } catch (error) {
+    logger.error(`Invalid ${envName}: ${error.message}`);
+    return {};
+  }
+}
+
+module.exports = {
+  settingsForNumber,
+};
@@ -0,0 +1,46 @@
+// Sentence end punctuation (optionally closed by a quote/bracket) followed by whitespace
+const SENTENCE_BOUNDARY = /[.!?]+["')\]]*\s+|\n+/g;
+
+/**
+ * Pull complete sentences off the front of a streaming text buffer
+ * @param {string} buffer - Text received so far that has not been emitted yet
+ * @returns {Object} - { sentences: Array<string>, remainder: string }
+ */
+function extractSentences(buffer) {
+  const sentences = [];
+  let lastIndex = 0;
+  let match;
+
+  SENTENCE_BOUNDARY.lastIndex = 0;
+  while ((match = SENTENCE_BOUNDARY.exec(buffer)) !== null) {
+    const end = match.index + match[0].length;
+    const sentence = buffer.slice(lastIndex, end).trim();
+    if (sentence) {
+      sentences.push(sentence);
+    }
+    lastIndex = end;
+  }
+
+  return { sentences, remainder: buffer.slice(lastIndex) };
+}
+
+/**
+ * Check whether a value is an absolute http(s) URL
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if valid
+ */
+function isHttpUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  extractSentences,
+  isHttpUrl,
+};
@@ -0,0 +1,158 @@
+// Representative timezone for country calling codes (longest prefix wins).
+// Countries spanning several zones map to their most populous one; set a
+// per-contact timezone when that isn't good enough.
+const COUNTRY_CODE_TIMEZONES = {
+  '1': null, // NANP: spans many zones, use the campaign default
+  '7': 'Europe/Moscow',
+  '20': 'Africa/Cairo',
+  '27': 'Africa/Johannesburg',
+  '31': 'Europe/Amsterdam',
+  '32': 'Europe/Brussels',
+  '33': 'Europe/Paris',
+  '34': 'Europe/Madrid',
+  '39': 'Europe/Rome',
+  '41': 'Europe/Zurich',
+  '44': 'Europe/London',
+  '45': 'Europe/Copenhagen',
+  '46': 'Europe/Stockholm',
+  '47': 'Europe/Oslo',
+  '48': 'Europe/Warsaw',
+  '49': 'Europe/Berlin',
+  '52': 'America/Mexico_City',
+  '55': 'America/Sao_Paulo',
+  '61': 'Australia/Sydney',
+  '62': 'Asia/Jakarta',
+  '63': 'Asia/Manila',
+  '64': 'Pacific/Auckland',
+  '65': 'Asia/Singapore',
+  '81': 'Asia/Tokyo',
+  '82': 'Asia/Seoul',
+  '86': 'Asia/Shanghai',
+  '90': 'Europe/Istanbul',
+  '91': 'Asia/Kolkata',
+  '92': 'Asia/Karachi',
+  '234': 'Africa/Lagos',
+  '254': 'Africa/Nairobi',
+  '351': 'Europe/Lisbon',
+  '353': 'Europe/Dublin',
+  '880': 'Asia/Dhaka',
+  '966': 'Asia/Riyadh',
+  '971': 'Asia/Dubai',
+};
+
+/**
+ * Guess the timezone of an E.164 phone number from its country calling code.
+ * Without the leading + the digits could be a national number (4155550123 is
+ * not in Switzerland), so nothing is guessed.
+ * @param {string} phoneNumber - Phone number in E.164 form, e.g. +441632960000
+ * @returns {string|null} - IANA timezone, or null if it can't be determined
+ */
+function timezoneForNumber(phoneNumber) {
+  const number = String(phoneNumber || '').trim();
+  if (!number.startsWith('+')) {
+    return null;
+  }
+  const digits = number.replace(/\D/g, '');
+  for (let length = 3; length >= 1; length--) {
+    const prefix = digits.slice(0, length);
+    if (Object.prototype.hasOwnProperty.call(COUNTRY_CODE_TIMEZONES, prefix)) {
+      return COUNTRY_CODE_TIMEZONES[prefix];
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a string is a timezone the runtime understands
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} - True if valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a list of weekdays, Sunday = 0 to Saturday = 6
+ * @param {Array<number>} days - Weekdays
+ * @returns {boolean} - True if a non-empty array of distinct weekdays
+ */
+function isValidWeekdays(days) {
+  return Array.isArray(days) && days.length > 0 && new Set(days).size === days.length &&
+    days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6);
+}
+
+/**
+ * Get the local weekday and minutes since midnight at a moment in a timezone
+ * @param {Date} date - Moment in time
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { weekday: 0-6 (Sunday = 0), minutes: 0-1439, date: 'YYYY-MM-DD' }
+ */
+function localTime(date, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return {
+    weekday: weekdays.indexOf(parts.weekday),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+/**
+ * Parse an "HH:MM" clock time into minutes since midnight; "24:00" is the end of the day
+ * @param {string} value - Clock time
+ * @returns {number} - Minutes since midnight
+ */
+function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  const minutes = match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
+  if (!match || parseInt(match[2], 10) > 59 || minutes > 24 * 60) {
+    throw new Error(`Invalid time of day: ${value}`);
+  }
+  return minutes;
+}
+
+/**
+ * Check whether a moment falls inside a daily window in a timezone
+ * @param {Date} date - Moment in time
+ * @param {string} timezone - IANA timezone
+ * @param {Object} window - { start: 'HH:MM', end: 'HH:MM', days: [0-6] (optional) }
+ * @returns {boolean} - True if inside the window
+ */
+function isWithinWindow(date, timezone, window) {
+  const { weekday, minutes } = localTime(date, timezone);
+  if (Array.isArray(window.days) && !window.days.includes(weekday)) {
+    return false;
+  }
+
+  const start = parseClockTime(window.start);
+  const end = parseClockTime(window.end);
+  // Windows such as 22:00-06:00 wrap past midnight
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+module.exports = {
+  timezoneForNumber,
+  isValidTimezone,
+  isValidWeekdays,
+  localTime,
+  parseClockTime,
+  isWithinWindow,
+};
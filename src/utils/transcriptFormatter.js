@@ -0,0 +1,103 @@
+const SPEAKER_LABELS = {
+  caller: 'Caller',
+  bot: 'Bot',
+  supervisor: 'Supervisor',
+};
+
+const FORMATS = ['json', 'text', 'vtt', 'srt'];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  text: 'text/plain; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  srt: 'application/x-subrip; charset=utf-8',
+};
+
+function speakerLabel(speaker) {
+  return SPEAKER_LABELS[speaker] || speaker;
+}
+
+/**
+ * Format seconds as HH:MM:SS plus milliseconds
+ * @param {number} seconds - Offset from the start of the call
+ * @param {string} separator - Separator before the milliseconds ('.' for WebVTT, ',' for SRT)
+ * @returns {string} - Timestamp such as 00:01:02.345
+ */
+function formatTimestamp(seconds, separator = '.') {
+  const totalMs = Math.max(Math.round((seconds || 0) * 1000), 0);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+// Cues need a positive duration, so zero-length entries get a nominal one
+function cueTimes(entry) {
+  const start = entry.startOffset || 0;
+  const end = entry.endOffset && entry.endOffset > start ? entry.endOffset : start + 1;
+  return { start, end };
+}
+
+/**
+ * Render transcript entries as plain text, one line per turn
+ * @param {Array<Object>} entries - Transcript entries
+ * @returns {string} - Plain text transcript
+ */
+function toText(entries) {
+  return entries
+    .map((entry) => `[${formatTimestamp(entry.startOffset).slice(0, 8)}] ${speakerLabel(entry.speaker)}: ${entry.text}`)
+    .join('\n');
+}
+
+/**
+ * Render transcript entries as WebVTT captions with voice tags
+ * @param {Array<Object>} entries - Transcript entries
+ * @returns {string} - WebVTT document
+ */
+function toWebVTT(entries) {
+  const cues = entries.map((entry, index) => {
+    const { start, end } = cueTimes(entry);
+    return `${index + 1}\n${formatTimestamp(start)} --> ${formatTimestamp(end)}\n<v ${speakerLabel(entry.speaker)}>${entry.text}`;
+  });
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Render transcript entries as SRT subtitles
+ * @param {Array<Object>} entries - Transcript entries
+ * @returns {string} - SRT document
+ */
+function toSRT(entries) {
+  const cues = entries.map((entry, index) => {
+    const { start, end } = cueTimes(entry);
+    return `${index + 1}\n${formatTimestamp(start, ',')} --> ${formatTimestamp(end, ',')}\n${speakerLabel(entry.speaker)}: ${entry.text}`;
+  });
+  return cues.join('\n\n') + '\n';
+}
+
+/**
+ * Render a transcript in the requested export format
+ * @param {Array<Object>} entries - Transcript entries
+ * @param {string} format - One of 'text', 'vtt' or 'srt'
+ * @returns {Object} - { body, contentType }
+ */
+function formatTranscript(entries, format) {
+  switch (format) {
+    case 'text':
+      return { body: toText(entries), contentType: CONTENT_TYPES.text };
+    case 'vtt':
+      return { body: toWebVTT(entries), contentType: CONTENT_TYPES.vtt };
+    case 'srt':
+      return { body: toSRT(entries), contentType: CONTENT_TYPES.srt };
+    default:
+      throw new Error(`Unsupported transcript format: ${format}`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  formatTimestamp,
+  formatTranscript,
+};
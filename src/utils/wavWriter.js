@@ -0,0 +1,82 @@
+const fs = require('fs');
+
+const HEADER_BYTES = 44;
+
+/**
+ * Build a 44-byte RIFF/WAVE header for linear16 PCM
+ * @param {Object} format - { sampleRate, numChannels, dataBytes }
+ * @returns {Buffer} - Header bytes
+ */
+function wavHeader({ sampleRate, numChannels, dataBytes }) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  const blockAlign = numChannels * 2;
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(numChannels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(16, 34); // Bits per sample
+  header.write('data', 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+/**
+ * Streams linear16 PCM to a WAV file. The header is written with a zero length
+ * up front and patched with the real sizes on close.
+ */
+class WavWriter {
+  /**
+   * @param {string} filePath - File to create
+   * @param {Object} format - { sampleRate, numChannels }
+   */
+  constructor(filePath, { sampleRate, numChannels }) {
+    this.filePath = filePath;
+    this.sampleRate = sampleRate;
+    this.numChannels = numChannels;
+    this.dataBytes = 0;
+    this.stream = fs.createWriteStream(filePath);
+    this.stream.write(wavHeader({ sampleRate, numChannels, dataBytes: 0 }));
+  }
+
+  /**
+   * Append PCM samples (interleaved if there are several channels)
+   * @param {Buffer} pcm - Linear16 PCM bytes
+   */
+  write(pcm) {
+    this.dataBytes += pcm.length;
+    this.stream.write(pcm);
+  }
+
+  /**
+   * Finish the file
+   * @returns {Promise<Object>} - { filePath, size, durationSeconds }
+   */
+  async close() {
+    await new Promise((resolve, reject) => {
+      this.stream.on('error', reject);
+      this.stream.end(resolve);
+    });
+
+    const fd = await fs.promises.open(this.filePath, 'r+');
+    try {
+      const header = wavHeader({ sampleRate: this.sampleRate, numChannels: this.numChannels, dataBytes: this.dataBytes });
+      await fd.write(header, 0, HEADER_BYTES, 0);
+    } finally {
+      await fd.close();
+    }
+
+    return {
+      filePath: this.filePath,
+      size: HEADER_BYTES + this.dataBytes,
+      durationSeconds: this.dataBytes / (this.sampleRate * this.numChannels * 2),
+    };
+  }
+}
+
+module.exports = WavWriter;
@@ -0,0 +1,162 @@
+const { WebhookReceiver } = require('livekit-server-sdk');
+const logger = require('./utils/logger');
+const callManager = require('./callManager');
+
+const DEDUPE_WINDOW_MS = 10 * 60 * 1000; // LiveKit retries well within this
+const MAX_REMEMBERED_EVENTS = 5000;
+
+/**
+ * Verifies LiveKit webhooks and routes each event to the call it belongs to.
+ *
+ * Inbound SIP calls start on the SIP participant's participant_joined event;
+ * events for rooms that already host a call drive that call's lifecycle, and
+ * egress_ended gives a call recording its final file location.
+ */
+class WebhookDispatcher {
+  constructor() {
+    this.receiver = new WebhookReceiver(process.env.LIVEKIT_API_KEY, process.env.LIVEKIT_API_SECRET);
+    this.processedEvents = new Map(); // Receive time by event id
+    this.handlers = {
+      room_started: (event) => this.handleRoomStarted(event),
+      room_finished: (event) => this.handleRoomFinished(event),
+      participant_joined: (event) => this.handleParticipantJoined(event),
+      participant_left: (event) => this.handleParticipantLeft(event),
+      egress_ended: (event) => this.handleEgressEnded(event),
+    };
+  }
+
+  /**
+   * Check a webhook's signature and parse it
+   * @param {string} rawBody - Request body exactly as received
+   * @param {string} authHeader - Authorization header
+   * @returns {Object} - Webhook event
+   */
+  verify(rawBody, authHeader) {
+    try {
+      // Throws unless the header is a valid token carrying the body's SHA-256
+      this.receiver.receive(rawBody, authHeader);
+    } catch (error) {
+      const authError = new Error(`Invalid webhook signature: ${error.message}`);
+      authError.statusCode = 401;
+      throw authError;
+    }
+    // The SDK's own parsing drops newer fields (participant kind, attributes, disconnectReason)
+    return JSON.parse(rawBody);
+  }
+
+  /**
+   * Record an event id, reporting whether it was seen before
+   * @param {string} eventId - Webhook event id
+   * @returns {boolean} - True if the event was already processed
+   */
+  isDuplicate(eventId) {
+    if (!eventId) {
+      return false;
+    }
+    this.pruneProcessedEvents();
+    if (this.processedEvents.has(eventId)) {
+      return true;
+    }
+    this.processedEvents.set(eventId, Date.now());
+    return false;
+  }
+
+  pruneProcessedEvents() {
+    const cutoff = Date.now() - DEDUPE_WINDOW_MS;
+    // Maps iterate in insertion order, so the oldest events come first
+    for (const [eventId, receivedAt] of this.processedEvents) {
+      if (receivedAt >= cutoff && this.processedEvents.size <= MAX_REMEMBERED_EVENTS) {
+        break;
+      }
+      this.processedEvents.delete(eventId);
+    }
+  }
+
+  /**
+   * Verify, deduplicate and handle a webhook request
+   * @param {string} rawBody - Request body exactly as received
+   * @param {string} authHeader - Authorization header
+   * @returns {Promise<Object>} - Handler result, e.g. { handled: true, callId }
+   */
+  async handle(rawBody, authHeader) {
+    const event = this.verify(rawBody, authHeader);
+    logger.info(`Received LiveKit webhook ${event.event} (${event.id}) for room ${event.room?.name}`);
+
+    if (this.isDuplicate(event.id)) {
+      logger.info(`Ignoring duplicate webhook ${event.id}`);
+      return { handled: false, duplicate: true };
+    }
+
+    const handler = this.handlers[event.event];
+    if (!handler) {
+      return { handled: false };
+    }
+
+    try {
+      return { handled: true, ...(await handler(event)) };
+    } catch (error) {
+      // Let LiveKit's retry through
+      this.processedEvents.delete(event.id);
+      throw error;
+    }
+  }
+
+  async handleRoomStarted(event) {
+    const call = callManager.findCallByRoom(event.room?.name);
+    return { callId: call?.id };
+  }
+
+  async handleRoomFinished(event) {
+    const call = callManager.findCallByRoom(event.room?.name);
+    if (call && !call.endTime) {
+      logger.info(`[${call.id}] Room ${event.room.name} finished, ending call`);
+      await callManager.endCall(call.id);
+    }
+    return { callId: call?.id };
+  }
+
+  async handleParticipantJoined(event) {
+    const roomName = event.room?.name;
+    const participant = event.participant || {};
+    const call = callManager.findCallByRoom(roomName);
+
+    if (call) {
+      callManager.handleParticipantWebhook(call.id, event.event, participant);
+      return { callId: call.id };
+    }
+
+    if (!this.isSipParticipant(participant)) {
+      return {};
+    }
+
+    const attributes = participant.attributes || {};
+    const callDetails = await callManager.handleInboundCall({
+      roomName,
+      sipParticipantIdentity: participant.identity,
+      callerId: attributes['sip.phoneNumber'] || participant.name,
+      calledNumber: attributes['sip.trunkPhoneNumber'],
+      webhookPayload: event,
+    });
+    return { callId: callDetails.callId };
+  }
+
+  async handleParticipantLeft(event) {
+    const call = callManager.findCallByRoom(event.room?.name);
+    if (call) {
+      callManager.handleParticipantWebhook(call.id, event.event, event.participant);
+    }
+    return { callId: call?.id };
+  }
+
+  async handleEgressEnded(event) {
+    const callId = await callManager.handleRecordingEnded(event.egressInfo || {});
+    return { callId };
+  }
+
+  isSipParticipant(participant) {
+    const attributes = participant.attributes || {};
+    return participant.kind === 'SIP' || Boolean(attributes['sip.callID']);
+  }
+}
+
+module.exports = new WebhookDispatcher();
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-auth-'));
+process.env.API_KEYS_PATH = path.join(dir, 'api-keys.json');
+process.env.AUDIT_LOG_PATH = path.join(dir, 'audit.jsonl');
+process.env.API_JWT_SECRET = 'test-secret';
+process.env.API_MAX_CONCURRENT_CALLS = '1';
+process.env.LOG_LEVEL = 'error';
+
+fs.writeFileSync(process.env.API_KEYS_PATH, JSON.stringify({
+  keys: [
+    { id: 'reader', key: 'reader-key', scopes: ['calls:read'] },
+    {
+      id: 'crm',
+      keyHash: crypto.createHash('sha256').update('crm-key').digest('hex'),
+      scopes: ['calls:write'],
+      rateLimit: { requests: 2, windowSeconds: 60 },
+      maxConcurrentCalls: 2,
+    },
+  ],
+}));
+
+// Only the active call list is needed, not the telephony stack behind it
+const activeCalls = [];
+require.cache[require.resolve('../src/callManager')] = {
+  exports: { getAllActiveCalls: () => activeCalls },
+};
+const apiAuth = require('../src/apiAuth');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function request(headers = {}, url = '/api/calls') {
+  return { headers, url, method: 'GET', ip: '127.0.0.1', socket: {} };
+}
+
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+      Object.assign(this.headers, typeof name === 'object' ? name : { [name]: value });
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+function run(scope, req) {
+  const res = response();
+  let passed = false;
+  apiAuth.requireScope(scope)(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+test('keys are accepted as a Bearer token, X-API-Key header or access_token parameter', () => {
+  assert.strictEqual(apiAuth.authenticate(request({ authorization: 'Bearer reader-key' })).id, 'reader');
+  assert.strictEqual(apiAuth.authenticate(request({ 'x-api-key': 'reader-key' })).id, 'reader');
+  assert.strictEqual(apiAuth.authenticate(request({}, '/api/calls/stream?access_token=reader-key')).id, 'reader');
+  assert.strictEqual(apiAuth.authenticate(request({ authorization: 'Bearer crm-key' })).id, 'crm');
+});
+
+test('missing and unknown credentials are rejected', () => {
+  assert.throws(() => apiAuth.authenticate(request()), (error) => error.statusCode === 401 && /Missing/.test(error.message));
+  assert.throws(() => apiAuth.authenticate(request({ 'x-api-key': 'nope' })), (error) => error.statusCode === 401);
+});
+
+test('JWTs need a valid signature and a subject, and carry their scopes', () => {
+  const token = jwt.sign({ sub: 'dashboard', scope: 'calls:read calls:admin bogus' }, 'test-secret');
+  const client = apiAuth.authenticate(request({ authorization: `Bearer ${token}` }));
+  assert.strictEqual(client.id, 'jwt:dashboard');
+  assert.deepStrictEqual(client.scopes, ['calls:read', 'calls:admin']);
+  assert.strictEqual(client.maxConcurrentCalls, 1);
+
+  const forged = jwt.sign({ sub: 'dashboard', scope: 'calls:admin' }, 'other-secret');
+  assert.throws(() => apiAuth.authenticate(request({ authorization: `Bearer ${forged}` })), /invalid signature/);
+  const expired = jwt.sign({ sub: 'dashboard', exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+  assert.throws(() => apiAuth.authenticate(request({ authorization: `Bearer ${expired}` })), /jwt expired/);
+  const anonymous = jwt.sign({ scope: 'calls:admin' }, 'test-secret');
+  assert.throws(() => apiAuth.authenticate(request({ authorization: `Bearer ${anonymous}` })), /no subject/);
+});
+
+test('broader scopes include narrower ones', () => {
+  const admin = { scopes: ['calls:admin'] };
+  const writer = { scopes: ['calls:write'] };
+  assert.ok(apiAuth.hasScope(admin, 'calls:read'));
+  assert.ok(apiAuth.hasScope(writer, 'calls:write'));
+  assert.ok(!apiAuth.hasScope(writer, 'calls:admin'));
+  assert.ok(!apiAuth.hasScope({ scopes: [] }, 'calls:read'));
+});
+
+test('requireScope answers 401, 403 or passes the client on', () => {
+  assert.strictEqual(run('calls:read', request()).res.statusCode, 401);
+  assert.strictEqual(run('calls:write', request({ 'x-api-key': 'reader-key' })).res.statusCode, 403);
+
+  const req = request({ 'x-api-key': 'reader-key' });
+  const { res, passed } = run('calls:read', req);
+  assert.ok(passed);
+  assert.strictEqual(req.client.id, 'reader');
+  assert.ok(res.headers['X-RateLimit-Limit']);
+});
+
+test('requests beyond the rate limit get 429 with Retry-After', () => {
+  const first = run('calls:read', request({ 'x-api-key': 'crm-key' }));
+  assert.ok(first.passed);
+  assert.strictEqual(first.res.headers['X-RateLimit-Remaining'], '1');
+  assert.ok(run('calls:read', request({ 'x-api-key': 'crm-key' })).passed);
+
+  const limited = run('calls:read', request({ 'x-api-key': 'crm-key' }));
+  assert.strictEqual(limited.res.statusCode, 429);
+  assert.ok(Number(limited.res.headers['Retry-After']) > 0);
+});
+
+test('denials are written to the audit log without credentials', async () => {
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  const entries = fs.readFileSync(process.env.AUDIT_LOG_PATH, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  const events = entries.map((entry) => entry.event);
+  ['auth.failed', 'auth.forbidden', 'rate_limit.exceeded'].forEach((event) => assert.ok(events.includes(event), event));
+  assert.ok(!fs.readFileSync(process.env.AUDIT_LOG_PATH, 'utf8').includes('reader-key'));
+});
+
+test('call reservations count towards the limit until released', () => {
+  const crm = apiAuth.authenticate(request({ 'x-api-key': 'crm-key' }));
+  const first = apiAuth.reserveCall(crm, request());
+  const second = apiAuth.reserveCall(crm, request());
+  assert.throws(() => apiAuth.reserveCall(crm, request()), (error) => error.statusCode === 429);
+
+  // Releasing is idempotent, so releasing one reservation twice frees one slot only
+  first();
+  first();
+  const third = apiAuth.reserveCall(crm, request());
+  assert.throws(() => apiAuth.reserveCall(crm, request()), (error) => error.statusCode === 429);
+  second();
+  third();
+});
+
+test('a registered call counts as live once its own reservation is released', () => {
+  const crm = apiAuth.authenticate(request({ 'x-api-key': 'crm-key' }));
+  const releaseA = apiAuth.reserveCall(crm, request());
+  const releaseB = apiAuth.reserveCall(crm, request());
+
+  // Call A registers: it is live and releases its reservation, B's still holds
+  activeCalls.push({ id: 'a', requestedBy: 'crm' });
+  releaseA();
+  assert.strictEqual(apiAuth.countCalls('crm'), 2);
+  assert.throws(() => apiAuth.reserveCall(crm, request()), (error) => error.statusCode === 429);
+
+  releaseB();
+  assert.strictEqual(apiAuth.countCalls('crm'), 1);
+  activeCalls.length = 0;
+});
+
+test('campaign calls are reserved against the creating client', () => {
+  const releaseA = apiAuth.reserveCampaignCall('crm');
+  const releaseB = apiAuth.reserveCampaignCall('crm');
+  assert.ok(releaseA && releaseB);
+  assert.strictEqual(apiAuth.reserveCampaignCall('crm'), null);
+  releaseA();
+  releaseB();
+
+  const releaseJwt = apiAuth.reserveCampaignCall('jwt:dashboard');
+  assert.ok(releaseJwt);
+  assert.strictEqual(apiAuth.reserveCampaignCall('jwt:dashboard'), null);
+  releaseJwt();
+  assert.strictEqual(apiAuth.reserveCampaignCall('revoked'), null);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-manager-'));
+process.env.ROUTING_RULES_PATH = path.join(dir, 'routing-rules.json');
+process.env.AGENTS_DIR = path.join(dir, 'agents');
+process.env.CALL_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+// LiveKit's room service and the bot's media connection, reduced to what the tests look at
+const livekitCalls = [];
+const livekitClient = {
+  formatPhoneNumber: (phoneNumber) => phoneNumber,
+  createOrGetRoom: async (roomName) => ({ name: roomName }),
+  generateToken: () => 'token',
+  placeOutboundCall: async () => ({}),
+  disconnectParticipant: async (roomName, identity) => livekitCalls.push(['disconnectParticipant', roomName, identity]),
+  endRoom: async (roomName) => livekitCalls.push(['endRoom', roomName]),
+};
+const llmBot = {
+  initializeConversation: () => {},
+  addSystemMessage: () => {},
+  joinRoom: async () => {},
+  endConversation: async () => {},
+  waitForPlayout: async () => {},
+  interruptPlayback: () => {},
+  isSpeaking: () => false,
+};
+require.cache[require.resolve('../src/livekitClient')] = { exports: livekitClient };
+require.cache[require.resolve('../src/llmBot')] = { exports: llmBot };
+
+// Ended calls linger in memory for a minute; don't keep the test process alive for it
+test.mock.timers.enable({ apis: ['setTimeout'] });
+const callManager = require('../src/callManager');
+const toolRegistry = require('../src/tools/toolRegistry');
+
+test.after(() => {
+  test.mock.timers.reset();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test.beforeEach((t) => {
+  livekitCalls.length = 0;
+  t.mock.method(callManager, 'say', async () => {});
+});
+
+let nextCallId = 0;
+function registerCall(fields = {}) {
+  const id = `call-${++nextCallId}`;
+  callManager.registerCall({
+    id,
+    roomName: `room-${id}`,
+    type: 'inbound',
+    sipParticipantIdentity: `sip-${id}`,
+    botIdentity: `bot-${id}`,
+    startTime: new Date(),
+    status: 'active',
+    ...fields,
+  });
+  return callManager.activeCalls.get(id);
+}
+
+function callerHungUp(call) {
+  return livekitCalls.some(([method, roomName]) => method === 'endRoom' && roomName === call.roomName);
+}
+
+test('reaching the maximum duration closes the room, hanging up the caller', async () => {
+  const call = registerCall({ maxDurationSeconds: 60 });
+  await callManager.handleMaxDuration(call.id);
+
+  assert.ok(call.endTime);
+  assert.strictEqual(call.endReason, 'max_duration');
+  assert.ok(callerHungUp(call));
+});
+
+test('a caller who stays silent after the last reprompt is hung up on', async () => {
+  const call = registerCall({ silence: { timeoutSeconds: 10, maxReprompts: 1, reprompt: 'Hello?', goodbye: 'Goodbye!' } });
+  await callManager.handleSilence(call.id);
+  assert.ok(!call.endTime);
+  assert.ok(!callerHungUp(call));
+
+  await callManager.handleSilence(call.id);
+  assert.ok(call.endTime);
+  assert.strictEqual(call.endReason, 'silence');
+  assert.deepStrictEqual(callManager.say.mock.calls.map((call) => call.arguments[1]), ['Hello?', 'Goodbye!']);
+  assert.ok(callerHungUp(call));
+});
+
+test('hanging up a call that already ended leaves its room alone', async () => {
+  const call = registerCall({ status: 'transferring' });
+  callManager.updateStatus(call.id, 'transferred');
+  await callManager.endCall(call.id);
+
+  assert.strictEqual(await callManager.hangUp(call.id), false);
+  assert.ok(!callerHungUp(call));
+});
+
+test('an outbound call whose bot cannot join is ended and its room closed', async (t) => {
+  t.mock.method(llmBot, 'joinRoom', async () => {
+    throw new Error('connection refused');
+  });
+  const placeOutboundCall = t.mock.method(livekitClient, 'placeOutboundCall');
+  let callId;
+
+  await assert.rejects(
+    callManager.initiateOutboundCall('+14155550123', { onRegistered: (id) => { callId = id; } }),
+    /connection refused/,
+  );
+  const call = callManager.activeCalls.get(callId);
+  assert.ok(call.endTime);
+  assert.strictEqual(call.status, 'bot_join_failed');
+  assert.ok(callerHungUp(call));
+  assert.strictEqual(placeOutboundCall.mock.callCount(), 0);
+  assert.ok(!callManager.getAllActiveCalls().some((active) => active.id === callId));
+});
+
+test('an inbound call whose bot cannot join is hung up', async (t) => {
+  t.mock.method(llmBot, 'joinRoom', async () => {
+    throw new Error('connection refused');
+  });
+
+  await assert.rejects(
+    callManager.handleInboundCall({ roomName: 'room-inbound', callerId: '+14155550123', sipParticipantIdentity: 'sip-inbound' }),
+    /connection refused/,
+  );
+  const call = callManager.findCallByRoom('room-inbound');
+  assert.ok(call.endTime);
+  assert.strictEqual(call.status, 'bot_join_failed');
+  assert.ok(callerHungUp(call));
+  assert.strictEqual(callManager.getAllActiveCalls().length, 0);
+});
+
+test('after leaving a voicemail the answering machine is hung up on', async () => {
+  const call = registerCall({
+    type: 'outbound',
+    machineDetection: { voicemail: { mode: 'static', text: 'Sorry we missed you.' } },
+    machineDetector: { waitForBeep: async () => 'beep', stop: () => {} },
+  });
+  await callManager.leaveVoicemail(call.id);
+
+  assert.deepStrictEqual(callManager.say.mock.calls.map((call) => call.arguments[1]), ['Sorry we missed you.']);
+  assert.ok(call.machineDetection.voicemailLeftAt);
+  assert.strictEqual(call.endReason, 'voicemail');
+  assert.ok(callerHungUp(call));
+});
+
+test('an answering machine is hung up on straight away when there is no message to leave', async () => {
+  const call = registerCall({
+    type: 'outbound',
+    machineDetection: { voicemail: null },
+    machineDetector: { stop: () => {} },
+  });
+  await callManager.leaveVoicemail(call.id);
+
+  assert.strictEqual(callManager.say.mock.callCount(), 0);
+  assert.strictEqual(call.endReason, 'machine');
+  assert.ok(callerHungUp(call));
+});
+
+test('the end_call tool hangs up the caller once the bot has finished speaking', async () => {
+  const call = registerCall();
+  assert.deepStrictEqual(await toolRegistry.invoke('end_call', '{"reason":"done"}', { callId: call.id }), { status: 'ending' });
+
+  // The hang-up is deferred until playout, which the stub reports straight away
+  for (let i = 0; i < 10 && !call.endTime; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  assert.ok(call.endTime);
+  assert.ok(callerHungUp(call));
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isDtmfDigit, isDtmfSequence, dtmfCode, dtmfDigit } = require('../src/utils/dtmf');
+
+test('isDtmfDigit accepts single keypad keys in either case', () => {
+  ['0', '9', '*', '#', 'A', 'd'].forEach((digit) => assert.ok(isDtmfDigit(digit), digit));
+  ['', '12', 'E', 'w', ' ', 5, undefined].forEach((digit) => assert.ok(!isDtmfDigit(digit), String(digit)));
+});
+
+test('isDtmfSequence allows w pauses and up to 64 keys', () => {
+  assert.ok(isDtmfSequence('1234#'));
+  assert.ok(isDtmfSequence('9w1wW*'));
+  assert.ok(isDtmfSequence('1'.repeat(64)));
+  assert.ok(!isDtmfSequence(''));
+  assert.ok(!isDtmfSequence('1'.repeat(65)));
+  assert.ok(!isDtmfSequence('12 34'));
+  assert.ok(!isDtmfSequence(1234));
+});
+
+test('dtmfCode and dtmfDigit map keys to RFC 4733 event codes and back', () => {
+  assert.strictEqual(dtmfCode('7'), 7);
+  assert.strictEqual(dtmfCode('*'), 10);
+  assert.strictEqual(dtmfCode('#'), 11);
+  assert.strictEqual(dtmfCode('d'), 15);
+  assert.strictEqual(dtmfDigit(11), '#');
+  assert.strictEqual(dtmfDigit(12), 'A');
+  assert.strictEqual(dtmfDigit(16), undefined);
+});
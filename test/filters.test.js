@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCallFilters, phoneDigits, matchesCallFilters, paginate } = require('../src/repositories/filters');
+
+const inbound = {
+  id: 'a', type: 'inbound', status: 'ended', startTime: '2026-01-05T12:00:00Z',
+  callerIdentity: 'sip_+14155550123', calledNumber: '+15550001111',
+};
+const outbound = {
+  id: 'b', type: 'outbound', status: 'failed', startTime: '2026-01-06T12:00:00Z', phoneNumber: '+1 (212) 555-0199',
+};
+
+test('parseCallFilters normalizes the query and caps the page size', () => {
+  assert.deepStrictEqual(parseCallFilters({}), { limit: 50, offset: 0 });
+  const filters = parseCallFilters({ from: '2026-01-01', type: 'inbound', phoneNumber: 4155550123, limit: '1000', offset: '10' });
+  assert.deepStrictEqual(filters.from, new Date('2026-01-01'));
+  assert.strictEqual(filters.phoneNumber, '4155550123');
+  assert.strictEqual(filters.limit, 500);
+  assert.strictEqual(filters.offset, 10);
+});
+
+test('parseCallFilters rejects invalid values', () => {
+  assert.throws(() => parseCallFilters({ from: 'yesterday' }), /Invalid from date/);
+  assert.throws(() => parseCallFilters({ type: 'internal' }), /Invalid type filter/);
+  assert.throws(() => parseCallFilters({ limit: '0' }), /Invalid limit/);
+  assert.throws(() => parseCallFilters({ offset: '-1' }), /Invalid offset/);
+});
+
+test('phoneDigits ignores formatting', () => {
+  assert.strictEqual(phoneDigits('+1 (212) 555-0199'), '12125550199');
+  assert.strictEqual(phoneDigits(undefined), '');
+});
+
+test('the phone number filter matches the caller, callee or dialled number', () => {
+  assert.ok(matchesCallFilters(inbound, { phoneNumber: '415-555-0123' }));
+  assert.ok(matchesCallFilters(inbound, { phoneNumber: '5550001111' }));
+  assert.ok(matchesCallFilters(outbound, { phoneNumber: '(212) 555-0199' }));
+  assert.ok(!matchesCallFilters(outbound, { phoneNumber: '5550001111' }));
+  assert.ok(!matchesCallFilters(inbound, { phoneNumber: '---' }));
+});
+
+test('date, type and status filters narrow the results', () => {
+  const from = new Date('2026-01-06T00:00:00Z');
+  assert.deepStrictEqual([inbound, outbound].filter((record) => matchesCallFilters(record, { from })), [outbound]);
+  assert.ok(!matchesCallFilters(inbound, { to: new Date('2026-01-01T00:00:00Z') }));
+  assert.ok(!matchesCallFilters(inbound, { type: 'outbound' }));
+  assert.ok(matchesCallFilters(outbound, { status: 'failed' }));
+});
+
+test('paginate slices the records and reports the total', () => {
+  assert.deepStrictEqual(paginate([1, 2, 3], { limit: 2, offset: 1 }), { calls: [2, 3], total: 3, limit: 2, offset: 1 });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+const toolRegistry = require('../src/tools/toolRegistry');
+const llmBot = require('../src/llmBot');
+
+const ran = [];
+['end_call', 'transfer_call'].forEach((name) => {
+  toolRegistry.register({
+    name,
+    handler: async () => {
+      ran.push(name);
+      return { status: 'ok' };
+    },
+  });
+});
+
+function toolCall(id, name) {
+  return { id, type: 'function', function: { name, arguments: '{}' } };
+}
+
+test('a call only runs the tools its agent allows, whatever the model asks for', async () => {
+  llmBot.initializeConversation('call-1', { tools: ['end_call'], llm: { systemPrompt: 'You are a receptionist.' } });
+  const conversation = llmBot.conversations.get('call-1');
+  assert.deepStrictEqual(llmBot.completionRequest(conversation).tools.map((tool) => tool.function.name), ['end_call']);
+
+  await llmBot.runToolCalls('call-1', conversation, {
+    content: null,
+    tool_calls: [toolCall('t1', 'transfer_call'), toolCall('t2', 'end_call')],
+  });
+
+  assert.deepStrictEqual(ran, ['end_call']);
+  const results = conversation.messages.filter((message) => message.role === 'tool');
+  assert.deepStrictEqual(results.map((message) => [message.tool_call_id, JSON.parse(message.content)]), [
+    ['t1', { error: 'Tool transfer_call is not available on this call' }],
+    ['t2', { status: 'ok' }],
+  ]);
+});
+
+test('a call without a tool list may use every tool', async () => {
+  ran.length = 0;
+  llmBot.initializeConversation('call-2', { llm: { systemPrompt: 'You are a receptionist.' } });
+  await llmBot.runToolCalls('call-2', llmBot.conversations.get('call-2'), { tool_calls: [toolCall('t1', 'transfer_call')] });
+  assert.deepStrictEqual(ran, ['transfer_call']);
+});
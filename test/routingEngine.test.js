@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routing-'));
+process.env.ROUTING_RULES_PATH = path.join(dir, 'routing-rules.json');
+process.env.AGENTS_DIR = path.join(dir, 'agents');
+process.env.LOG_LEVEL = 'error';
+const routingEngine = require('../src/routingEngine');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const weekdays = { timezone: 'America/New_York', days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00', holidays: ['2026-12-25'] };
+const mondayMorning = new Date('2026-01-05T15:00:00Z'); // 10:00 in New York
+const mondayNight = new Date('2026-01-06T03:00:00Z'); // 22:00 in New York
+const christmas = new Date('2026-12-25T15:00:00Z');
+
+function configure(config) {
+  routingEngine.setConfig(config);
+}
+
+test('calls nothing matches get the default route', () => {
+  configure({ rules: [{ id: 'sales', match: { calledNumbers: ['+15550001111'] }, action: { type: 'reject' } }] });
+  assert.deepStrictEqual(routingEngine.route({ calledNumber: '+15559999999', callerId: '+14155550123' }), { ruleId: null, action: { type: 'default' } });
+});
+
+test('blocklisted callers are rejected whatever their formatting', () => {
+  configure({ blocklist: ['+1 (415) 555-0123'], rules: [] });
+  assert.deepStrictEqual(routingEngine.route({ callerId: '+14155550123' }), { ruleId: 'blocklist', action: { type: 'reject' } });
+});
+
+test('calledNumbers and callerPattern must both hold, first matching rule wins', () => {
+  configure({
+    rules: [
+      { id: 'disabled', enabled: false, match: {}, action: { type: 'reject' } },
+      { id: 'bay-area', match: { calledNumbers: ['+15550001111'], callerPattern: '^\\+1415' }, action: { type: 'message', text: 'Hi' } },
+      { id: 'catch-all', match: {}, action: { type: 'transfer', target: '+15550002222' } },
+    ],
+  });
+  assert.strictEqual(routingEngine.route({ calledNumber: '15550001111', callerId: '+14155550123' }).ruleId, 'bay-area');
+  assert.strictEqual(routingEngine.route({ calledNumber: '+15550001111', callerId: '+12125550123' }).ruleId, 'catch-all');
+  assert.strictEqual(routingEngine.route({ calledNumber: '+15550003333', callerId: '+14155550123' }).ruleId, 'catch-all');
+});
+
+test('schedules match open or closed hours, with holidays closed all day', () => {
+  configure({
+    rules: [
+      { id: 'after-hours', match: { schedule: weekdays, when: 'closed' }, action: { type: 'message', text: 'Closed' } },
+    ],
+  });
+  assert.strictEqual(routingEngine.route({}, mondayMorning).ruleId, null);
+  assert.strictEqual(routingEngine.route({}, mondayNight).ruleId, 'after-hours');
+  assert.strictEqual(routingEngine.route({}, christmas).ruleId, 'after-hours');
+  assert.strictEqual(routingEngine.route({}, new Date('2026-01-10T15:00:00Z')).ruleId, 'after-hours'); // Saturday
+});
+
+test('rules are checked when saved', () => {
+  const invalid = [
+    [{ match: { callerPattern: '(' }, action: { type: 'reject' } }, /invalid callerPattern/],
+    [{ match: { callerPattern: 'x'.repeat(201) }, action: { type: 'reject' } }, /at most 200 characters/],
+    [{ match: { schedule: { ...weekdays, days: [1, 8] } }, action: { type: 'reject' } }, /schedule days/],
+    [{ match: { schedule: { ...weekdays, timezone: 'Nowhere' } }, action: { type: 'reject' } }, /timezone/],
+    [{ match: { when: 'closed' }, action: { type: 'reject' } }, /when requires a schedule/],
+    [{ match: {}, action: { type: 'transfer' } }, /requires a target/],
+    [{ match: {}, action: { type: 'agent', agentId: 'nobody' } }, /unknown agentId/],
+  ];
+  invalid.forEach(([rule, message]) => assert.throws(() => routingEngine.addRule(rule), message));
+  assert.throws(() => configure({ rules: [{ id: 'a', action: { type: 'reject' } }, { id: 'a', action: { type: 'reject' } }] }), /Duplicate rule id/);
+});
+
+test('rule changes are saved to the rules file', () => {
+  configure({ rules: [] });
+  const rule = routingEngine.addRule({ match: { callerPattern: '^\\+44' }, action: { type: 'reject' } });
+  assert.strictEqual(routingEngine.route({ callerId: '+441632960000' }).ruleId, rule.id);
+  routingEngine.updateRule(rule.id, { match: { callerPattern: '^\\+33' }, action: { type: 'reject' } });
+  assert.strictEqual(routingEngine.route({ callerId: '+441632960000' }).ruleId, null);
+  assert.strictEqual(routingEngine.route({ callerId: '+33123456789' }).ruleId, rule.id);
+
+  const saved = JSON.parse(fs.readFileSync(process.env.ROUTING_RULES_PATH, 'utf8'));
+  assert.deepStrictEqual(saved.rules.map((saved) => saved.match.callerPattern), ['^\\+33']);
+  routingEngine.deleteRule(rule.id);
+  assert.throws(() => routingEngine.deleteRule(rule.id), (error) => error.statusCode === 404);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'status-callback-'));
+process.env.STATUS_CALLBACK_SECRET = 'test-secret';
+process.env.STATUS_CALLBACK_MAX_ATTEMPTS = '3';
+process.env.STATUS_CALLBACK_RETRY_BASE_MS = '1';
+process.env.STATUS_CALLBACK_DEAD_LETTER_PATH = path.join(dir, 'dead-letters.jsonl');
+process.env.LOG_LEVEL = 'error';
+
+// Each request takes the next scripted status; a string throws as a network error
+const responses = [];
+const requests = [];
+require.cache[require.resolve('node-fetch')] = {
+  exports: async (url, options) => {
+    requests.push({ url, ...options });
+    const next = responses.shift();
+    if (typeof next === 'string') {
+      throw new Error(next);
+    }
+    return { ok: next < 300, status: next };
+  },
+};
+require.cache[require.resolve('../src/callManager')] = { exports: new EventEmitter() };
+const notifier = require('../src/statusCallbackNotifier');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function script(...statuses) {
+  responses.length = 0;
+  requests.length = 0;
+  responses.push(...statuses);
+}
+
+const payload = { id: 'event-1', event: 'call.answered', timestamp: '2026-01-05T12:00:00.000Z', callId: 'call-1', data: {} };
+
+test('signedHeaders signs the timestamp and body with the shared secret', () => {
+  const body = JSON.stringify(payload);
+  const headers = notifier.signedHeaders(body);
+  const expected = crypto.createHmac('sha256', 'test-secret')
+    .update(`${headers['X-Signature-Timestamp']}.${body}`)
+    .digest('hex');
+  assert.strictEqual(headers['X-Signature'], `sha256=${expected}`);
+  assert.ok(Math.abs(Number(headers['X-Signature-Timestamp']) - Date.now() / 1000) < 5);
+  assert.strictEqual(headers['Content-Type'], 'application/json');
+});
+
+test('server errors, network errors and retryable client errors are retried', async () => {
+  script(503, 'socket hang up', 200);
+  assert.strictEqual(await notifier.deliver('https://crm.example/hook', payload), true);
+  assert.strictEqual(requests.length, 3);
+
+  script(429, 408, 204);
+  assert.strictEqual(await notifier.deliver('https://crm.example/hook', payload), true);
+  assert.strictEqual(requests.length, 3);
+});
+
+test('other client errors are dead-lettered without a retry', async () => {
+  script(404);
+  assert.strictEqual(await notifier.deliver('https://crm.example/hook', payload), false);
+  assert.strictEqual(requests.length, 1);
+
+  const [entry] = await notifier.getDeadLetters();
+  assert.strictEqual(entry.error, 'HTTP 404');
+  assert.strictEqual(entry.attempts, 1);
+  assert.deepStrictEqual(entry.payload, payload);
+});
+
+test('events are dead-lettered once the attempts run out', async () => {
+  script(500, 502, 503);
+  assert.strictEqual(await notifier.deliver('https://crm.example/hook', { ...payload, id: 'event-2' }), false);
+  assert.strictEqual(requests.length, 3);
+
+  const [latest, earlier] = await notifier.getDeadLetters();
+  assert.strictEqual(latest.payload.id, 'event-2');
+  assert.strictEqual(latest.error, 'HTTP 503');
+  assert.strictEqual(latest.attempts, 3);
+  assert.strictEqual(earlier.payload.id, 'event-1');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  timezoneForNumber, isValidTimezone, isValidWeekdays, localTime, parseClockTime, isWithinWindow,
+} = require('../src/utils/timezones');
+
+test('timezoneForNumber maps E.164 country codes, longest prefix first', () => {
+  assert.strictEqual(timezoneForNumber('+441632960000'), 'Europe/London');
+  assert.strictEqual(timezoneForNumber('+41 44 668 18 00'), 'Europe/Zurich');
+  assert.strictEqual(timezoneForNumber('+35318123456'), 'Europe/Dublin');
+  assert.strictEqual(timezoneForNumber('+33123456789'), 'Europe/Paris');
+});
+
+test('timezoneForNumber leaves NANP and unknown codes to the caller', () => {
+  assert.strictEqual(timezoneForNumber('+14155550123'), null);
+  assert.strictEqual(timezoneForNumber('+999123'), null);
+  assert.strictEqual(timezoneForNumber(''), null);
+  assert.strictEqual(timezoneForNumber(undefined), null);
+});
+
+test('timezoneForNumber does not read a national number as a country code', () => {
+  assert.strictEqual(timezoneForNumber('4155550123'), null);
+  assert.strictEqual(timezoneForNumber('3125551234'), null);
+  assert.strictEqual(timezoneForNumber('(415) 555-0123'), null);
+});
+
+test('isValidTimezone accepts IANA names only', () => {
+  assert.ok(isValidTimezone('America/New_York'));
+  assert.ok(!isValidTimezone('Mars/Olympus_Mons'));
+});
+
+test('isValidWeekdays needs distinct integers from 0 to 6', () => {
+  assert.ok(isValidWeekdays([0, 6]));
+  assert.ok(!isValidWeekdays([]));
+  assert.ok(!isValidWeekdays([1, 7]));
+  assert.ok(!isValidWeekdays([1, 1]));
+  assert.ok(!isValidWeekdays(['1']));
+  assert.ok(!isValidWeekdays('1,2'));
+});
+
+test('localTime reports the wall clock in the timezone', () => {
+  const moment = new Date('2026-01-05T14:30:00Z'); // A Monday
+  assert.deepStrictEqual(localTime(moment, 'UTC'), { weekday: 1, minutes: 14 * 60 + 30, date: '2026-01-05' });
+  assert.deepStrictEqual(localTime(moment, 'Asia/Tokyo'), { weekday: 1, minutes: 23 * 60 + 30, date: '2026-01-05' });
+  assert.deepStrictEqual(localTime(moment, 'America/Los_Angeles'), { weekday: 1, minutes: 6 * 60 + 30, date: '2026-01-05' });
+});
+
+test('parseClockTime parses HH:MM and rejects anything else', () => {
+  assert.strictEqual(parseClockTime('09:15'), 555);
+  assert.strictEqual(parseClockTime('24:00'), 1440);
+  assert.throws(() => parseClockTime('9am'), /Invalid time of day/);
+  assert.throws(() => parseClockTime('12:60'), /Invalid time of day/);
+  assert.strictEqual(parseClockTime('23:59'), 1439);
+  assert.throws(() => parseClockTime('24:01'), /Invalid time of day/);
+  assert.throws(() => parseClockTime('24:59'), /Invalid time of day/);
+  assert.throws(() => parseClockTime('25:00'), /Invalid time of day/);
+});
+
+test('isWithinWindow honours days and windows that wrap past midnight', () => {
+  const mondayNoonUtc = new Date('2026-01-05T12:00:00Z');
+  assert.ok(isWithinWindow(mondayNoonUtc, 'UTC', { start: '09:00', end: '17:00' }));
+  assert.ok(!isWithinWindow(mondayNoonUtc, 'UTC', { start: '09:00', end: '17:00', days: [0, 6] }));
+  assert.ok(!isWithinWindow(mondayNoonUtc, 'America/New_York', { start: '09:00', end: '17:00' }));
+  assert.ok(isWithinWindow(new Date('2026-01-05T23:30:00Z'), 'UTC', { start: '22:00', end: '06:00' }));
+  assert.ok(!isWithinWindow(mondayNoonUtc, 'UTC', { start: '22:00', end: '06:00' }));
+});
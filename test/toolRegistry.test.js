@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'error';
+process.env.TOOL_TIMEOUT_MS = '50';
+const toolRegistry = require('../src/tools/toolRegistry');
+
+const invocations = [];
+toolRegistry.on('toolInvoked', (invocation) => invocations.push(invocation));
+
+let lookups = 0;
+toolRegistry.register({
+  name: 'lookup_order',
+  parameters: { type: 'object', properties: { orderId: { type: 'string' } } },
+  handler: async ({ orderId }) => {
+    lookups += 1;
+    return { orderId, status: 'shipped' };
+  },
+});
+toolRegistry.register({ name: 'slow', handler: () => new Promise((resolve) => setTimeout(resolve, 500)) });
+
+test('tool names are checked when registering', () => {
+  assert.throws(() => toolRegistry.register({ name: 'bad name', handler: () => {} }), /Invalid tool name/);
+  assert.throws(() => toolRegistry.register({ name: 'no_handler' }), /must have a handler/);
+});
+
+test('definitions are limited to the allowed tools', () => {
+  assert.deepStrictEqual(toolRegistry.getDefinitions(['lookup_order']).map((tool) => tool.function.name), ['lookup_order']);
+  assert.strictEqual(toolRegistry.getDefinitions().length, 2);
+});
+
+test('invoke parses the arguments, runs the tool and reports the invocation', async () => {
+  const result = await toolRegistry.invoke('lookup_order', '{"orderId":"A1"}', { callId: 'call-1' });
+  assert.deepStrictEqual(result, { orderId: 'A1', status: 'shipped' });
+  assert.deepStrictEqual(invocations.at(-1).arguments, { orderId: 'A1' });
+  assert.strictEqual(invocations.at(-1).callId, 'call-1');
+});
+
+test('failures come back as error results', async () => {
+  assert.deepStrictEqual(await toolRegistry.invoke('missing', '{}'), { error: 'Unknown tool: missing' });
+  assert.match((await toolRegistry.invoke('lookup_order', '{oops')).error, /JSON/);
+  assert.deepStrictEqual(await toolRegistry.invoke('slow', '{}'), { error: 'Tool slow timed out after 50ms' });
+});
+
+test('tools the conversation was not offered are refused without running', async () => {
+  const before = lookups;
+  const result = await toolRegistry.invoke('lookup_order', '{"orderId":"A1"}', { callId: 'call-1' }, ['slow']);
+  assert.deepStrictEqual(result, { error: 'Tool lookup_order is not available on this call' });
+  assert.strictEqual(lookups, before);
+  assert.strictEqual(invocations.at(-1).error, result.error);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatTimestamp, formatTranscript } = require('../src/utils/transcriptFormatter');
+
+const entries = [
+  { speaker: 'bot', text: 'Hello, how can I help?', startOffset: 0.5, endOffset: 2.25 },
+  { speaker: 'caller', text: 'I need to reschedule.', startOffset: 3661.2, endOffset: 3661.2 },
+  { speaker: 'agent-7', text: 'One moment.', startOffset: 3700 },
+];
+
+test('formatTimestamp pads hours, minutes, seconds and milliseconds', () => {
+  assert.strictEqual(formatTimestamp(0), '00:00:00.000');
+  assert.strictEqual(formatTimestamp(3661.2345), '01:01:01.235');
+  assert.strictEqual(formatTimestamp(62.5, ','), '00:01:02,500');
+  assert.strictEqual(formatTimestamp(-1), '00:00:00.000');
+  assert.strictEqual(formatTimestamp(undefined), '00:00:00.000');
+});
+
+test('text exports one labelled line per turn', () => {
+  const { body, contentType } = formatTranscript(entries, 'text');
+  assert.strictEqual(contentType, 'text/plain; charset=utf-8');
+  assert.strictEqual(body, [
+    '[00:00:00] Bot: Hello, how can I help?',
+    '[01:01:01] Caller: I need to reschedule.',
+    '[01:01:40] agent-7: One moment.',
+  ].join('\n'));
+});
+
+test('WebVTT cues use voice tags and give zero-length turns a duration', () => {
+  const { body, contentType } = formatTranscript(entries, 'vtt');
+  assert.strictEqual(contentType, 'text/vtt; charset=utf-8');
+  assert.ok(body.startsWith('WEBVTT\n\n1\n00:00:00.500 --> 00:00:02.250\n<v Bot>Hello, how can I help?\n\n'));
+  assert.ok(body.includes('2\n01:01:01.200 --> 01:01:02.200\n<v Caller>I need to reschedule.'));
+  assert.ok(body.endsWith('3\n01:01:40.000 --> 01:01:41.000\n<v agent-7>One moment.\n'));
+});
+
+test('SRT cues use comma milliseconds and speaker prefixes', () => {
+  const { body } = formatTranscript(entries.slice(0, 1), 'srt');
+  assert.strictEqual(body, '1\n00:00:00,500 --> 00:00:02,250\nBot: Hello, how can I help?\n');
+});
+
+test('unknown formats are rejected', () => {
+  assert.throws(() => formatTranscript(entries, 'docx'), /Unsupported transcript format: docx/);
+});
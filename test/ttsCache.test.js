@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+const TTSCache = require('../src/tts/ttsCache');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-'));
+const cache = new TTSCache({ directory: dir, maxChars: 20, maxBytes: 8 });
+const settings = { provider: 'openai', voice: 'alloy', speed: 1, sampleRate: 16000 };
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('key depends on the text and every voice setting', () => {
+  const key = cache.key('Please hold.', settings);
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.strictEqual(cache.key('Please hold.', { ...settings }), key);
+  assert.notStrictEqual(cache.key('Please hold!', settings), key);
+  ['provider', 'voice', 'speed', 'sampleRate'].forEach((name) => {
+    assert.notStrictEqual(cache.key('Please hold.', { ...settings, [name]: 'other' }), key, name);
+  });
+});
+
+test('key ignores settings that do not change the audio', () => {
+  assert.strictEqual(cache.key('Please hold.', { ...settings, callId: 'call-1' }), cache.key('Please hold.', settings));
+});
+
+test('phrases longer than maxChars are not cached', () => {
+  assert.strictEqual(cache.key('x'.repeat(20), settings), cache.key('x'.repeat(20), settings));
+  assert.strictEqual(cache.key('x'.repeat(21), settings), null);
+});
+
+test('stored audio is read back, and misses return null', async () => {
+  const key = cache.key('Goodbye.', settings);
+  assert.strictEqual(await cache.get(key), null);
+  await cache.set(key, Buffer.from([1, 2, 3, 4]));
+  assert.deepStrictEqual(await cache.get(key), Buffer.from([1, 2, 3, 4]));
+});
+
+test('prune deletes the least recently used entries past maxBytes', async () => {
+  const [oldest, older, newest] = ['Hello.', 'Goodbye.', 'Thanks.'].map((text) => cache.key(text, settings));
+  await cache.set(oldest, Buffer.alloc(6));
+  await cache.set(newest, Buffer.alloc(6));
+  [[oldest, 120000], [older, 60000]].forEach(([key, age]) => {
+    const lastUsed = new Date(Date.now() - age);
+    fs.utimesSync(cache.filePath(key), lastUsed, lastUsed);
+  });
+
+  await cache.prune();
+  assert.ok(!fs.existsSync(cache.filePath(oldest)));
+  assert.ok(!fs.existsSync(cache.filePath(older)));
+  assert.ok(fs.existsSync(cache.filePath(newest)));
+});